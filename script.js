@@ -9,14 +9,64 @@
 const globalAnimationState = {
     isAnimating: false,
     activeAnimations: 0,
-    maxAnimations: 5
+    maxAnimations: 5,
+    // What happens when maxAnimations is reached: 'queue' or 'reject'
+    overflowPolicy: 'queue'
 };
 
 let globalCounter = 0;
+// Candidates for random animations; registerAnimation/unregisterAnimation keep it up to date
 const ANIMATION_TYPES = ['pulse', 'bounce', 'rotate', 'shake', 'flip'];
 
 // ===== UTILITY FUNCTIONS =====
 
+// Where random numbers come from; null means Math.random (see setRandomSource)
+let randomSource = null;
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * The same seed always gives the same sequence, which makes recorded sessions replayable.
+ * @param {number|string} seed - Integer seed, or a string that is hashed into one
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = 0;
+    if (typeof seed === 'string') {
+        // FNV-1a, so that e.g. 'demo' works as a seed
+        state = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+        }
+    } else {
+        state = Number(seed) || 0;
+    }
+    state >>>= 0;
+
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Replaces the random number source used by every helper
+ * @param {Function|null} source - Function returning numbers in [0, 1), or null for Math.random
+ * @returns {Function|null} The previous source, so callers can restore it
+ */
+function setRandomSource(source) {
+    const previous = randomSource;
+    randomSource = typeof source === 'function' ? source : null;
+    return previous;
+}
+
+// Next number in [0, 1) from the current source
+function nextRandom() {
+    return randomSource ? randomSource() : Math.random();
+}
+
 /**
  * Generates a random number between min and max (inclusive)
  * @param {number} min - Minimum value
@@ -24,39 +74,809 @@ const ANIMATION_TYPES = ['pulse', 'bounce', 'rotate', 'shake', 'flip'];
  * @returns {number} Random number between min and max
  */
 function getRandomNumber(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(nextRandom() * (max - min + 1)) + min;
 }
 
 /**
  * Generates a random hex color
+ * Without options any hex value can come out. With options the color is
+ * picked from a palette or harmony, or generated as a clear OKLCH color,
+ * and must reach a minimum contrast ratio when one is given.
+ * @param {Object} options - Optional constraints
+ * @param {Array<string>} options.palette - Colors to choose from
+ * @param {Object} options.harmony - { base, type } with type complementary, analogous, triadic, split-complementary or tetradic
+ * @param {number} options.minContrast - Minimum WCAG contrast ratio, e.g. 4.5
+ * @param {string} options.against - Color to contrast with (defaults to the current text color)
  * @returns {string} Random hex color code
  */
-function getRandomColor() {
-    const letters = '0123456789ABCDEF';
-    let color = '#';
-    for (let i = 0; i < 6; i++) {
-        color += letters[Math.floor(Math.random() * 16)];
+function getRandomColor(options = {}) {
+    const { palette, harmony, minContrast, against, attempts = 50 } = options;
+
+    if (!palette && !harmony && !minContrast) {
+        const letters = '0123456789ABCDEF';
+        let color = '#';
+        for (let i = 0; i < 6; i++) {
+            color += letters[Math.floor(nextRandom() * 16)];
+        }
+        return color;
+    }
+
+    const background = against ?? getCurrentTextColor();
+    const meetsContrast = color => !minContrast || getContrastRatio(color, background) >= minContrast;
+    const mostContrasting = colors => colors.reduce((best, color) => (
+        getContrastRatio(color, background) > getContrastRatio(best, background) ? color : best
+    ));
+
+    let candidates = null;
+    if (palette) {
+        candidates = palette;
+    } else if (harmony) {
+        const base = parseColor(harmony.base);
+        const offsets = COLOR_HARMONIES[harmony.type || 'complementary'];
+        if (!base || !offsets) {
+            console.error(`Invalid color harmony '${harmony.type}' for base '${harmony.base}'`);
+        } else {
+            const baseLch = rgbToOklch(base);
+            candidates = offsets.map(offset => formatColor(oklchToRgbInGamut({ ...baseLch, h: (baseLch.h + offset) % 360 })));
+        }
+    }
+
+    if (candidates && candidates.length > 0) {
+        const passing = candidates.filter(meetsContrast);
+        if (passing.length === 0) return mostContrasting(candidates);
+        return passing[getRandomNumber(0, passing.length - 1)];
     }
-    return color;
+
+    // Clear mid-to-light colors, avoiding the muddy dark range of plain random hex
+    const generated = [];
+    for (let i = 0; i < attempts; i++) {
+        const color = formatColor(oklchToRgbInGamut({
+            l: 0.45 + nextRandom() * 0.4,
+            c: 0.08 + nextRandom() * 0.12,
+            h: nextRandom() * 360
+        }));
+        if (meetsContrast(color)) return color;
+        generated.push(color);
+    }
+    return mostContrasting(generated);
+}
+
+/**
+ * Reads the page's current text color
+ * @returns {string} CSS color of the body text (white when unavailable)
+ */
+function getCurrentTextColor() {
+    if (typeof getComputedStyle === 'function' && typeof document !== 'undefined' && document.body) {
+        return getComputedStyle(document.body).color || '#ffffff';
+    }
+    return '#ffffff';
 }
 
+// Icons for each message type, shared by result rows and toasts
+const MESSAGE_ICONS = {
+    info: 'ℹ️',
+    success: '✅',
+    error: '❌',
+    warning: '⚠️'
+};
+
 /**
  * Formats a message with timestamp for display
+ * The time is written for the active i18n locale.
  * @param {string} message - The message to format
  * @param {string} type - Type of message (info, success, error, warning)
+ * @param {Date} date - When the message was created (defaults to now)
  * @returns {string} Formatted message with timestamp
  */
-function formatMessage(message, type = 'info') {
-    const timestamp = new Date().toLocaleTimeString();
-    const typeIcons = {
-        info: 'ℹ️',
-        success: '✅',
-        error: '❌',
-        warning: '⚠️'
+function formatMessage(message, type = 'info', date = new Date()) {
+    const timestamp = i18n.formatTime(date);
+    return `${MESSAGE_ICONS[type] || MESSAGE_ICONS.info} [${timestamp}] ${message}`;
+}
+
+// ===== INTERNATIONALIZATION =====
+
+// Languages written right to left (matched on the language subtag)
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+// Result panels that follow the active locale's language and direction
+const LOCALIZED_PANELS = ['functionResults', 'animationResults'];
+
+/**
+ * Message catalogs by locale
+ * Values are strings with {placeholders}, or plural forms keyed by
+ * Intl.PluralRules category ({ one, other, ... }) chosen by params.count.
+ * English is the fallback, so other catalogs may leave keys out.
+ */
+const MESSAGE_CATALOGS = {
+    en: {
+        'locale.name': 'English',
+        'locale.changed': 'Language: {name}',
+        'greeting.guest': 'Guest',
+        'greeting.morning': 'Good morning, {name}! I hope you\'re having a {mood} morning.',
+        'greeting.afternoon': 'Good afternoon, {name}! I hope you\'re having a {mood} afternoon.',
+        'greeting.evening': 'Good evening, {name}! I hope you\'re having a {mood} evening.',
+        'greeting.day': 'Hello, {name}! I hope you\'re having a {mood} day.',
+        'greeting.other': 'Hello, {name}! I hope you\'re having a {mood} {timeOfDay}.',
+        'mood.great': 'great',
+        'mood.wonderful': 'wonderful',
+        'mood.fantastic': 'fantastic',
+        'mood.amazing': 'amazing',
+        'mood.productive': 'productive',
+        'validation.empty': 'Input cannot be empty',
+        'validation.tooLong': 'Input exceeds maximum length of {max} characters',
+        'validators.required': 'This field is required',
+        'validators.minLength': 'Must be at least {min} characters',
+        'validators.maxLength': 'Must be at most {max} characters',
+        'validators.pattern': 'Does not match the expected format',
+        'validators.email': 'Enter a valid email address',
+        'validators.url': 'Enter a valid http(s) URL',
+        'validators.number': 'Enter a number',
+        'validators.min': 'Must be {limit} or more',
+        'validators.max': 'Must be {limit} or less',
+        'validators.step': 'Must be in steps of {increment}',
+        'validators.custom': 'Invalid value',
+        'demo.ready': 'Demo initialized and ready! All event listeners are active.',
+        'demo.animationReady': 'Animation system ready. Try the various animation controls!',
+        'demo.rectangleArea': 'Rectangle area: {width} × {height} = {area}',
+        'demo.counter': 'Global counter: {value}',
+        'demo.privateCounter': 'Private counter operations: {steps}',
+        'demo.increment': 'increment',
+        'demo.decrement': 'decrement',
+        'demo.valid': {
+            one: 'Valid: "{input}" → {count} word',
+            other: 'Valid: "{input}" → {count} words'
+        },
+        'demo.invalid': 'Invalid: {error}',
+        'demo.invalidCodes': 'Invalid: "{input}" → {codes}',
+        'demo.needsDigit': 'Must contain a digit',
+        'demo.formSubmitted': 'Form submitted: {values}',
+        'demo.shareLink': 'Share link: {url}',
+        'demo.copyFailed': 'Could not copy the share link: {error}',
+        'demo.clipboardUnavailable': 'Clipboard is not available',
+        'motion.policy': 'Motion policy: {policy}',
+        'motion.full': 'full',
+        'motion.reduced': 'reduced',
+        'motion.none': 'none',
+        'animation.boxActivated': 'Box animation activated',
+        'animation.boxDeactivated': 'Box animation deactivated',
+        'animation.boxReset': 'Box animation reset',
+        'animation.random': 'Applied random animation: {name}',
+        'animation.limitReached': 'Animation limit reached, try again shortly',
+        'animation.queued': 'Animation "{name}" queued (limit: {limit})',
+        'animation.colorChanged': 'Color changed to: {color}',
+        'animation.randomColor': 'Random color: {color}',
+        'animation.cardFlipped': 'Card flipped!',
+        'animation.springSettled': 'Spring settled at x = {x}px',
+        'sequence.starting': 'Starting animation sequence...',
+        'sequence.step': 'Animation {step}/{total}: {name}',
+        'sequence.skipping': 'Skipping unknown animation(s): {names}',
+        'sequence.rejected': 'Animation sequence rejected: too many animations running',
+        'sequence.cancelled': 'Animation sequence cancelled',
+        'sequence.completed': 'Animation sequence completed!',
+        'timeline.playing': 'Playing timeline ({duration}ms)',
+        'timeline.finished': 'Timeline finished',
+        'modal.opened': 'Modal opened with animation',
+        'modal.closed': 'Modal closed with animation ({reason})',
+        'modal.reason.escape': 'Escape key',
+        'modal.reason.backdrop': 'backdrop click',
+        'modal.reason.button': 'close button',
+        'modal.reason.programmatic': 'closed by code',
+        'loader.loading': 'Loading...',
+        'loader.processing': 'Processing your request...',
+        'loader.crunching': 'Crunching numbers...',
+        'loader.shown': 'Loader shown',
+        'loader.hidden': 'Loader hidden',
+        'loader.finished': 'Loader task finished',
+        'loader.cancelled': 'Loader task cancelled',
+        'loader.failed': 'Loader task failed',
+        'gesture.cardFlipped': 'Card flipped by drag',
+        'gesture.cardFlippedBack': 'Card flipped back by drag',
+        'gesture.cardSnappedBack': 'Card snapped back',
+        'gesture.cardLongPress': 'Long press on card',
+        'gesture.boxReleased': 'Box released at {speed} px/s',
+        'gesture.swipe': 'Swipe {direction} on box',
+        'gesture.boxReturning': 'Long press: box returning to start',
+        'direction.left': 'left',
+        'direction.right': 'right',
+        'direction.up': 'up',
+        'direction.down': 'down',
+        'builder.exported': 'Exported CSS for "{name}"',
+        'builder.registered': 'Registered animation "{name}" ({count} available)',
+        'builder.name': 'Name',
+        'builder.duration': 'Duration (ms)',
+        'builder.iterations': 'Iterations (number or infinite)',
+        'builder.easing': 'Easing',
+        'builder.easingParams': 'Easing parameters',
+        'builder.easingParamsHint': 'cubic-bezier: x1, y1, x2, y2 — steps: count, position',
+        'builder.addStop': 'Add stop',
+        'builder.preview': 'Preview',
+        'builder.export': 'Export CSS',
+        'builder.register': 'Register',
+        'builder.output': 'Generated CSS',
+        'builder.offset': 'Offset %',
+        'builder.stopField': 'Stop {index} {label}',
+        'builder.remove': 'Remove',
+        'builder.removeStop': 'Remove stop {index}',
+        'theme.applied': 'Theme: {label}',
+        'theme.loaded': 'Loaded theme "{label}"',
+        'theme.notLoaded': 'Theme not loaded: {error}',
+        'session.recording': 'Recording session...',
+        'session.recorded': {
+            one: 'Recorded {count} action',
+            other: 'Recorded {count} actions'
+        },
+        'session.nothingRecorded': 'Nothing recorded yet',
+        'session.replayFinished': {
+            one: 'Replay finished after {count} action',
+            other: 'Replay finished after {count} actions'
+        },
+        'session.replayStopped': {
+            one: 'Replay stopped after {count} action',
+            other: 'Replay stopped after {count} actions'
+        },
+        'session.loaded': {
+            one: 'Loaded session with {count} action',
+            other: 'Loaded session with {count} actions'
+        },
+        'session.notLoaded': 'Session not loaded: {error}',
+        'toast.region': 'Notifications',
+        'toast.dismiss': 'Dismiss',
+        'toast.linkCopied': 'Share link copied',
+        'toast.replay': 'Replay',
+        'shortcut.helpTitle': 'Keyboard shortcuts',
+        'shortcut.close': 'Close',
+        'shortcut.random': 'Apply a random animation',
+        'shortcut.sequence': 'Run the animation sequence',
+        'shortcut.color': 'Change the box color',
+        'shortcut.toggle': 'Toggle the JS animation box',
+        'shortcut.flip': 'Flip the card',
+        'shortcut.modal': 'Open the modal',
+        'shortcut.clear': 'Clear both result panels',
+        'shortcut.performance': 'Show or hide the performance overlay',
+        'shortcut.help': 'Show or hide this help',
+        'label.flipCard': 'Flip card',
+        'label.toggleBox': 'Toggle box animation',
+        'performance.label': 'Animation performance',
+        'performance.export': 'Export JSON',
+        'performance.summary': {
+            one: '{fps} fps · {p95} ms p95 · {count} long frame · {running} running',
+            other: '{fps} fps · {p95} ms p95 · {count} long frames · {running} running'
+        },
+        'performance.layoutWarning': '⚠ layout: {properties}'
+    },
+    es: {
+        'locale.name': 'Español',
+        'locale.changed': 'Idioma: {name}',
+        'greeting.guest': 'Invitado',
+        'greeting.morning': '¡Buenos días, {name}! Espero que tengas una mañana {mood}.',
+        'greeting.afternoon': '¡Buenas tardes, {name}! Espero que tengas una tarde {mood}.',
+        'greeting.evening': '¡Buenas noches, {name}! Espero que tengas una noche {mood}.',
+        'greeting.day': '¡Hola, {name}! Espero que tengas un día {mood}.',
+        'greeting.other': '¡Hola, {name}! Espero que tu {timeOfDay} sea {mood}.',
+        // Adjectives that don't change with gender, so they fit every time of day
+        'mood.great': 'excelente',
+        'mood.wonderful': 'genial',
+        'mood.fantastic': 'formidable',
+        'mood.amazing': 'increíble',
+        'mood.productive': 'eficiente',
+        'validation.empty': 'La entrada no puede estar vacía',
+        'validation.tooLong': 'La entrada supera el máximo de {max} caracteres',
+        'validators.required': 'Este campo es obligatorio',
+        'validators.minLength': 'Debe tener al menos {min} caracteres',
+        'validators.maxLength': 'Debe tener como máximo {max} caracteres',
+        'validators.pattern': 'No tiene el formato esperado',
+        'validators.email': 'Introduce un correo electrónico válido',
+        'validators.url': 'Introduce una URL http(s) válida',
+        'validators.number': 'Introduce un número',
+        'validators.min': 'Debe ser {limit} o más',
+        'validators.max': 'Debe ser {limit} o menos',
+        'validators.step': 'Debe ir en pasos de {increment}',
+        'validators.custom': 'Valor no válido',
+        'demo.ready': '¡Demo inicializada y lista! Todos los controladores de eventos están activos.',
+        'demo.animationReady': 'Sistema de animación listo. ¡Prueba los distintos controles!',
+        'demo.rectangleArea': 'Área del rectángulo: {width} × {height} = {area}',
+        'demo.counter': 'Contador global: {value}',
+        'demo.privateCounter': 'Operaciones del contador privado: {steps}',
+        'demo.increment': 'incrementar',
+        'demo.decrement': 'decrementar',
+        'demo.valid': {
+            one: 'Válido: "{input}" → {count} palabra',
+            other: 'Válido: "{input}" → {count} palabras'
+        },
+        'demo.invalid': 'No válido: {error}',
+        'demo.invalidCodes': 'No válido: "{input}" → {codes}',
+        'demo.needsDigit': 'Debe contener un dígito',
+        'demo.formSubmitted': 'Formulario enviado: {values}',
+        'demo.shareLink': 'Enlace para compartir: {url}',
+        'demo.copyFailed': 'No se pudo copiar el enlace: {error}',
+        'demo.clipboardUnavailable': 'El portapapeles no está disponible',
+        'motion.policy': 'Política de movimiento: {policy}',
+        'motion.full': 'completo',
+        'motion.reduced': 'reducido',
+        'motion.none': 'ninguno',
+        'animation.boxActivated': 'Animación de la caja activada',
+        'animation.boxDeactivated': 'Animación de la caja desactivada',
+        'animation.boxReset': 'Animación de la caja reiniciada',
+        'animation.random': 'Animación aleatoria aplicada: {name}',
+        'animation.limitReached': 'Límite de animaciones alcanzado, inténtalo en un momento',
+        'animation.queued': 'Animación "{name}" en cola (límite: {limit})',
+        'animation.colorChanged': 'Color cambiado a: {color}',
+        'animation.randomColor': 'Color aleatorio: {color}',
+        'animation.cardFlipped': '¡Tarjeta volteada!',
+        'animation.springSettled': 'El resorte se detuvo en x = {x}px',
+        'sequence.starting': 'Iniciando secuencia de animación...',
+        'sequence.step': 'Animación {step}/{total}: {name}',
+        'sequence.skipping': 'Se omiten animaciones desconocidas: {names}',
+        'sequence.rejected': 'Secuencia rechazada: hay demasiadas animaciones en curso',
+        'sequence.cancelled': 'Secuencia de animación cancelada',
+        'sequence.completed': '¡Secuencia de animación completada!',
+        'timeline.playing': 'Reproduciendo línea de tiempo ({duration} ms)',
+        'timeline.finished': 'Línea de tiempo terminada',
+        'modal.opened': 'Modal abierto con animación',
+        'modal.closed': 'Modal cerrado con animación ({reason})',
+        'modal.reason.escape': 'tecla Escape',
+        'modal.reason.backdrop': 'clic en el fondo',
+        'modal.reason.button': 'botón de cerrar',
+        'modal.reason.programmatic': 'cerrado por código',
+        'loader.loading': 'Cargando...',
+        'loader.processing': 'Procesando tu solicitud...',
+        'loader.crunching': 'Haciendo cálculos...',
+        'loader.shown': 'Indicador de carga visible',
+        'loader.hidden': 'Indicador de carga oculto',
+        'loader.finished': 'Tarea de carga terminada',
+        'loader.cancelled': 'Tarea de carga cancelada',
+        'loader.failed': 'La tarea de carga falló',
+        'gesture.cardFlipped': 'Tarjeta volteada al arrastrar',
+        'gesture.cardFlippedBack': 'Tarjeta devuelta al arrastrar',
+        'gesture.cardSnappedBack': 'La tarjeta volvió a su sitio',
+        'gesture.cardLongPress': 'Pulsación larga en la tarjeta',
+        'gesture.boxReleased': 'Caja soltada a {speed} px/s',
+        'gesture.swipe': 'Deslizamiento hacia {direction} en la caja',
+        'gesture.boxReturning': 'Pulsación larga: la caja vuelve al inicio',
+        'direction.left': 'la izquierda',
+        'direction.right': 'la derecha',
+        'direction.up': 'arriba',
+        'direction.down': 'abajo',
+        'builder.exported': 'CSS exportado para "{name}"',
+        'builder.registered': 'Animación "{name}" registrada ({count} disponibles)',
+        'builder.name': 'Nombre',
+        'builder.duration': 'Duración (ms)',
+        'builder.iterations': 'Iteraciones (número o infinite)',
+        'builder.easing': 'Curva de aceleración',
+        'builder.easingParams': 'Parámetros de la curva',
+        'builder.easingParamsHint': 'cubic-bezier: x1, y1, x2, y2 — steps: número, posición',
+        'builder.addStop': 'Añadir paso',
+        'builder.preview': 'Vista previa',
+        'builder.export': 'Exportar CSS',
+        'builder.register': 'Registrar',
+        'builder.output': 'CSS generado',
+        'builder.offset': 'Posición %',
+        'builder.stopField': 'Paso {index} {label}',
+        'builder.remove': 'Quitar',
+        'builder.removeStop': 'Quitar paso {index}',
+        'theme.applied': 'Tema: {label}',
+        'theme.loaded': 'Tema "{label}" cargado',
+        'theme.notLoaded': 'No se cargó el tema: {error}',
+        'session.recording': 'Grabando sesión...',
+        'session.recorded': {
+            one: '{count} acción grabada',
+            other: '{count} acciones grabadas'
+        },
+        'session.nothingRecorded': 'Todavía no hay nada grabado',
+        'session.replayFinished': {
+            one: 'Reproducción terminada tras {count} acción',
+            other: 'Reproducción terminada tras {count} acciones'
+        },
+        'session.replayStopped': {
+            one: 'Reproducción detenida tras {count} acción',
+            other: 'Reproducción detenida tras {count} acciones'
+        },
+        'session.loaded': {
+            one: 'Sesión cargada con {count} acción',
+            other: 'Sesión cargada con {count} acciones'
+        },
+        'session.notLoaded': 'No se cargó la sesión: {error}',
+        'toast.region': 'Notificaciones',
+        'toast.dismiss': 'Cerrar',
+        'toast.linkCopied': 'Enlace copiado',
+        'toast.replay': 'Reproducir',
+        'shortcut.helpTitle': 'Atajos de teclado',
+        'shortcut.close': 'Cerrar',
+        'shortcut.random': 'Aplicar una animación aleatoria',
+        'shortcut.sequence': 'Ejecutar la secuencia de animaciones',
+        'shortcut.color': 'Cambiar el color de la caja',
+        'shortcut.toggle': 'Activar o desactivar la caja animada con JS',
+        'shortcut.flip': 'Voltear la tarjeta',
+        'shortcut.modal': 'Abrir el modal',
+        'shortcut.clear': 'Vaciar los dos paneles de resultados',
+        'shortcut.performance': 'Mostrar u ocultar el panel de rendimiento',
+        'shortcut.help': 'Mostrar u ocultar esta ayuda',
+        'label.flipCard': 'Voltear tarjeta',
+        'label.toggleBox': 'Activar o desactivar la animación de la caja',
+        'performance.label': 'Rendimiento de las animaciones',
+        'performance.export': 'Exportar JSON',
+        'performance.summary': {
+            one: '{fps} fps · {p95} ms p95 · {count} fotograma largo · {running} en curso',
+            other: '{fps} fps · {p95} ms p95 · {count} fotogramas largos · {running} en curso'
+        },
+        'performance.layoutWarning': '⚠ maquetación: {properties}'
+    },
+    ar: {
+        'locale.name': 'العربية',
+        'locale.changed': 'اللغة: {name}',
+        'greeting.guest': 'ضيف',
+        'greeting.morning': 'صباح الخير يا {name}! أتمنى لك صباحًا {mood}.',
+        'greeting.afternoon': 'مساء الخير يا {name}! أتمنى لك عصرًا {mood}.',
+        'greeting.evening': 'مساء الخير يا {name}! أتمنى لك مساءً {mood}.',
+        'greeting.day': 'مرحبًا يا {name}! أتمنى لك يومًا {mood}.',
+        'greeting.other': 'مرحبًا يا {name}! أتمنى لك {timeOfDay} {mood}.',
+        // Accusative forms, to follow the noun in the greetings above
+        'mood.great': 'رائعًا',
+        'mood.wonderful': 'جميلًا',
+        'mood.fantastic': 'مدهشًا',
+        'mood.amazing': 'مذهلًا',
+        'mood.productive': 'مثمرًا',
+        'validation.empty': 'لا يمكن أن يكون الإدخال فارغًا',
+        'validation.tooLong': 'يتجاوز الإدخال الحد الأقصى البالغ {max} حرفًا',
+        'validators.required': 'هذا الحقل مطلوب',
+        'validators.minLength': 'يجب ألا يقل عن {min} أحرف',
+        'validators.maxLength': 'يجب ألا يزيد عن {max} حرفًا',
+        'validators.pattern': 'لا يطابق التنسيق المتوقع',
+        'validators.email': 'أدخل بريدًا إلكترونيًا صالحًا',
+        'validators.url': 'أدخل عنوان URL صالحًا يبدأ بـ http(s)',
+        'validators.number': 'أدخل رقمًا',
+        'validators.min': 'يجب أن يكون {limit} أو أكثر',
+        'validators.max': 'يجب أن يكون {limit} أو أقل',
+        'validators.step': 'يجب أن يكون بخطوات مقدارها {increment}',
+        'validators.custom': 'قيمة غير صالحة',
+        'demo.ready': 'العرض جاهز! جميع مستمعي الأحداث نشطة.',
+        'demo.animationReady': 'نظام الحركة جاهز. جرّب أدوات التحكم المختلفة!',
+        'demo.rectangleArea': 'مساحة المستطيل: {width} × {height} = {area}',
+        'demo.counter': 'العدّاد العام: {value}',
+        'demo.privateCounter': 'عمليات العدّاد الخاص: {steps}',
+        'demo.increment': 'زيادة',
+        'demo.decrement': 'إنقاص',
+        'demo.valid': {
+            zero: 'صالح: "{input}" ← لا كلمات',
+            one: 'صالح: "{input}" ← كلمة واحدة',
+            two: 'صالح: "{input}" ← كلمتان',
+            few: 'صالح: "{input}" ← {count} كلمات',
+            many: 'صالح: "{input}" ← {count} كلمةً',
+            other: 'صالح: "{input}" ← {count} كلمة'
+        },
+        'demo.invalid': 'غير صالح: {error}',
+        'demo.invalidCodes': 'غير صالح: "{input}" ← {codes}',
+        'demo.needsDigit': 'يجب أن يحتوي على رقم',
+        'demo.formSubmitted': 'تم إرسال النموذج: {values}',
+        'demo.shareLink': 'رابط المشاركة: {url}',
+        'demo.copyFailed': 'تعذّر نسخ رابط المشاركة: {error}',
+        'demo.clipboardUnavailable': 'الحافظة غير متاحة',
+        'motion.policy': 'سياسة الحركة: {policy}',
+        'motion.full': 'كاملة',
+        'motion.reduced': 'مخفّضة',
+        'motion.none': 'بلا حركة',
+        'animation.boxActivated': 'تم تفعيل حركة الصندوق',
+        'animation.boxDeactivated': 'تم إيقاف حركة الصندوق',
+        'animation.boxReset': 'تمت إعادة ضبط حركة الصندوق',
+        'animation.random': 'تم تطبيق حركة عشوائية: {name}',
+        'animation.limitReached': 'تم بلوغ حد الحركات، حاول بعد قليل',
+        'animation.queued': 'الحركة "{name}" في قائمة الانتظار (الحد: {limit})',
+        'animation.colorChanged': 'تم تغيير اللون إلى: {color}',
+        'animation.randomColor': 'لون عشوائي: {color}',
+        'animation.cardFlipped': 'تم قلب البطاقة!',
+        'animation.springSettled': 'استقر النابض عند x = {x}px',
+        'sequence.starting': 'بدء سلسلة الحركات...',
+        'sequence.step': 'الحركة {step}/{total}: {name}',
+        'sequence.skipping': 'تخطي حركات غير معروفة: {names}',
+        'sequence.rejected': 'رُفضت السلسلة: عدد كبير جدًا من الحركات قيد التشغيل',
+        'sequence.cancelled': 'أُلغيت سلسلة الحركات',
+        'sequence.completed': 'اكتملت سلسلة الحركات!',
+        'timeline.playing': 'تشغيل الخط الزمني ({duration} مللي ثانية)',
+        'timeline.finished': 'انتهى الخط الزمني',
+        'modal.opened': 'فُتحت النافذة مع حركة',
+        'modal.closed': 'أُغلقت النافذة مع حركة ({reason})',
+        'modal.reason.escape': 'مفتاح Escape',
+        'modal.reason.backdrop': 'النقر على الخلفية',
+        'modal.reason.button': 'زر الإغلاق',
+        'modal.reason.programmatic': 'أُغلقت برمجيًا',
+        'loader.loading': 'جارٍ التحميل...',
+        'loader.processing': 'جارٍ معالجة طلبك...',
+        'loader.crunching': 'جارٍ إجراء الحسابات...',
+        'loader.shown': 'مؤشر التحميل ظاهر',
+        'loader.hidden': 'مؤشر التحميل مخفي',
+        'loader.finished': 'انتهت مهمة التحميل',
+        'loader.cancelled': 'أُلغيت مهمة التحميل',
+        'loader.failed': 'فشلت مهمة التحميل',
+        'gesture.cardFlipped': 'قُلبت البطاقة بالسحب',
+        'gesture.cardFlippedBack': 'أُعيدت البطاقة بالسحب',
+        'gesture.cardSnappedBack': 'عادت البطاقة إلى مكانها',
+        'gesture.cardLongPress': 'ضغطة مطولة على البطاقة',
+        'gesture.boxReleased': 'أُفلت الصندوق بسرعة {speed} px/s',
+        'gesture.swipe': 'سحب سريع نحو {direction} على الصندوق',
+        'gesture.boxReturning': 'ضغطة مطولة: الصندوق يعود إلى البداية',
+        'direction.left': 'اليسار',
+        'direction.right': 'اليمين',
+        'direction.up': 'الأعلى',
+        'direction.down': 'الأسفل',
+        'builder.exported': 'تم تصدير CSS لـ "{name}"',
+        'builder.registered': 'تم تسجيل الحركة "{name}" (المتاح: {count})',
+        'builder.name': 'الاسم',
+        'builder.duration': 'المدة (مللي ثانية)',
+        'builder.iterations': 'التكرارات (رقم أو infinite)',
+        'builder.easing': 'منحنى التسارع',
+        'builder.easingParams': 'معاملات المنحنى',
+        'builder.easingParamsHint': 'cubic-bezier: x1, y1, x2, y2 — steps: العدد، الموضع',
+        'builder.addStop': 'إضافة محطة',
+        'builder.preview': 'معاينة',
+        'builder.export': 'تصدير CSS',
+        'builder.register': 'تسجيل',
+        'builder.output': 'CSS الناتج',
+        'builder.offset': 'الموضع %',
+        'builder.stopField': 'المحطة {index} {label}',
+        'builder.remove': 'إزالة',
+        'builder.removeStop': 'إزالة المحطة {index}',
+        'theme.applied': 'السمة: {label}',
+        'theme.loaded': 'تم تحميل السمة "{label}"',
+        'theme.notLoaded': 'لم يتم تحميل السمة: {error}',
+        'session.recording': 'جارٍ تسجيل الجلسة...',
+        'session.recorded': {
+            zero: 'لم يُسجَّل أي إجراء',
+            one: 'تم تسجيل إجراء واحد',
+            two: 'تم تسجيل إجراءين',
+            few: 'تم تسجيل {count} إجراءات',
+            many: 'تم تسجيل {count} إجراءً',
+            other: 'تم تسجيل {count} إجراء'
+        },
+        'session.nothingRecorded': 'لم يُسجَّل شيء بعد',
+        'session.replayFinished': {
+            zero: 'انتهت الإعادة دون أي إجراء',
+            one: 'انتهت الإعادة بعد إجراء واحد',
+            two: 'انتهت الإعادة بعد إجراءين',
+            few: 'انتهت الإعادة بعد {count} إجراءات',
+            many: 'انتهت الإعادة بعد {count} إجراءً',
+            other: 'انتهت الإعادة بعد {count} إجراء'
+        },
+        'session.replayStopped': {
+            zero: 'توقفت الإعادة دون أي إجراء',
+            one: 'توقفت الإعادة بعد إجراء واحد',
+            two: 'توقفت الإعادة بعد إجراءين',
+            few: 'توقفت الإعادة بعد {count} إجراءات',
+            many: 'توقفت الإعادة بعد {count} إجراءً',
+            other: 'توقفت الإعادة بعد {count} إجراء'
+        },
+        'session.loaded': {
+            zero: 'تم تحميل جلسة فارغة',
+            one: 'تم تحميل جلسة بإجراء واحد',
+            two: 'تم تحميل جلسة بإجراءين',
+            few: 'تم تحميل جلسة بـ {count} إجراءات',
+            many: 'تم تحميل جلسة بـ {count} إجراءً',
+            other: 'تم تحميل جلسة بـ {count} إجراء'
+        },
+        'session.notLoaded': 'لم يتم تحميل الجلسة: {error}',
+        'toast.region': 'الإشعارات',
+        'toast.dismiss': 'إغلاق',
+        'toast.linkCopied': 'تم نسخ رابط المشاركة',
+        'toast.replay': 'إعادة التشغيل',
+        'shortcut.helpTitle': 'اختصارات لوحة المفاتيح',
+        'shortcut.close': 'إغلاق',
+        'shortcut.random': 'تطبيق حركة عشوائية',
+        'shortcut.sequence': 'تشغيل تسلسل الحركات',
+        'shortcut.color': 'تغيير لون المربع',
+        'shortcut.toggle': 'تبديل حركة مربع JS',
+        'shortcut.flip': 'قلب البطاقة',
+        'shortcut.modal': 'فتح النافذة',
+        'shortcut.clear': 'مسح لوحتي النتائج',
+        'shortcut.performance': 'إظهار أو إخفاء لوحة الأداء',
+        'shortcut.help': 'إظهار أو إخفاء هذه المساعدة',
+        'label.flipCard': 'قلب البطاقة',
+        'label.toggleBox': 'تبديل حركة المربع',
+        'performance.label': 'أداء الحركات',
+        'performance.export': 'تصدير JSON',
+        'performance.summary': {
+            zero: '{fps} إطار/ث · {p95} مث p95 · لا إطارات طويلة · {running} قيد التشغيل',
+            one: '{fps} إطار/ث · {p95} مث p95 · إطار طويل واحد · {running} قيد التشغيل',
+            two: '{fps} إطار/ث · {p95} مث p95 · إطاران طويلان · {running} قيد التشغيل',
+            few: '{fps} إطار/ث · {p95} مث p95 · {count} إطارات طويلة · {running} قيد التشغيل',
+            many: '{fps} إطار/ث · {p95} مث p95 · {count} إطارًا طويلًا · {running} قيد التشغيل',
+            other: '{fps} إطار/ث · {p95} مث p95 · {count} إطار طويل · {running} قيد التشغيل'
+        },
+        'performance.layoutWarning': '⚠ التخطيط: {properties}'
+    }
+};
+
+/**
+ * Checks a catalog: every value is a string or plural forms with at least 'other'
+ * @param {string} locale - BCP 47 tag
+ * @param {Object} messages - Key to message
+ * @returns {Object} Validation result; data is { locale, messages } with the tag canonicalized
+ */
+function validateMessages(locale, messages) {
+    const errors = [];
+    let canonical = null;
+    try {
+        [canonical] = Intl.getCanonicalLocales(locale);
+    } catch (error) {
+        // Reported below
+    }
+    if (!canonical) {
+        errors.push({ code: 'invalidLocale', message: `'${locale}' is not a valid locale` });
+    }
+
+    if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+        errors.push({ code: 'invalidMessages', message: 'Messages must be an object of key/message pairs' });
+    } else {
+        Object.entries(messages).forEach(([key, value]) => {
+            const plural = value && typeof value === 'object' && !Array.isArray(value);
+            const valid = typeof value === 'string' || (plural && typeof value.other === 'string'
+                && Object.values(value).every(form => typeof form === 'string'));
+            if (!valid) {
+                errors.push({ code: 'invalidMessage', message: `Message '${key}' must be a string or plural forms with 'other'` });
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        return { success: false, error: errors[0].message, errors, data: null };
+    }
+    return { success: true, error: null, errors: [], data: { locale: canonical, messages } };
+}
+
+/**
+ * Creates a translator over MESSAGE_CATALOGS with runtime locale switching
+ * Demonstrates closures, Intl plural rules and observer callbacks
+ * Lookups fall back from the active locale to its language (es-MX → es)
+ * and then to the fallback locale. Numbers in params are formatted for the
+ * locale the message came from. The active language and direction are
+ * mirrored on the result panels (lang/dir), so RTL locales lay them out
+ * right to left.
+ * @param {Object} options - { locale, fallbackLocale, catalogs }
+ * @returns {Object} Translator with t, has, setLocale, getLocale, getDirection, list, addMessages, formatTime, formatNumber, apply and subscribe
+ */
+function createI18n(options = {}) {
+    const { fallbackLocale = 'en', catalogs = MESSAGE_CATALOGS } = options;
+    const messages = Object.create(null);
+    Object.entries(catalogs).forEach(([locale, catalog]) => {
+        messages[locale] = { ...catalog };
+    });
+    let listeners = [];
+
+    function findCatalog(tag) {
+        return Object.keys(messages).find(known => known.toLowerCase() === tag.toLowerCase()) || null;
+    }
+
+    // Finds the catalog for a tag: exact (case-insensitive) first, then its language
+    function resolveLocale(requested) {
+        if (typeof requested !== 'string' || requested === '') return null;
+        return findCatalog(requested) || findCatalog(requested.split(/[-_]/)[0]);
+    }
+
+    function detectLocale() {
+        const preferred = typeof navigator !== 'undefined'
+            ? [...(navigator.languages || []), navigator.language]
+            : [];
+        return [options.locale, ...preferred].map(resolveLocale).find(Boolean) || fallbackLocale;
+    }
+
+    let locale = detectLocale();
+
+    function getDirection(tag = locale) {
+        return RTL_LANGUAGES.includes(String(tag).split(/[-_]/)[0].toLowerCase()) ? 'rtl' : 'ltr';
+    }
+
+    function formatNumber(value, tag = locale) {
+        return new Intl.NumberFormat(tag).format(value);
+    }
+
+    // Returns [locale, message] from the active catalog or the fallback
+    function lookup(key) {
+        for (const tag of [locale, fallbackLocale]) {
+            if (messages[tag] && Object.prototype.hasOwnProperty.call(messages[tag], key)) {
+                return [tag, messages[tag][key]];
+            }
+        }
+        return [null, null];
+    }
+
+    function apply() {
+        if (typeof document === 'undefined') return;
+        LOCALIZED_PANELS.forEach(id => {
+            const panel = document.getElementById(id);
+            if (panel) {
+                panel.setAttribute('lang', locale);
+                panel.setAttribute('dir', getDirection());
+            }
+        });
+    }
+
+    return {
+        /**
+         * Translates a key, filling {placeholders} from params
+         * @param {string} key - Message key, e.g. 'demo.counter'
+         * @param {Object} params - Values for placeholders; count picks the plural form
+         * @returns {string} Message, or the key itself when no catalog has it
+         */
+        t: function(key, params = {}) {
+            const [tag, message] = lookup(key);
+            if (message === null) {
+                console.error(`Missing message '${key}'`);
+                return key;
+            }
+
+            let template = message;
+            if (typeof message === 'object') {
+                const category = new Intl.PluralRules(tag).select(Number(params.count));
+                template = message[category] ?? message.other;
+            }
+
+            return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+                const value = params[name];
+                if (value === undefined || value === null) return placeholder;
+                return typeof value === 'number' ? formatNumber(value, tag) : String(value);
+            });
+        },
+        has: function(key) {
+            return lookup(key)[1] !== null;
+        },
+        /**
+         * Switches the active locale
+         * @param {string} requested - BCP 47 tag; regional tags fall back to their language
+         * @returns {string} Active locale (unchanged when no catalog matches)
+         */
+        setLocale: function(requested) {
+            const resolved = resolveLocale(requested);
+            if (!resolved) {
+                console.error(`No messages for locale '${requested}'`);
+                return locale;
+            }
+            if (resolved !== locale) {
+                locale = resolved;
+                apply();
+                listeners.slice().forEach(listener => listener(locale));
+            }
+            return locale;
+        },
+        getLocale: function() {
+            return locale;
+        },
+        getDirection,
+        // Available locales with their own names, e.g. for a language picker
+        list: function() {
+            return Object.keys(messages).map(tag => ({
+                locale: tag,
+                name: messages[tag]['locale.name'] || tag,
+                direction: getDirection(tag)
+            }));
+        },
+        /**
+         * Adds or overrides messages for a locale (a new locale becomes selectable)
+         * @param {string} tag - BCP 47 tag
+         * @param {Object} catalog - Key to message, same shape as MESSAGE_CATALOGS entries
+         * @returns {Object} Validation result
+         */
+        addMessages: function(tag, catalog) {
+            const result = validateMessages(tag, catalog);
+            if (!result.success) return result;
+            const target = findCatalog(result.data.locale) || result.data.locale;
+            messages[target] = { ...messages[target], ...catalog };
+            return result;
+        },
+        formatTime: function(date) {
+            return date.toLocaleTimeString(locale);
+        },
+        formatNumber,
+        // Re-applies lang/dir to the result panels, e.g. once the DOM is available
+        apply,
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter(item => item !== listener);
+            };
+        }
     };
-    return `${typeIcons[type] || 'ℹ️'} [${timestamp}] ${message}`;
 }
 
+const i18n = createI18n();
+
 // ===== PART 2: JAVASCRIPT FUNCTIONS DEMONSTRATING SCOPE =====
 
 /**
@@ -75,22 +895,20 @@ function calculateRectangleArea(width, height) {
 /**
  * Creates a personalized greeting message
  * Demonstrates default parameters and string manipulation
+ * Greetings come from the active locale's catalog; moods without a
+ * translation are used as given.
  * @param {string} name - Person's name
  * @param {string} timeOfDay - Time of day (morning, afternoon, evening)
  * @param {string} mood - Person's mood
  * @returns {string} Personalized greeting
  */
-function createGreeting(name = 'Guest', timeOfDay = 'day', mood = 'great') {
+function createGreeting(name = i18n.t('greeting.guest'), timeOfDay = 'day', mood = 'great') {
     // Local scope variables
-    const greetings = {
-        morning: 'Good morning',
-        afternoon: 'Good afternoon', 
-        evening: 'Good evening',
-        day: 'Hello'
-    };
+    const timesOfDay = ['morning', 'afternoon', 'evening', 'day'];
+    const key = timesOfDay.includes(timeOfDay) ? `greeting.${timeOfDay}` : 'greeting.other';
+    const moodText = i18n.has(`mood.${mood}`) ? i18n.t(`mood.${mood}`) : mood;
     
-    const baseGreeting = greetings[timeOfDay] || greetings.day;
-    return `${baseGreeting}, ${name}! I hope you're having a ${mood} ${timeOfDay}.`;
+    return i18n.t(key, { name, timeOfDay, mood: moodText });
 }
 
 /**
@@ -136,53 +954,527 @@ function createPrivateCounter() {
 /**
  * Validates user input and returns processed data
  * Demonstrates error handling and multiple return scenarios
+ * Runs the built-in required and maxLength rules plus any extra synchronous
+ * rules (see validators); use validateInput for async rules.
+ * Lengths and word counts are measured on the trimmed input.
  * @param {string} input - User input string
  * @param {number} maxLength - Maximum allowed length
- * @returns {Object} Validation result with data or error
- */
-function validateAndProcessInput(input, maxLength = 50) {
-    // Input validation with early returns
-    if (!input || input.trim() === '') {
-        return { 
-            success: false, 
-            error: 'Input cannot be empty',
-            data: null 
-        };
-    }
-    
-    if (input.length > maxLength) {
-        return { 
-            success: false, 
-            error: `Input exceeds maximum length of ${maxLength} characters`,
-            data: null 
-        };
-    }
+ * @param {Array<Object>} rules - Extra rules from validators
+ * @returns {Object} Validation result with data or error, plus every error as { code, message }
+ */
+function validateAndProcessInput(input, maxLength = 50, rules = []) {
+    const value = typeof input === 'string' ? input : '';
+    const errors = collectRuleErrors(value, [
+        validators.required(i18n.t('validation.empty')),
+        validators.maxLength(maxLength, i18n.t('validation.tooLong', { max: maxLength })),
+        ...rules
+    ], { bail: true });
     
-    // Process valid input
-    const processedData = {
+    return buildValidationResult(value, errors);
+}
+
+/**
+ * Builds the processed data shown for valid input
+ * @param {string} input - User input string
+ * @returns {Object} Original, trimmed and cased variants with length and word count
+ */
+function processInput(input) {
+    const trimmed = input.trim();
+    return {
         original: input,
-        trimmed: input.trim(),
-        length: input.length,
+        trimmed,
+        length: trimmed.length,
         uppercase: input.toUpperCase(),
         lowercase: input.toLowerCase(),
-        words: input.trim().split(/\s+/).length
+        words: (trimmed.match(/\S+/g) || []).length
     };
+}
+
+// Shapes rule errors into the { success, error, errors, data } result
+function buildValidationResult(input, errors) {
+    if (errors.length > 0) {
+        return {
+            success: false,
+            error: errors[0].message,
+            errors,
+            data: null
+        };
+    }
     
     return {
         success: true,
         error: null,
-        data: processedData
+        errors: [],
+        data: processInput(input)
+    };
+}
+
+// ===== ANIMATION REGISTRY =====
+
+/**
+ * Creates a registry that tracks every running animation per element
+ * Demonstrates closures, event subscription and shared global state
+ * Helpers ask the registry for a slot with request(); the registry starts
+ * the animation right away, queues it, or rejects it once
+ * state.maxAnimations animations are running, and keeps
+ * state.activeAnimations in sync.
+ * @param {Object} state - State object holding maxAnimations and overflowPolicy
+ * @returns {Object} Registry with request, end, cancel, cancelElement, find, getActive and on
+ */
+function createAnimationRegistry(state = globalAnimationState) {
+    const running = new Map();
+    const queue = [];
+    const listeners = { start: [], end: [], cancel: [], queue: [], reject: [] };
+    let nextId = 1;
+
+    function countRunning() {
+        let count = 0;
+        running.forEach(records => {
+            count += records.size;
+        });
+        return count;
+    }
+
+    function syncState() {
+        state.activeAnimations = countRunning();
+        state.isAnimating = state.activeAnimations > 0;
+    }
+
+    function emit(type, record) {
+        listeners[type].slice().forEach(listener => {
+            try {
+                listener(record);
+            } catch (error) {
+                console.error(`Animation registry '${type}' listener failed:`, error);
+            }
+        });
+    }
+
+    function startRecord(record) {
+        record.status = 'running';
+        record.startedAt = Date.now();
+        if (!running.has(record.element)) {
+            running.set(record.element, new Set());
+        }
+        running.get(record.element).add(record);
+        syncState();
+        emit('start', record);
+        record.onStart?.(record);
+    }
+
+    function release(record) {
+        const records = running.get(record.element);
+        if (records) {
+            records.delete(record);
+            if (records.size === 0) running.delete(record.element);
+        }
+        syncState();
+    }
+
+    function drainQueue() {
+        while (queue.length > 0 && countRunning() < state.maxAnimations) {
+            startRecord(queue.shift());
+        }
+    }
+
+    const registry = {
+        /**
+         * Asks for a slot to run an animation
+         * @param {HTMLElement} element - Element being animated
+         * @param {string} name - Animation or class name
+         * @param {Object} options - { kind, start, cancel, policy }
+         * @returns {Object|null} Record (running or queued), or null when rejected
+         */
+        request: function(element, name, options = {}) {
+            const record = {
+                id: nextId++,
+                element,
+                name,
+                kind: options.kind || name,
+                status: 'pending',
+                startedAt: null,
+                onStart: options.start,
+                onCancel: options.cancel
+            };
+
+            if (countRunning() < state.maxAnimations) {
+                startRecord(record);
+                return record;
+            }
+
+            const policy = options.policy || state.overflowPolicy;
+            if (policy === 'queue') {
+                record.status = 'queued';
+                queue.push(record);
+                emit('queue', record);
+                return record;
+            }
+
+            record.status = 'rejected';
+            emit('reject', record);
+            return null;
+        },
+        // Marks a running animation as finished and frees its slot
+        end: function(record) {
+            if (!record || record.status !== 'running') return false;
+            record.status = 'ended';
+            release(record);
+            emit('end', record);
+            drainQueue();
+            return true;
+        },
+        // Stops a running or queued animation and calls its cancel hook
+        cancel: function(record) {
+            if (!record) return false;
+
+            if (record.status === 'queued') {
+                queue.splice(queue.indexOf(record), 1);
+                record.status = 'cancelled';
+                emit('cancel', record);
+                return true;
+            }
+
+            if (record.status !== 'running') return false;
+            record.status = 'cancelled';
+            release(record);
+            record.onCancel?.(record);
+            emit('cancel', record);
+            drainQueue();
+            return true;
+        },
+        // Cancels every running and queued animation on an element, optionally filtered
+        cancelElement: function(element, filter = () => true) {
+            const records = [
+                ...(running.get(element) || []),
+                ...queue.filter(record => record.element === element)
+            ].filter(filter);
+            records.forEach(record => registry.cancel(record));
+            return records.length;
+        },
+        // Finds a running or queued animation by element and name
+        find: function(element, name) {
+            const candidates = [...(running.get(element) || []), ...queue];
+            return candidates.find(record => record.element === element && record.name === name) || null;
+        },
+        // Running animations for one element, or for every element
+        getActive: function(element) {
+            if (element) {
+                return [...(running.get(element) || [])];
+            }
+            const all = [];
+            running.forEach(records => all.push(...records));
+            return all;
+        },
+        getQueued: function() {
+            return [...queue];
+        },
+        /**
+         * Subscribes to registry events
+         * @param {string} type - start, end, cancel, queue or reject
+         * @param {Function} listener - Called with the animation record
+         * @returns {Function} Function that removes the listener
+         */
+        on: function(type, listener) {
+            if (!listeners[type]) {
+                console.error(`Unknown animation registry event '${type}'`);
+                return () => {};
+            }
+            listeners[type].push(listener);
+            return () => {
+                listeners[type] = listeners[type].filter(item => item !== listener);
+            };
+        }
+    };
+
+    return registry;
+}
+
+// Shared registry used by every animation helper below
+const animationRegistry = createAnimationRegistry();
+
+// ===== MOTION POLICY =====
+
+// Duration of the fade used in place of larger movements under the 'reduced' policy
+const REDUCED_MOTION_DURATION = 400;
+
+/**
+ * Creates the global motion policy: 'full', 'reduced' or 'none'
+ * Demonstrates closures, live media queries and observer callbacks
+ * Follows the prefers-reduced-motion media query until a runtime override
+ * is set, and mirrors the active policy on <html data-motion="..."> so
+ * styles.css can tone down CSS-only animations as well.
+ * @returns {Object} Policy with get, set, isReduced and subscribe
+ */
+function createMotionPolicy() {
+    const POLICIES = ['full', 'reduced', 'none'];
+    const query = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
+    let override = null;
+    let listeners = [];
+
+    function get() {
+        if (override) return override;
+        return query?.matches ? 'reduced' : 'full';
+    }
+
+    function apply() {
+        const policy = get();
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.setAttribute('data-motion', policy);
+        }
+        listeners.slice().forEach(listener => listener(policy));
+    }
+
+    if (query) {
+        // Older Safari only supports addListener on media query lists
+        if (typeof query.addEventListener === 'function') {
+            query.addEventListener('change', apply);
+        } else if (typeof query.addListener === 'function') {
+            query.addListener(apply);
+        }
+    }
+
+    return {
+        get,
+        // Pass null to go back to following the system preference
+        set: function(policy) {
+            if (policy !== null && !POLICIES.includes(policy)) {
+                console.error(`Unknown motion policy '${policy}'`);
+                return get();
+            }
+            override = policy;
+            apply();
+            return get();
+        },
+        isReduced: function() {
+            return get() !== 'full';
+        },
+        // Re-applies the current policy, e.g. once the DOM is available
+        apply,
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter(item => item !== listener);
+            };
+        }
     };
 }
 
+const motionPolicy = createMotionPolicy();
+
+/**
+ * Picks the CSS class to play an animation with under the current motion policy
+ * @param {string} animation - Animation name from ANIMATION_TYPES
+ * @returns {string|null} Animation class, the fade class when reduced, or null when motion is off
+ */
+function resolveMotionClass(animation) {
+    const policy = motionPolicy.get();
+    if (policy === 'none') return null;
+    if (policy === 'reduced') return 'fade-animation';
+    return `${animation}-animation`;
+}
+
+// ===== WEB ANIMATIONS API BACKEND =====
+
+// Keyframes mirrored from styles.css so helpers can run them through element.animate()
+// Keep these in sync with the matching @keyframes rules.
+const ANIMATION_KEYFRAMES = {
+    pulse: {
+        keyframes: [
+            { transform: 'scale(1)', boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)' },
+            { transform: 'scale(1.05)', boxShadow: '0 0 20px rgba(255, 255, 255, 0.4)' },
+            { transform: 'scale(1)', boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)' }
+        ],
+        timing: { duration: 2000, iterations: Infinity, easing: 'ease' }
+    },
+    bounce: {
+        keyframes: [
+            { transform: 'translateY(0)' },
+            { transform: 'translateY(-20px)' },
+            { transform: 'translateY(0)' }
+        ],
+        timing: { duration: 1000, iterations: Infinity, easing: 'ease' }
+    },
+    rotate: {
+        keyframes: [
+            { transform: 'rotate(0deg)' },
+            { transform: 'rotate(360deg)' }
+        ],
+        timing: { duration: 3000, iterations: Infinity, easing: 'linear' }
+    },
+    shake: {
+        keyframes: [
+            { offset: 0, transform: 'translateX(0)' },
+            { offset: 0.1, transform: 'translateX(-5px)' },
+            { offset: 0.2, transform: 'translateX(5px)' },
+            { offset: 0.3, transform: 'translateX(-5px)' },
+            { offset: 0.4, transform: 'translateX(5px)' },
+            { offset: 0.5, transform: 'translateX(-5px)' },
+            { offset: 0.6, transform: 'translateX(5px)' },
+            { offset: 0.7, transform: 'translateX(-5px)' },
+            { offset: 0.8, transform: 'translateX(5px)' },
+            { offset: 0.9, transform: 'translateX(-5px)' },
+            { offset: 1, transform: 'translateX(0)' }
+        ],
+        timing: { duration: 500, iterations: 1, easing: 'ease' }
+    },
+    flip: {
+        keyframes: [
+            { transform: 'perspective(400px) rotateY(0)' },
+            { transform: 'perspective(400px) rotateY(180deg)' },
+            { transform: 'perspective(400px) rotateY(360deg)' }
+        ],
+        timing: { duration: 2000, iterations: Infinity, easing: 'ease' }
+    },
+    fade: {
+        keyframes: [
+            { opacity: 0 },
+            { opacity: 1 }
+        ],
+        timing: { duration: 1500, iterations: 1, easing: 'ease-in' }
+    },
+    slideIn: {
+        keyframes: [
+            { offset: 0, transform: 'translateX(-100px)', opacity: 0 },
+            { offset: 0.8, transform: 'translateX(10px)' },
+            { offset: 1, transform: 'translateX(0)', opacity: 1 }
+        ],
+        timing: { duration: 1000, iterations: 1, easing: 'ease-out' }
+    }
+};
+
+// Class-style names (`slide-animation`, `fade-animation`) that use a differently named @keyframes rule
+const KEYFRAME_ALIASES = {
+    slide: 'slideIn',
+    fadeIn: 'fade'
+};
+
+/**
+ * Checks whether an element can be animated with the Web Animations API
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} True if element.animate() is available
+ */
+function supportsWebAnimations(element) {
+    return Boolean(element) && typeof element.animate === 'function';
+}
+
+/**
+ * Starts a keyframe animation through element.animate()
+ * Follows the motion policy: 'reduced' plays a short fade, 'none' a zero-length animation
+ * @param {HTMLElement} element - Element to animate
+ * @param {string} name - Name from ANIMATION_KEYFRAMES (or an alias)
+ * @param {Object} timing - Overrides for duration, iterations, easing, delay...
+ * @returns {Animation|null} The running Animation, or null for unknown names
+ */
+function playKeyframeAnimation(element, name, timing = {}) {
+    const definition = ANIMATION_KEYFRAMES[KEYFRAME_ALIASES[name] || name];
+    if (!definition) {
+        console.error(`No keyframes defined for animation '${name}'`);
+        return null;
+    }
+
+    const policy = motionPolicy.get();
+    if (policy === 'none') {
+        return element.animate([], { duration: 0, id: name });
+    }
+
+    const settings = { ...definition.timing, ...timing, id: name };
+    if (policy === 'reduced') {
+        return element.animate(ANIMATION_KEYFRAMES.fade.keyframes, {
+            ...settings,
+            duration: Math.min(settings.duration, REDUCED_MOTION_DURATION),
+            iterations: 1
+        });
+    }
+
+    return element.animate(definition.keyframes, settings);
+}
+
+/**
+ * Runs a keyframe animation through the animation registry
+ * The Animation starts paused and only plays once the registry grants a slot.
+ * @param {HTMLElement} element - Element to animate
+ * @param {string} name - Name from ANIMATION_KEYFRAMES
+ * @param {Object} options - { kind, timing }
+ * @returns {Animation|null} The Animation, or null if it was rejected
+ */
+function applyKeyframeAnimation(element, name, options = {}) {
+    const animation = playKeyframeAnimation(element, name, options.timing);
+    if (!animation) return null;
+    animation.pause();
+
+    const record = animationRegistry.request(element, name, {
+        kind: options.kind || 'keyframes',
+        start: () => {
+            animation.play();
+            callAnimationHook(name, 'onStart', element);
+        },
+        cancel: () => {
+            animation.cancel();
+            callAnimationHook(name, 'onEnd', element, { cancelled: true });
+        }
+    });
+
+    if (!record) {
+        animation.cancel();
+        return null;
+    }
+
+    // Cancelled animations reject `finished`; the registry already knows about those
+    animation.finished.then(() => {
+        if (animationRegistry.end(record)) callAnimationHook(name, 'onEnd', element, { cancelled: false });
+    }, () => {});
+    return animation;
+}
+
+/**
+ * Animates an element's background color with element.animate()
+ * @param {HTMLElement} element - Element to recolor
+ * @param {string} color - CSS color value
+ * @param {number} duration - Duration in milliseconds
+ * @returns {Promise} Resolves with true when the animation finishes, false if cancelled or rejected
+ */
+function animateBackgroundColor(element, color, duration) {
+    animationRegistry.cancelElement(element, record => record.kind === 'color');
+
+    const from = getComputedStyle(element).backgroundColor;
+    const animation = element.animate(
+        [{ backgroundColor: from }, { backgroundColor: color }],
+        { duration, easing: 'ease', id: 'color' }
+    );
+    animation.pause();
+
+    const record = animationRegistry.request(element, 'color', {
+        kind: 'color',
+        start: () => {
+            // Commit the final color underneath the animation; skip the CSS transition
+            element.style.transition = 'background-color 0s';
+            element.style.backgroundColor = color;
+            animation.play();
+        },
+        cancel: () => animation.cancel()
+    });
+
+    if (!record) {
+        animation.cancel();
+        return Promise.resolve(false);
+    }
+
+    // `finished` rejects when the animation is cancelled
+    return animation.finished.then(() => animationRegistry.end(record), () => false);
+}
+
 // ===== PART 3: ANIMATION CONTROL FUNCTIONS =====
 
 /**
  * Toggles CSS animation class on an element
  * Demonstrates DOM manipulation and class management
+ * The class is tracked by the animation registry, so adding it may be
+ * queued or rejected once globalAnimationState.maxAnimations is reached.
  * @param {string} elementId - ID of the element to animate
  * @param {string} className - CSS class to toggle
- * @returns {boolean} New animation state (true if added, false if removed)
+ * @returns {boolean} New animation state (true if added or queued, false if removed or rejected)
  */
 function toggleAnimation(elementId, className) {
     const element = document.getElementById(elementId);
@@ -191,219 +1483,6300 @@ function toggleAnimation(elementId, className) {
         return false;
     }
     
-    const hasClass = element.classList.contains(className);
+    const existing = animationRegistry.find(element, className);
     
-    if (hasClass) {
+    if (existing) {
+        if (existing.status === 'running') {
+            element.classList.remove(className);
+            animationRegistry.end(existing);
+        } else {
+            animationRegistry.cancel(existing);
+        }
+        return false;
+    }
+    
+    // Class set in the markup rather than through the registry
+    if (element.classList.contains(className)) {
         element.classList.remove(className);
-        globalAnimationState.activeAnimations--;
-    } else {
-        element.classList.add(className);
-        globalAnimationState.activeAnimations++;
+        return false;
     }
     
-    globalAnimationState.isAnimating = globalAnimationState.activeAnimations > 0;
-    return !hasClass;
+    const record = animationRegistry.request(element, className, {
+        start: () => element.classList.add(className),
+        cancel: () => element.classList.remove(className)
+    });
+    return record !== null;
+}
+
+/**
+ * Applies a random animation to an element
+ * Demonstrates array manipulation and random selection
+ * @param {string} elementId - ID of the element to animate
+ * @param {Object} options - { backend: 'css' | 'waapi' }
+ * @returns {string|null} Name of the applied animation, or null if it was rejected.
+ *   A queued animation also returns its name; use isAnimationQueued to tell it apart
+ *   from one that is playing.
+ */
+function applyRandomAnimation(elementId, options = {}) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+        console.error(`Element with ID '${elementId}' not found`);
+        return null;
+    }
+    
+    // Replace whatever keyframe animation or sequence the element was running
+    animationRegistry.cancelElement(element, record => record.kind === 'keyframes');
+    removeAnimationClasses(element);
+    
+    // Select and apply random animation, favouring higher plugin weights
+    const selectedAnimation = pickRandomAnimation();
+    if (!selectedAnimation) {
+        console.error('No animations available for random selection');
+        return null;
+    }
+    
+    // Falls back to the class-based path when element.animate() is unavailable
+    if (options.backend === 'waapi' && supportsWebAnimations(element)) {
+        return applyKeyframeAnimation(element, selectedAnimation) ? selectedAnimation : null;
+    }
+    
+    // Reduced motion swaps in a one-off fade; no motion applies nothing
+    const className = resolveMotionClass(selectedAnimation);
+    
+    // Finite animations (e.g. shake) free their registry slot when they end
+    function onEnd(event) {
+        if (event.target !== element) return;
+        element.removeEventListener('animationend', onEnd);
+        element.classList.remove(className);
+        if (animationRegistry.end(record)) {
+            callAnimationHook(selectedAnimation, 'onEnd', element, { cancelled: false });
+        }
+    }
+    
+    const record = animationRegistry.request(element, selectedAnimation, {
+        kind: 'keyframes',
+        start: current => {
+            if (!className) {
+                animationRegistry.end(current);
+                return;
+            }
+            element.classList.add(className);
+            element.addEventListener('animationend', onEnd);
+            callAnimationHook(selectedAnimation, 'onStart', element);
+        },
+        cancel: () => {
+            element.removeEventListener('animationend', onEnd);
+            if (className) {
+                element.classList.remove(className);
+                callAnimationHook(selectedAnimation, 'onEnd', element, { cancelled: true });
+            }
+        }
+    });
+    
+    return record ? selectedAnimation : null;
+}
+
+/**
+ * Tells whether an animation is waiting in the registry queue rather than playing
+ * @param {string|HTMLElement} target - Element ID or element
+ * @param {string} name - Animation name, e.g. from applyRandomAnimation
+ * @returns {boolean} True while it waits for a free slot
+ */
+function isAnimationQueued(target, name) {
+    const element = typeof target === 'string' ? document.getElementById(target) : target;
+    return animationRegistry.find(element, name)?.status === 'queued';
+}
+
+/**
+ * Changes element color with smooth transition
+ * Demonstrates style manipulation and CSS property setting
+ * @param {string} elementId - ID of the element
+ * @param {string} color - CSS color value, or a theme color name such as 'accent'
+ * @param {number} duration - Transition duration in milliseconds
+ * @param {Object} options - { backend: 'css' | 'waapi', space: 'srgb' | 'oklch' | 'hsl' }
+ * @returns {Promise} Promise that resolves with true when the transition completes, false if cancelled or rejected
+ */
+function changeColorWithTransition(elementId, color, duration = 500, options = {}) {
+    color = themeManager.resolveColor(color);
+    
+    // Color fades are kept under 'reduced'; 'none' switches instantly
+    if (motionPolicy.get() === 'none') {
+        duration = 0;
+    }
+    
+    if (options.backend === 'waapi') {
+        const element = document.getElementById(elementId);
+        if (supportsWebAnimations(element)) {
+            return animateBackgroundColor(element, color, duration);
+        }
+    }
+    
+    // The browser only transitions in sRGB; other spaces are interpolated frame by frame
+    if (options.space && options.space !== 'srgb') {
+        return animateColor(elementId, 'backgroundColor', color, { duration, space: options.space });
+    }
+    
+    return new Promise((resolve) => {
+        const element = document.getElementById(elementId);
+        if (!element) {
+            console.error(`Element with ID '${elementId}' not found`);
+            resolve(false);
+            return;
+        }
+        
+        // A newer color change replaces any transition still in flight
+        animationRegistry.cancelElement(element, record => record.kind === 'color');
+        
+        const record = animationRegistry.request(element, 'color', {
+            kind: 'color',
+            start: current => {
+                // Set transition properties
+                element.style.transition = `background-color ${duration}ms ease`;
+                
+                // Change color
+                element.style.backgroundColor = color;
+                
+                // Resolve promise when transition completes (the timer covers unchanged colors)
+                waitForTransitionEnd(element, duration + 50).then(() => {
+                    if (animationRegistry.end(current)) resolve(true);
+                });
+            },
+            cancel: () => resolve(false)
+        });
+        
+        if (!record) {
+            resolve(false);
+        }
+    });
+}
+
+/**
+ * Creates a timer that can be paused and resumed without losing its remaining time
+ * Demonstrates closures holding private timing state
+ * @param {Function} callback - Function to call when the timer fires
+ * @param {number} ms - Time to wait in milliseconds
+ * @returns {Object} Timer object with pause, resume and clear methods
+ */
+function createPausableTimer(callback, ms) {
+    let remaining = ms;
+    let startedAt = Date.now();
+    let timerId = setTimeout(callback, remaining);
+
+    return {
+        pause: function() {
+            if (timerId === null) return;
+            clearTimeout(timerId);
+            timerId = null;
+            remaining -= Date.now() - startedAt;
+        },
+        resume: function() {
+            if (timerId !== null) return;
+            startedAt = Date.now();
+            timerId = setTimeout(callback, Math.max(0, remaining));
+        },
+        clear: function() {
+            clearTimeout(timerId);
+            timerId = null;
+        }
+    };
+}
+
+/**
+ * Removes every known animation class from an element
+ * @param {HTMLElement} element - Element to clean up
+ */
+function removeAnimationClasses(element) {
+    // Built-in fade and slide are left alone: reveals and reduced-motion fades manage those
+    const names = new Set(ANIMATION_TYPES);
+    animationCatalog.forEach(entry => {
+        if (!entry.builtIn) names.add(entry.name);
+    });
+    names.forEach(animation => {
+        element.classList.remove(`${animation}-animation`);
+    });
+}
+
+// Sequences that are currently running, keyed by element, so that starting
+// a new sequence on the same element can cancel the previous one
+const activeSequences = new Map();
+
+/**
+ * Normalizes a sequence step into a { name, duration, iterations } object
+ * @param {string|Object} step - Animation name or step configuration
+ * @param {number} index - Position of the step in the sequence
+ * @param {Object} options - Sequence options holding per-step defaults
+ * @returns {Object} Normalized step
+ */
+function normalizeSequenceStep(step, index, options) {
+    const config = typeof step === 'string' ? { name: step } : { ...step };
+    const durations = options.durations;
+    const iterations = options.iterations;
+
+    return {
+        name: config.name,
+        duration: config.duration ?? (Array.isArray(durations) ? durations[index] : durations) ?? null,
+        iterations: config.iterations ?? (Array.isArray(iterations) ? iterations[index] : iterations) ?? 1
+    };
+}
+
+/**
+ * Adapts a normalized sequence step to the current motion policy
+ * Under 'reduced' every step becomes one short fade; under 'none' it has no class and completes at once
+ * @param {Object} step - Normalized step
+ * @returns {Object} Step with the className to apply
+ */
+function adaptStepToMotionPolicy(step) {
+    const className = resolveMotionClass(step.name);
+    if (motionPolicy.get() !== 'reduced') {
+        return { ...step, className };
+    }
+    return {
+        ...step,
+        className,
+        duration: Math.min(step.duration ?? REDUCED_MOTION_DURATION, REDUCED_MOTION_DURATION),
+        iterations: 1
+    };
+}
+
+/**
+ * Creates a sequential animation sequence driven by animation events
+ * Demonstrates async/await, event-driven waiting and cancellation
+ * Each step waits for the element's real animationend event (counting
+ * animationiteration events on the way). A fallback timer only fires if the
+ * browser never reports the animation, e.g. when the element is hidden.
+ * @param {string} elementId - ID of the element to animate
+ * @param {Array<string|Object>} animations - Animation names or { name, duration, iterations } steps
+ * @param {Object|number} options - Sequence options, or a legacy fallback delay in milliseconds
+ * @param {number|Array<number>} options.durations - Duration in ms for every step, or one per step
+ * @param {number|Array<number>} options.iterations - Iteration count for every step, or one per step
+ * @param {number} options.gap - Pause between steps in milliseconds
+ * @param {number} options.timeout - Fallback wait for steps without a known duration
+ * @param {AbortSignal} options.signal - Signal that cancels the sequence when aborted
+ * @param {string} options.backend - 'css' (default) or 'waapi' to run steps through element.animate()
+ * @returns {Object|null} Sequence handle with pause, resume, cancel, a finished promise and its Animation objects;
+ *   its state is running, paused, completed, cancelled or rejected (no registry slot)
+ */
+function runAnimationSequence(elementId, animations, options = {}) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+        console.error(`Element with ID '${elementId}' not found`);
+        return null;
+    }
+
+    // Support the old (elementId, animations, delay) signature
+    const settings = typeof options === 'number' ? { timeout: options } : options;
+    const { gap = 0, timeout = 5000, signal } = settings;
+    const steps = animations.map((step, index) => normalizeSequenceStep(step, index, settings));
+    const useWebAnimations = settings.backend === 'waapi' && supportsWebAnimations(element);
+
+    // Steps naming no known animation are reported and skipped rather than silently doing nothing
+    const isKnown = name => animationCatalog.has(name) ||
+        (useWebAnimations && Boolean(ANIMATION_KEYFRAMES[KEYFRAME_ALIASES[name] || name]));
+    const unknown = [...new Set(steps.map(step => step.name).filter(name => !isKnown(name)))];
+    if (unknown.length > 0) {
+        console.error(`Unknown animation(s) in sequence: ${unknown.join(', ')}`);
+        displayResult(i18n.t('sequence.skipping', { names: unknown.join(', ') }), 'animationResults', 'error', {
+            payload: { unknown }
+        });
+    }
+
+    // Only one sequence may drive an element at a time, and it replaces any random animation
+    activeSequences.get(element)?.cancel();
+    animationRegistry.cancelElement(element, existing => existing.kind === 'keyframes');
+
+    const controller = new AbortController();
+    let state = 'running';
+    let currentTimer = null;
+    let currentStep = null;
+    let currentAnimation = null;
+    const playedAnimations = [];
+    let stepsRun = 0;
+    let record = null;
+    let openSlot;
+    const slotGranted = new Promise(resolve => {
+        openSlot = resolve;
+    });
+
+    /**
+     * Waits for the current step to finish, the fallback timer to fire or the sequence to be cancelled
+     * @param {Object} step - Normalized step being played
+     * @returns {Promise} Promise that resolves when the step is over
+     */
+    function waitForStep(step) {
+        return new Promise(resolve => {
+            let iterationsSeen = 0;
+
+            function finish() {
+                element.removeEventListener('animationiteration', onIteration);
+                element.removeEventListener('animationend', onEnd);
+                controller.signal.removeEventListener('abort', finish);
+                currentTimer?.clear();
+                currentTimer = null;
+                resolve();
+            }
+
+            function onIteration(event) {
+                if (event.target !== element) return;
+                iterationsSeen++;
+                if (iterationsSeen >= step.iterations) finish();
+            }
+
+            function onEnd(event) {
+                if (event.target === element) finish();
+            }
+
+            element.addEventListener('animationiteration', onIteration);
+            element.addEventListener('animationend', onEnd);
+            controller.signal.addEventListener('abort', finish);
+
+            const fallback = step.duration !== null ? step.duration * step.iterations + 250 : timeout;
+            currentTimer = createPausableTimer(finish, fallback);
+            if (state === 'paused') currentTimer.pause();
+        });
+    }
+
+    /**
+     * Waits for a Web Animations step to finish or the sequence to be cancelled
+     * @param {Animation} animation - Animation being played
+     * @returns {Promise} Promise that resolves when the step is over
+     */
+    function waitForAnimation(animation) {
+        return new Promise(resolve => {
+            function finish() {
+                controller.signal.removeEventListener('abort', finish);
+                resolve();
+            }
+
+            animation.finished.then(finish, finish);
+            controller.signal.addEventListener('abort', finish);
+        });
+    }
+
+    /**
+     * Waits between two steps, honouring pause and cancel
+     * @param {number} ms - Gap in milliseconds
+     * @returns {Promise} Promise that resolves when the gap is over
+     */
+    function waitForGap(ms) {
+        return new Promise(resolve => {
+            function finish() {
+                controller.signal.removeEventListener('abort', finish);
+                currentTimer?.clear();
+                currentTimer = null;
+                resolve();
+            }
+
+            controller.signal.addEventListener('abort', finish);
+            currentTimer = createPausableTimer(finish, ms);
+            if (state === 'paused') currentTimer.pause();
+        });
+    }
+
+    function clearStep() {
+        if (!currentStep) return;
+        if (currentStep.className) element.classList.remove(currentStep.className);
+        element.style.animationDuration = '';
+        element.style.animationIterationCount = '';
+        element.style.animationPlayState = '';
+        currentStep = null;
+    }
+
+    async function play() {
+        if (!record && !controller.signal.aborted) {
+            state = 'rejected';
+            displayResult(i18n.t('sequence.rejected'), 'animationResults', 'warning');
+            return { completed: false, stepsRun };
+        }
+
+        // Wait for the registry to grant a slot (immediate unless queued)
+        await slotGranted;
+        if (!controller.signal.aborted) {
+            removeAnimationClasses(element);
+        }
+
+        for (let i = 0; i < steps.length && !controller.signal.aborted; i++) {
+            if (unknown.includes(steps[i].name)) continue;
+            const step = adaptStepToMotionPolicy(steps[i]);
+            currentStep = step;
+
+            // Display progress
+            displayResult(i18n.t('sequence.step', { step: i + 1, total: steps.length, name: step.name }), 'animationResults');
+
+            if (useWebAnimations) {
+                // playKeyframeAnimation applies the motion policy itself
+                const timing = { iterations: steps[i].iterations };
+                if (steps[i].duration !== null) timing.duration = steps[i].duration;
+                currentAnimation = playKeyframeAnimation(element, steps[i].name, timing);
+
+                if (currentAnimation) {
+                    playedAnimations.push(currentAnimation);
+                    if (state === 'paused') currentAnimation.pause();
+                    callAnimationHook(step.name, 'onStart', element);
+                    await waitForAnimation(currentAnimation);
+                    callAnimationHook(step.name, 'onEnd', element, { cancelled: controller.signal.aborted });
+                    currentAnimation = null;
+                }
+            } else if (step.className) {
+                // Apply animation with its per-step timing
+                if (step.duration !== null) {
+                    element.style.animationDuration = `${step.duration}ms`;
+                }
+                element.style.animationIterationCount = String(step.iterations);
+                element.style.animationPlayState = state === 'paused' ? 'paused' : '';
+                element.classList.add(step.className);
+                callAnimationHook(step.name, 'onStart', element);
+
+                await waitForStep(step);
+                callAnimationHook(step.name, 'onEnd', element, { cancelled: controller.signal.aborted });
+            }
+            clearStep();
+
+            if (controller.signal.aborted) break;
+            stepsRun++;
+
+            if (gap > 0 && i < steps.length - 1) {
+                await waitForGap(gap);
+            }
+        }
+
+        if (activeSequences.get(element) === handle) {
+            activeSequences.delete(element);
+        }
+
+        if (controller.signal.aborted) {
+            displayResult(i18n.t('sequence.cancelled'), 'animationResults', 'warning');
+            return { completed: false, stepsRun };
+        }
+
+        state = 'completed';
+        animationRegistry.end(record);
+        displayResult(i18n.t('sequence.completed'), 'animationResults', 'success');
+        return { completed: true, stepsRun };
+    }
+
+    const handle = {
+        elementId,
+        get state() {
+            return state;
+        },
+        // Animation objects played so far (Web Animations backend only)
+        get animations() {
+            return [...playedAnimations];
+        },
+        get currentAnimation() {
+            return currentAnimation;
+        },
+        pause: function() {
+            if (state !== 'running') return;
+            state = 'paused';
+            element.style.animationPlayState = 'paused';
+            currentTimer?.pause();
+            currentAnimation?.pause();
+        },
+        resume: function() {
+            if (state !== 'paused') return;
+            state = 'running';
+            element.style.animationPlayState = '';
+            currentTimer?.resume();
+            currentAnimation?.play();
+        },
+        cancel: function() {
+            if (state !== 'running' && state !== 'paused') return;
+            state = 'cancelled';
+            currentAnimation?.cancel();
+            controller.abort();
+            clearStep();
+            openSlot();
+            animationRegistry.cancel(record);
+        },
+        // Lets callers keep writing `await runAnimationSequence(...)`
+        then: function(onFulfilled, onRejected) {
+            return handle.finished.then(onFulfilled, onRejected);
+        }
+    };
+
+    function onSignalAbort() {
+        handle.cancel();
+    }
+
+    if (signal) {
+        if (signal.aborted) {
+            handle.cancel();
+        } else {
+            signal.addEventListener('abort', onSignalAbort, { once: true });
+        }
+    }
+
+    if (state !== 'cancelled') {
+        record = animationRegistry.request(element, 'sequence', {
+            kind: 'keyframes',
+            start: () => openSlot(),
+            cancel: () => handle.cancel()
+        });
+    }
+
+    // A rejected sequence never runs, so it must not block the next one on this element
+    if (record) activeSequences.set(element, handle);
+    // A long-lived signal shouldn't keep finished sequences alive
+    handle.finished = play().finally(() => signal?.removeEventListener('abort', onSignalAbort));
+    return handle;
+}
+
+/**
+ * Waits for a CSS transition on an element to finish
+ * Falls back to a timer in case transitionend never fires (no transition, hidden element)
+ * @param {HTMLElement} element - Element whose transition to wait for
+ * @param {number} fallbackMs - Maximum time to wait in milliseconds
+ * @returns {Promise} Promise that resolves when the transition ends
+ */
+function waitForTransitionEnd(element, fallbackMs) {
+    return new Promise(resolve => {
+        let timerId = null;
+
+        function finish() {
+            element.removeEventListener('transitionend', onEnd);
+            clearTimeout(timerId);
+            resolve();
+        }
+
+        function onEnd(event) {
+            if (event.target === element) finish();
+        }
+
+        element.addEventListener('transitionend', onEnd);
+        timerId = setTimeout(finish, fallbackMs);
+    });
+}
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Creates a manager for accessible, stackable modals
+ * Demonstrates closures, promises and keyboard event handling
+ * Works with the existing `.modal` > `.modal-content` markup: the outer
+ * element is the backdrop, the content becomes the dialog. Only the top
+ * modal of the stack receives Escape and keeps focus trapped.
+ * @param {Object} options - Manager options
+ * @param {number} options.baseZIndex - z-index of the first modal in the stack
+ * @returns {Object} Manager with register, open, close, closeTop, isOpen and getStack
+ */
+function createModalManager(options = {}) {
+    const baseZIndex = options.baseZIndex ?? 1000;
+    const stack = [];
+    let previousBodyOverflow = '';
+
+    function getTop() {
+        return stack[stack.length - 1] || null;
+    }
+
+    function getFocusable(entry) {
+        return [...entry.content.querySelectorAll(FOCUSABLE_SELECTOR)];
+    }
+
+    /**
+     * Keeps Tab inside the top modal and closes it on Escape
+     * @param {KeyboardEvent} event - Keydown event from the document
+     */
+    function onKeydown(event) {
+        const top = getTop();
+        if (!top || (top.state !== 'open' && top.state !== 'opening')) return;
+
+        if (event.key === 'Escape' && top.options.closeOnEscape !== false) {
+            event.preventDefault();
+            manager.close(top.modal.id, 'escape');
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusable = getFocusable(top);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            top.content.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (event.shiftKey && (active === first || !top.content.contains(active))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || !top.content.contains(active))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Adds the dialog semantics the markup is missing
+     * @param {HTMLElement} modal - Backdrop element
+     * @param {HTMLElement} content - Dialog element
+     */
+    function prepareMarkup(modal, content) {
+        content.setAttribute('role', 'dialog');
+        content.setAttribute('aria-modal', 'true');
+        if (!content.hasAttribute('tabindex')) {
+            content.setAttribute('tabindex', '-1');
+        }
+
+        const heading = content.querySelector('h1, h2, h3');
+        if (heading && !content.hasAttribute('aria-labelledby')) {
+            heading.id = heading.id || `${modal.id}-title`;
+            content.setAttribute('aria-labelledby', heading.id);
+        }
+    }
+
+    const manager = {
+        /**
+         * Prepares a modal ahead of its first open and hides it from assistive technology
+         * @param {string} modalId - ID of the modal element
+         * @returns {boolean} False if the modal doesn't exist
+         */
+        register: function(modalId) {
+            const modal = document.getElementById(modalId);
+            if (!modal) {
+                console.error(`Modal with ID '${modalId}' not found`);
+                return false;
+            }
+
+            prepareMarkup(modal, modal.querySelector('.modal-content') || modal);
+            if (!manager.isOpen(modalId)) {
+                modal.setAttribute('aria-hidden', 'true');
+            }
+            return true;
+        },
+        /**
+         * Opens a modal on top of the stack
+         * @param {string} modalId - ID of the modal element
+         * @param {Object} openOptions - { opener, onOpen, onClose, closeOnBackdrop, closeOnEscape, transitionTimeout }
+         * @returns {Promise<string>} Promise resolving with the close reason (button, backdrop, escape or programmatic)
+         */
+        open: function(modalId, openOptions = {}) {
+            const modal = document.getElementById(modalId);
+            if (!modal) {
+                console.error(`Modal with ID '${modalId}' not found`);
+                return Promise.resolve(null);
+            }
+
+            const existing = stack.find(entry => entry.modal === modal);
+            if (existing) {
+                return existing.closed;
+            }
+
+            const content = modal.querySelector('.modal-content') || modal;
+            prepareMarkup(modal, content);
+
+            const entry = {
+                modal,
+                content,
+                options: openOptions,
+                opener: openOptions.opener || document.activeElement,
+                state: 'opening',
+                listeners: []
+            };
+            entry.closed = new Promise(resolve => {
+                entry.resolveClosed = resolve;
+            });
+
+            function listen(target, type, handler) {
+                target.addEventListener(type, handler);
+                entry.listeners.push(() => target.removeEventListener(type, handler));
+            }
+
+            listen(modal, 'click', event => {
+                if (event.target === modal && openOptions.closeOnBackdrop !== false) {
+                    manager.close(modalId, 'backdrop');
+                }
+            });
+            content.querySelectorAll('.close-btn, [data-modal-close]').forEach(button => {
+                listen(button, 'click', () => manager.close(modalId, 'button'));
+            });
+
+            if (stack.length === 0) {
+                previousBodyOverflow = document.body.style.overflow;
+                document.body.style.overflow = 'hidden';
+                document.addEventListener('keydown', onKeydown);
+            }
+            stack.push(entry);
+
+            modal.style.zIndex = String(baseZIndex + (stack.length - 1) * 10);
+            modal.setAttribute('aria-hidden', 'false');
+            modal.classList.add('active');
+
+            const focusTarget = openOptions.initialFocus || getFocusable(entry)[0] || content;
+            focusTarget.focus();
+
+            waitForTransitionEnd(content, openOptions.transitionTimeout ?? 600).then(() => {
+                if (entry.state !== 'opening') return;
+                entry.state = 'open';
+                openOptions.onOpen?.(modal);
+            });
+
+            return entry.closed;
+        },
+        /**
+         * Closes a modal and restores focus to whatever opened it
+         * @param {string} modalId - ID of the modal element
+         * @param {string} reason - Why the modal closed
+         * @returns {Promise<string>} Promise resolving with the close reason once the transition ends
+         */
+        close: function(modalId, reason = 'programmatic') {
+            const index = stack.findIndex(entry => entry.modal.id === modalId);
+            if (index === -1) {
+                return Promise.resolve(null);
+            }
+
+            const [entry] = stack.splice(index, 1);
+            entry.state = 'closing';
+            entry.listeners.forEach(remove => remove());
+
+            entry.modal.classList.remove('active');
+            entry.modal.setAttribute('aria-hidden', 'true');
+
+            if (stack.length === 0) {
+                document.body.style.overflow = previousBodyOverflow;
+                document.removeEventListener('keydown', onKeydown);
+            }
+
+            if (entry.opener && typeof entry.opener.focus === 'function') {
+                entry.opener.focus();
+            }
+
+            waitForTransitionEnd(entry.content, entry.options.transitionTimeout ?? 600).then(() => {
+                entry.state = 'closed';
+                // The modal may have been reopened while this transition ran
+                if (!stack.some(other => other.modal === entry.modal)) {
+                    entry.modal.style.zIndex = '';
+                }
+                entry.options.onClose?.(reason, entry.modal);
+                entry.resolveClosed(reason);
+            });
+
+            return entry.closed;
+        },
+        // Closes whichever modal is on top of the stack
+        closeTop: function(reason = 'programmatic') {
+            const top = getTop();
+            return top ? manager.close(top.modal.id, reason) : Promise.resolve(null);
+        },
+        isOpen: function(modalId) {
+            return stack.some(entry => entry.modal.id === modalId);
+        },
+        getStack: function() {
+            return stack.map(entry => entry.modal.id);
+        }
+    };
+
+    return manager;
+}
+
+// Shared modal manager used by toggleModal and the demo controls
+const modalManager = createModalManager();
+
+/**
+ * Controls modal display with animation
+ * Demonstrates complex DOM manipulation and CSS class management
+ * Kept for existing callers; delegates to modalManager.
+ * @param {string} modalId - ID of the modal element
+ * @param {boolean} show - Whether to show or hide the modal
+ * @param {number} animationDuration - Longest time to wait for the CSS transition in milliseconds
+ * @returns {Promise<string>|undefined} Promise resolving with the close reason
+ */
+function toggleModal(modalId, show, animationDuration = 500) {
+    if (!document.getElementById(modalId)) {
+        console.error(`Modal with ID '${modalId}' not found`);
+        return;
+    }
+
+    if (show) {
+        return modalManager.open(modalId, { transitionTimeout: animationDuration + 100 });
+    }
+    return modalManager.close(modalId, 'programmatic');
+}
+
+/**
+ * Flips a card element between its front and back faces
+ * Under reduced motion the card switches faces instantly with a short fade instead of rotating
+ * @param {HTMLElement} card - The .card element
+ * @returns {boolean} True if the card now shows its back face
+ */
+function flipCard(card) {
+    const policy = motionPolicy.get();
+    const flipped = card.classList.toggle('flipped');
+    if (card.hasAttribute('aria-pressed')) {
+        card.setAttribute('aria-pressed', String(flipped));
+    }
+
+    if (policy === 'reduced') {
+        card.classList.remove('fade-animation');
+        void card.offsetWidth;
+        card.classList.add('fade-animation');
+        card.addEventListener('animationend', function onEnd(event) {
+            if (event.target !== card) return;
+            card.removeEventListener('animationend', onEnd);
+            card.classList.remove('fade-animation');
+        });
+    }
+
+    return flipped;
+}
+
+/**
+ * Creates a manager for shared, reference-counted loaders
+ * Demonstrates closures, reference counting and timer-based state
+ * Every operation starts a task on a loader container. Overlapping tasks
+ * share one loader, which stays up until the last task ends. The loader
+ * only appears once a task has run for `delay` ms and stays up for at
+ * least `minDuration` ms, so fast operations never flash a spinner.
+ * Tasks that report progress make the loader determinate: the bar shows
+ * the average progress of those tasks.
+ * @returns {Object} Manager with start, cancel, isVisible, getProgress and getTaskCount
+ */
+function createLoaderManager() {
+    const loaders = new Map();
+    let nextId = 1;
+
+    function getLoader(container) {
+        if (!loaders.has(container)) {
+            loaders.set(container, {
+                tasks: new Set(),
+                visible: false,
+                shownAt: 0,
+                minDuration: 0,
+                showTimer: null,
+                hideTimer: null
+            });
+        }
+        return loaders.get(container);
+    }
+
+    // Progress bar inside the container, created on first determinate task
+    function getProgressBar(container) {
+        let bar = container.querySelector('.loader-progress .progress-bar');
+        if (!bar) {
+            const track = document.createElement('div');
+            track.className = 'progress-container loader-progress';
+            bar = document.createElement('div');
+            bar.className = 'progress-bar';
+            bar.setAttribute('role', 'progressbar');
+            bar.setAttribute('aria-valuemin', '0');
+            bar.setAttribute('aria-valuemax', '100');
+            track.appendChild(bar);
+            container.appendChild(track);
+        }
+        return bar;
+    }
+
+    function render(container, loader) {
+        const latest = [...loader.tasks].pop();
+        const loadingText = container.querySelector('.loading-text');
+        if (loadingText && latest?.message) {
+            loadingText.textContent = latest.message;
+        }
+
+        const progress = manager.getProgress(container);
+        container.classList.toggle('is-determinate', progress !== null);
+        if (progress !== null) {
+            const bar = getProgressBar(container);
+            bar.style.width = `${progress}%`;
+            bar.setAttribute('aria-valuenow', String(Math.round(progress)));
+        }
+    }
+
+    function show(container, loader) {
+        clearTimeout(loader.showTimer);
+        loader.showTimer = null;
+        if (loader.visible) return;
+        loader.visible = true;
+        loader.shownAt = Date.now();
+        container.style.display = 'block';
+        container.setAttribute('aria-busy', 'true');
+        render(container, loader);
+    }
+
+    function hide(container, loader) {
+        loader.visible = false;
+        loader.hideTimer = null;
+        container.style.display = 'none';
+        container.removeAttribute('aria-busy');
+        container.classList.remove('is-determinate');
+        container.querySelector('.loader-progress')?.remove();
+        loaders.delete(container);
+    }
+
+    // Called whenever a task ends: hides once nothing is left, respecting minDuration
+    function settle(container, loader) {
+        if (loader.tasks.size > 0) {
+            render(container, loader);
+            return;
+        }
+        clearTimeout(loader.showTimer);
+        if (!loader.visible) {
+            hide(container, loader);
+            return;
+        }
+        const remaining = loader.shownAt + loader.minDuration - Date.now();
+        if (remaining > 0) {
+            loader.hideTimer = setTimeout(() => hide(container, loader), remaining);
+        } else {
+            hide(container, loader);
+        }
+    }
+
+    const manager = {
+        /**
+         * Starts a task on a loader container
+         * @param {string|HTMLElement} target - Loader container ID or element
+         * @param {Object} options - Task options
+         * @param {string} options.message - Text for the container's .loading-text
+         * @param {number} options.delay - Wait before showing the loader, in ms
+         * @param {number} options.minDuration - Shortest time the loader stays visible once shown, in ms
+         * @returns {Object|null} Task with setProgress, setMessage, done, cancel and signal, or null if the container is missing
+         */
+        start: function(target, options = {}) {
+            const container = resolveAnimationTarget(target);
+            if (!container) {
+                console.error(`Loader container '${target}' not found`);
+                return null;
+            }
+
+            const { message = null, delay = 0, minDuration = 0 } = options;
+            const loader = getLoader(container);
+            const controller = new AbortController();
+            loader.minDuration = Math.max(loader.minDuration, minDuration);
+
+            // A new task keeps a loader that was about to hide
+            clearTimeout(loader.hideTimer);
+            loader.hideTimer = null;
+
+            const task = {
+                id: nextId++,
+                message,
+                progress: null,
+                signal: controller.signal,
+                // 0–100; makes the loader determinate
+                setProgress: function(value) {
+                    if (!loader.tasks.has(task)) return;
+                    task.progress = Math.min(100, Math.max(0, Number(value) || 0));
+                    if (loader.visible) render(container, loader);
+                },
+                setMessage: function(text) {
+                    task.message = text;
+                    if (loader.visible) render(container, loader);
+                },
+                done: function() {
+                    if (!loader.tasks.delete(task)) return false;
+                    settle(container, loader);
+                    return true;
+                },
+                cancel: function(reason = 'cancelled') {
+                    if (!loader.tasks.has(task)) return false;
+                    controller.abort(reason);
+                    return task.done();
+                }
+            };
+
+            loader.tasks.add(task);
+            if (loader.visible) {
+                render(container, loader);
+            } else if (delay > 0) {
+                if (!loader.showTimer) {
+                    loader.showTimer = setTimeout(() => show(container, loader), delay);
+                }
+            } else {
+                show(container, loader);
+            }
+            return task;
+        },
+        // Cancels every task on a container; the loader hides once minDuration allows
+        cancel: function(target, reason = 'cancelled') {
+            const container = resolveAnimationTarget(target);
+            const loader = container && loaders.get(container);
+            if (!loader) return 0;
+            const tasks = [...loader.tasks];
+            tasks.forEach(task => task.cancel(reason));
+            return tasks.length;
+        },
+        // Reads the rendered state, so loaders shown or hidden by markup or CSS count too
+        isVisible: function(target) {
+            const container = resolveAnimationTarget(target);
+            if (!container) return false;
+            const loader = loaders.get(container);
+            if (loader) return loader.visible;
+            return getComputedStyle(container).display !== 'none';
+        },
+        // Average progress of tasks reporting it, or null when the loader is indeterminate
+        getProgress: function(target) {
+            const container = resolveAnimationTarget(target);
+            const loader = container && loaders.get(container);
+            const reporting = loader ? [...loader.tasks].filter(task => task.progress !== null) : [];
+            if (reporting.length === 0) return null;
+            return reporting.reduce((sum, task) => sum + task.progress, 0) / reporting.length;
+        },
+        getTaskCount: function(target) {
+            const container = resolveAnimationTarget(target);
+            const loader = container && loaders.get(container);
+            return loader ? loader.tasks.size : 0;
+        }
+    };
+
+    return manager;
+}
+
+// Shared manager behind withLoader and toggleLoader
+const loaderManager = createLoaderManager();
+
+/**
+ * Shows a loader while an operation runs, but only if it is slow
+ * Demonstrates promise composition and AbortSignal cancellation
+ * `operation` can be a promise, or a function receiving the loader task
+ * (use task.setProgress(0–100) and task.signal) and returning a promise.
+ * Cancelling the task, the container (loaderManager.cancel) or
+ * options.signal rejects with an AbortError.
+ * @param {string|HTMLElement} containerId - Loader container ID or element
+ * @param {Promise|Function} operation - Work to wait for
+ * @param {Object} options - { minDuration, delay, message, signal }
+ * @returns {Promise} Resolves or rejects with the operation's outcome
+ */
+function withLoader(containerId, operation, options = {}) {
+    const { delay = 200, minDuration = 500, message, signal } = options;
+    const task = loaderManager.start(containerId, { delay, minDuration, message });
+    if (!task) {
+        // Still async, so an operation that throws rejects instead of throwing here
+        return Promise.resolve().then(() => (typeof operation === 'function' ? operation(null) : operation));
+    }
+
+    return new Promise((resolve, reject) => {
+        function onAbort() {
+            task.cancel();
+        }
+
+        function cleanup() {
+            signal?.removeEventListener('abort', onAbort);
+            task.signal.removeEventListener('abort', onCancel);
+        }
+
+        function onCancel() {
+            cleanup();
+            reject(new DOMException('Loader task cancelled', 'AbortError'));
+        }
+
+        task.signal.addEventListener('abort', onCancel);
+        if (signal?.aborted) {
+            task.cancel();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort);
+
+        Promise.resolve()
+            .then(() => (typeof operation === 'function' ? operation(task) : operation))
+            .then(value => {
+                if (task.signal.aborted) return;
+                cleanup();
+                task.done();
+                resolve(value);
+            }, error => {
+                if (task.signal.aborted) return;
+                cleanup();
+                task.done();
+                reject(error);
+            });
+    });
+}
+
+// Tasks started by toggleLoader, per container
+const manualLoaderTasks = new Map();
+
+/**
+ * Manages loading state with animation
+ * Demonstrates state management and visual feedback
+ * Showing starts a manual loader task and hiding ends it, so the loader
+ * stays up while withLoader tasks on the same container are still running.
+ * @param {string} containerId - ID of the loading container
+ * @param {boolean} show - Whether to show or hide loader
+ * @param {string} message - Loading message to display
+ * @returns {boolean} Whether the loader is visible afterwards
+ */
+function toggleLoader(containerId, show, message = i18n.t('loader.loading')) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        console.error(`Container with ID '${containerId}' not found`);
+        return false;
+    }
+    
+    const manualTask = manualLoaderTasks.get(container);
+    if (show) {
+        if (manualTask) {
+            manualTask.setMessage(message);
+        } else {
+            manualLoaderTasks.set(container, loaderManager.start(container, { message }));
+        }
+    } else if (manualTask) {
+        manualLoaderTasks.delete(container);
+        manualTask.done();
+    } else if (loaderManager.getTaskCount(container) === 0) {
+        // Shown by markup rather than a task
+        container.style.display = 'none';
+    }
+    
+    return loaderManager.isVisible(container);
+}
+
+// ===== ANIMATION TIMELINE =====
+
+// Uses the browser's frame clock when available, otherwise a ~60fps timer
+const scheduleFrame = typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame
+    : callback => setTimeout(() => callback(Date.now()), 16);
+
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? cancelAnimationFrame
+    : clearTimeout;
+
+/**
+ * Resolves a timeline target to an element
+ * Plain strings are treated as element IDs first, then as CSS selectors
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @returns {HTMLElement|null} Matching element or null
+ */
+function resolveAnimationTarget(target) {
+    if (typeof target !== 'string') {
+        return target || null;
+    }
+    return document.getElementById(target) || document.querySelector(target);
+}
+
+/**
+ * Creates a timeline that schedules animations on many elements
+ * Demonstrates closures, object composition and time-based state
+ * Class entries ({ animation, duration, iterations }) reuse the
+ * ANIMATION_TYPES classes; color entries ({ color, duration }) reuse
+ * changeColorWithTransition and need an element with an ID.
+ * Positions can be a number (ms), '+=N'/'-=N' relative to the current end,
+ * a label name, or 'label+=N'/'label-=N'.
+ * Class entries follow the motion policy: 'reduced' plays a short fade and
+ * 'none' leaves the element still, while the playhead keeps its full length.
+ * @param {Object} options - Timeline options
+ * @param {number} options.playbackRate - Initial playback rate (negative plays backwards, 0 isn't allowed)
+ * @param {Function} options.onComplete - Called when the playhead reaches either end
+ * @returns {Object} Timeline with add, parallel, stagger, addLabel, play, pause, seek and reverse
+ */
+function createAnimationTimeline(options = {}) {
+    const entries = [];
+    const labels = {};
+    let playbackRate = 1;
+    let time = 0;
+    let playing = false;
+    let frameId = null;
+    let lastFrameAt = 0;
+    let resolveFinished = null;
+    let finished = Promise.resolve();
+
+    function getDuration() {
+        return entries.reduce((max, entry) => Math.max(max, entry.end), 0);
+    }
+
+    // A rate of 0 would never reach either end, so `finished` would never resolve
+    function isValidRate(rate) {
+        return Number.isFinite(rate) && rate !== 0;
+    }
+
+    if (options.playbackRate !== undefined) {
+        if (isValidRate(options.playbackRate)) {
+            playbackRate = options.playbackRate;
+        } else {
+            console.error(`Invalid timeline playback rate '${options.playbackRate}'`);
+        }
+    }
+
+    /**
+     * Converts a position argument into an absolute start time
+     * @param {number|string} position - Position to resolve
+     * @returns {number} Start time in milliseconds
+     */
+    function resolvePosition(position) {
+        if (position === undefined || position === null) {
+            return getDuration();
+        }
+        if (typeof position === 'number') {
+            return Math.max(0, position);
+        }
+
+        const match = /^([^+-]*)(?:([+-])=(\d+(?:\.\d+)?))?$/.exec(position.trim());
+        if (!match) {
+            console.error(`Invalid timeline position '${position}'`);
+            return getDuration();
+        }
+
+        const [, label, sign, amount] = match;
+        let base = getDuration();
+        if (label) {
+            if (!(label in labels)) {
+                console.error(`Timeline label '${label}' not found`);
+            } else {
+                base = labels[label];
+            }
+        }
+        const offset = amount ? Number(amount) * (sign === '-' ? -1 : 1) : 0;
+        return Math.max(0, base + offset);
+    }
+
+    function clearClassEntry(entry) {
+        if (entry.className) entry.element.classList.remove(entry.className);
+        entry.className = null;
+        entry.element.style.animationDuration = '';
+        entry.element.style.animationIterationCount = '';
+        entry.element.style.animationDirection = '';
+        entry.element.style.animationDelay = '';
+        entry.element.style.animationPlayState = '';
+        entry.applied = false;
+
+        const record = entry.record;
+        entry.record = null;
+        animationRegistry.end(record);
+    }
+
+    /**
+     * (Re)starts a class entry so that it shows the frame at the given local time
+     * @param {Object} entry - Class entry to apply
+     * @param {number} localTime - Time since the entry's start in milliseconds
+     */
+    function applyClassEntry(entry, localTime) {
+        const { element } = entry;
+        const className = resolveMotionClass(entry.animation);
+        // Checked on every frame, so switching the policy back picks the entry up again
+        if (!className) {
+            if (entry.applied) clearClassEntry(entry);
+            return;
+        }
+        const reduced = motionPolicy.get() === 'reduced';
+        const rate = Math.abs(playbackRate);
+        const total = entry.end - entry.start;
+        // With animation-direction: reverse, elapsed time counts down from the end
+        const elapsed = playbackRate < 0 ? total - localTime : localTime;
+
+        // Timeline entries cannot wait in a queue without drifting, so they are skipped when no slot is free
+        if (!entry.record) {
+            entry.record = animationRegistry.request(element, entry.animation, {
+                kind: 'timeline',
+                policy: 'reject',
+                cancel: () => {
+                    entry.record = null;
+                    clearClassEntry(entry);
+                }
+            });
+            if (!entry.record) return;
+        }
+
+        // Removing the class and forcing a reflow restarts the CSS animation
+        if (entry.className) element.classList.remove(entry.className);
+        void element.offsetWidth;
+
+        const duration = reduced ? Math.min(entry.duration, REDUCED_MOTION_DURATION) : entry.duration;
+        element.style.animationDuration = `${duration / rate}ms`;
+        element.style.animationIterationCount = String(reduced ? 1 : entry.iterations);
+        element.style.animationDirection = playbackRate < 0 ? 'reverse' : 'normal';
+        element.style.animationDelay = `${-elapsed / rate}ms`;
+        element.style.animationPlayState = playing ? 'running' : 'paused';
+        element.classList.add(className);
+        entry.className = className;
+        entry.applied = true;
+    }
+
+    function applyColorEntry(entry, color, animate) {
+        const duration = animate ? entry.duration / Math.abs(playbackRate) : 0;
+        changeColorWithTransition(entry.element.id, color, duration);
+    }
+
+    /**
+     * Brings every entry in line with the playhead
+     * @param {boolean} resync - Restart running class entries (after seek or rate changes)
+     */
+    function render(resync) {
+        entries.forEach(entry => {
+            if (entry.type === 'color') {
+                const reached = playbackRate < 0 ? time > entry.start : time >= entry.start;
+                if (reached && !entry.applied) {
+                    entry.previousColor = entry.element.style.backgroundColor;
+                    entry.applied = true;
+                    applyColorEntry(entry, entry.color, playing && !resync);
+                } else if (!reached && entry.applied) {
+                    entry.applied = false;
+                    applyColorEntry(entry, entry.previousColor, playing && !resync);
+                }
+                return;
+            }
+
+            const active = time >= entry.start && time < entry.end;
+            if (active && (!entry.applied || resync)) {
+                applyClassEntry(entry, time - entry.start);
+            } else if (!active && entry.applied) {
+                clearClassEntry(entry);
+            }
+        });
+    }
+
+    function setPlayState() {
+        entries.forEach(entry => {
+            if (entry.type === 'class' && entry.applied) {
+                entry.element.style.animationPlayState = playing ? 'running' : 'paused';
+            }
+        });
+    }
+
+    function stopClock() {
+        if (frameId !== null) {
+            cancelFrame(frameId);
+            frameId = null;
+        }
+    }
+
+    function tick() {
+        const now = Date.now();
+        const duration = getDuration();
+        time = Math.min(duration, Math.max(0, time + (now - lastFrameAt) * playbackRate));
+        lastFrameAt = now;
+        render(false);
+
+        const atEnd = playbackRate >= 0 ? time >= duration : time <= 0;
+        if (atEnd) {
+            playing = false;
+            frameId = null;
+            setPlayState();
+            resolveFinished?.(timeline);
+            resolveFinished = null;
+            options.onComplete?.(timeline);
+            return;
+        }
+        frameId = scheduleFrame(tick);
+    }
+
+    /**
+     * Adds one entry to the timeline
+     * @param {string|HTMLElement} target - Element ID, selector or element
+     * @param {Object|string} spec - { animation, duration, iterations } or { color, duration }, or an animation name
+     * @param {number} start - Absolute start time in milliseconds
+     */
+    function addEntry(target, spec, start) {
+        const element = resolveAnimationTarget(target);
+        if (!element) {
+            console.error(`Timeline target '${target}' not found`);
+            return;
+        }
+
+        const config = typeof spec === 'string' ? { animation: spec } : spec;
+        const duration = config.duration ?? 1000;
+        if (!Number.isFinite(duration) || duration < 0) {
+            console.error(`Invalid timeline entry duration '${config.duration}'`);
+            return;
+        }
+
+        if (config.color) {
+            if (!element.id) {
+                console.error('Color entries need an element with an ID');
+                return;
+            }
+            entries.push({ type: 'color', element, color: config.color, duration, start, end: start + duration, applied: false });
+        } else {
+            const iterations = config.iterations ?? 1;
+            // An endless entry would make the timeline endless too: no end to seek to or finish at
+            if (!Number.isFinite(iterations) || iterations <= 0) {
+                console.error(`Timeline entries need a finite, positive iteration count, got '${config.iterations}'`);
+                return;
+            }
+            entries.push({
+                type: 'class',
+                element,
+                animation: config.animation,
+                duration,
+                iterations,
+                start,
+                end: start + duration * iterations,
+                applied: false,
+                className: null,
+                record: null
+            });
+        }
+    }
+
+    const timeline = {
+        get duration() {
+            return getDuration();
+        },
+        get time() {
+            return time;
+        },
+        get isPlaying() {
+            return playing;
+        },
+        get playbackRate() {
+            return playbackRate;
+        },
+        set playbackRate(rate) {
+            if (!isValidRate(rate)) {
+                console.error(`Invalid timeline playback rate '${rate}'`);
+                return;
+            }
+            playbackRate = rate;
+            render(true);
+        },
+        // Promise for the current run, resolves when the playhead reaches either end
+        get finished() {
+            return finished;
+        },
+        add: function(target, spec, position) {
+            addEntry(target, spec, resolvePosition(position));
+            return timeline;
+        },
+        // Starts every [target, spec] pair at the same position
+        parallel: function(items, position) {
+            const start = resolvePosition(position);
+            items.forEach(([target, spec]) => addEntry(target, spec, start));
+            return timeline;
+        },
+        // Starts the same animation on each target, `each` milliseconds apart
+        stagger: function(targets, spec, each = 100, position) {
+            const start = resolvePosition(position);
+            targets.forEach((target, index) => addEntry(target, spec, start + index * each));
+            return timeline;
+        },
+        addLabel: function(name, position) {
+            labels[name] = resolvePosition(position);
+            return timeline;
+        },
+        play: function() {
+            if (playing) return timeline;
+
+            // Restart from the appropriate end when the previous run finished
+            const duration = getDuration();
+            if (playbackRate >= 0 && time >= duration) time = 0;
+            if (playbackRate < 0 && time <= 0) time = duration;
+
+            playing = true;
+            finished = new Promise(resolve => {
+                resolveFinished = resolve;
+            });
+            lastFrameAt = Date.now();
+            render(true);
+            frameId = scheduleFrame(tick);
+            return timeline;
+        },
+        pause: function() {
+            if (!playing) return timeline;
+            playing = false;
+            stopClock();
+            setPlayState();
+            return timeline;
+        },
+        seek: function(position) {
+            const target = typeof position === 'string' ? resolvePosition(position) : position;
+            time = Math.min(getDuration(), Math.max(0, target));
+            lastFrameAt = Date.now();
+            render(true);
+            return timeline;
+        },
+        reverse: function() {
+            timeline.playbackRate = -playbackRate;
+            if (!playing) timeline.play();
+            return timeline;
+        },
+        // Stops playback and removes everything the timeline applied
+        kill: function() {
+            timeline.pause();
+            entries.forEach(entry => {
+                if (entry.type === 'class' && entry.applied) clearClassEntry(entry);
+            });
+            resolveFinished?.(timeline);
+            resolveFinished = null;
+            return timeline;
+        }
+    };
+
+    return timeline;
+}
+
+// ===== COLOR ENGINE =====
+
+/**
+ * Parses a CSS color string into sRGB channels
+ * Supports #rgb, #rgba, #rrggbb, #rrggbbaa, rgb()/rgba(), hsl()/hsla(),
+ * oklch() and 'transparent', with comma or space separated arguments.
+ * @param {string} value - CSS color
+ * @returns {Object|null} { r, g, b, alpha } with channels from 0 to 1, or null if unsupported
+ */
+function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const input = value.trim().toLowerCase();
+
+    if (input === 'transparent') {
+        return { r: 0, g: 0, b: 0, alpha: 0 };
+    }
+
+    const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(input);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length <= 4) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        const channel = index => parseInt(digits.slice(index, index + 2), 16) / 255;
+        return {
+            r: channel(0),
+            g: channel(2),
+            b: channel(4),
+            alpha: digits.length === 8 ? channel(6) : 1
+        };
+    }
+
+    const fn = /^(rgba?|hsla?|oklch)\(([^)]*)\)$/.exec(input);
+    if (!fn) return null;
+
+    const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    const number = part => parseFloat(part);
+    const fraction = (part, scale) => part.endsWith('%') ? number(part) / 100 : number(part) / scale;
+    const alpha = parts[3] !== undefined ? fraction(parts[3], 1) : 1;
+    let color;
+
+    if (fn[1].startsWith('rgb')) {
+        color = { r: fraction(parts[0], 255), g: fraction(parts[1], 255), b: fraction(parts[2], 255), alpha };
+    } else if (fn[1].startsWith('hsl')) {
+        color = { ...hslToRgb({ h: number(parts[0]), s: fraction(parts[1], 100), l: fraction(parts[2], 100) }), alpha };
+    } else {
+        const l = fraction(parts[0], 1);
+        // Percentage chroma is relative to 0.4 in CSS Color 4
+        const c = parts[1].endsWith('%') ? number(parts[1]) / 100 * 0.4 : number(parts[1]);
+        color = { ...oklchToRgb({ l, c, h: number(parts[2]) }), alpha };
+    }
+
+    return [color.r, color.g, color.b, color.alpha].some(Number.isNaN) ? null : color;
+}
+
+/**
+ * Converts sRGB channels to HSL
+ * @param {Object} color - { r, g, b } from 0 to 1
+ * @returns {Object} { h (degrees), s, l } with s and l from 0 to 1
+ */
+function rgbToHsl({ r, g, b }) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const delta = max - min;
+
+    if (delta === 0) {
+        return { h: 0, s: 0, l };
+    }
+
+    const s = delta / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) {
+        h = ((g - b) / delta) % 6;
+    } else if (max === g) {
+        h = (b - r) / delta + 2;
+    } else {
+        h = (r - g) / delta + 4;
+    }
+    return { h: (h * 60 + 360) % 360, s, l };
+}
+
+/**
+ * Converts HSL to sRGB channels
+ * @param {Object} color - { h (degrees), s, l } with s and l from 0 to 1
+ * @returns {Object} { r, g, b } from 0 to 1
+ */
+function hslToRgb({ h, s, l }) {
+    const hue = ((h % 360) + 360) % 360;
+    const chroma = (1 - Math.abs(2 * l - 1)) * s;
+    const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+    const m = l - chroma / 2;
+    const sectors = [
+        [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+        [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+    ];
+    const [r, g, b] = sectors[Math.floor(hue / 60) % 6];
+    return { r: r + m, g: g + m, b: b + m };
+}
+
+function srgbToLinear(channel) {
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(channel) {
+    return channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Converts sRGB channels to OKLCH
+ * @param {Object} color - { r, g, b } from 0 to 1
+ * @returns {Object} { l (0-1), c, h (degrees) }
+ */
+function rgbToOklch({ r, g, b }) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+    const c = Math.sqrt(A * A + B * B);
+    const h = c < 1e-4 ? 0 : (Math.atan2(B, A) * 180 / Math.PI + 360) % 360;
+    return { l: L, c, h };
+}
+
+/**
+ * Converts OKLCH to sRGB channels (may fall outside 0-1 for out-of-gamut colors)
+ * @param {Object} color - { l (0-1), c, h (degrees) }
+ * @returns {Object} { r, g, b }
+ */
+function oklchToRgb({ l: L, c, h }) {
+    const A = c * Math.cos(h * Math.PI / 180);
+    const B = c * Math.sin(h * Math.PI / 180);
+
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+
+    return {
+        r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+function isInGamut({ r, g, b }) {
+    return [r, g, b].every(channel => channel >= -1e-4 && channel <= 1 + 1e-4);
+}
+
+/**
+ * Converts OKLCH to sRGB, lowering chroma until the color fits the sRGB gamut
+ * @param {Object} color - { l, c, h }
+ * @returns {Object} { r, g, b } inside 0-1
+ */
+function oklchToRgbInGamut(color) {
+    let rgb = oklchToRgb(color);
+    if (isInGamut(rgb)) return clampColor(rgb);
+
+    let low = 0;
+    let high = color.c;
+    for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+        rgb = oklchToRgb({ ...color, c: mid });
+        if (isInGamut(rgb)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return clampColor(oklchToRgb({ ...color, c: low }));
+}
+
+function clampColor(color) {
+    const clamp = channel => Math.min(1, Math.max(0, channel));
+    return { ...color, r: clamp(color.r), g: clamp(color.g), b: clamp(color.b) };
+}
+
+/**
+ * Formats sRGB channels as a CSS color string
+ * @param {Object} color - { r, g, b, alpha } from 0 to 1
+ * @param {string} format - hex, rgb, hsl or oklch
+ * @returns {string} CSS color
+ */
+function formatColor(color, format = 'hex') {
+    const { r, g, b } = clampColor(color);
+    const alpha = color.alpha ?? 1;
+    const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+    if (format === 'rgb') {
+        const channels = [r, g, b].map(channel => Math.round(channel * 255)).join(', ');
+        return alpha < 1 ? `rgba(${channels}, ${round(alpha, 3)})` : `rgb(${channels})`;
+    }
+    if (format === 'hsl') {
+        const { h, s, l } = rgbToHsl({ r, g, b });
+        const body = `${round(h, 1)}, ${round(s * 100, 1)}%, ${round(l * 100, 1)}%`;
+        return alpha < 1 ? `hsla(${body}, ${round(alpha, 3)})` : `hsl(${body})`;
+    }
+    if (format === 'oklch') {
+        const { l, c, h } = rgbToOklch({ r, g, b });
+        const body = `${round(l * 100, 2)}% ${round(c, 4)} ${round(h, 2)}`;
+        return alpha < 1 ? `oklch(${body} / ${round(alpha, 3)})` : `oklch(${body})`;
+    }
+
+    const toHex = channel => Math.round(channel * 255).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha < 1 ? toHex(alpha) : ''}`;
+}
+
+/**
+ * Interpolates a hue along the shorter way around the color wheel
+ * @param {number} from - Start hue in degrees
+ * @param {number} to - End hue in degrees
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Hue in degrees
+ */
+function interpolateHue(from, to, t) {
+    let delta = ((to - from) % 360 + 540) % 360 - 180;
+    if (delta === -180) delta = 180;
+    return (from + delta * t + 360) % 360;
+}
+
+/**
+ * Mixes two colors in a given color space
+ * Hues take the shorter path; a gray end point borrows the other end's hue
+ * so fades to and from gray don't swing through unrelated colors.
+ * @param {string|Object} from - Start color (CSS string or { r, g, b, alpha })
+ * @param {string|Object} to - End color
+ * @param {number} t - Progress from 0 to 1
+ * @param {string} space - oklch (default), hsl or srgb
+ * @returns {Object|null} Mixed color as { r, g, b, alpha }
+ */
+function interpolateColor(from, to, t, space = 'oklch') {
+    const start = typeof from === 'string' ? parseColor(from) : from;
+    const end = typeof to === 'string' ? parseColor(to) : to;
+    if (!start || !end) return null;
+
+    const mix = (a, b) => a + (b - a) * t;
+    const alpha = mix(start.alpha ?? 1, end.alpha ?? 1);
+
+    if (space === 'srgb') {
+        return { r: mix(start.r, end.r), g: mix(start.g, end.g), b: mix(start.b, end.b), alpha };
+    }
+
+    if (space === 'hsl') {
+        const a = rgbToHsl(start);
+        const b = rgbToHsl(end);
+        const h = interpolateHue(a.s === 0 ? b.h : a.h, b.s === 0 ? a.h : b.h, t);
+        return { ...hslToRgb({ h, s: mix(a.s, b.s), l: mix(a.l, b.l) }), alpha };
+    }
+
+    const a = rgbToOklch(start);
+    const b = rgbToOklch(end);
+    const h = interpolateHue(a.c < 1e-4 ? b.h : a.h, b.c < 1e-4 ? a.h : b.h, t);
+    return { ...oklchToRgbInGamut({ l: mix(a.l, b.l), c: mix(a.c, b.c), h }), alpha };
+}
+
+/**
+ * Calculates the WCAG contrast ratio between two colors
+ * @param {string|Object} first - First color
+ * @param {string|Object} second - Second color
+ * @returns {number} Contrast ratio from 1 to 21
+ */
+function getContrastRatio(first, second) {
+    const luminance = color => {
+        const parsed = typeof color === 'string' ? parseColor(color) : color;
+        if (!parsed) return 0;
+        const [r, g, b] = [parsed.r, parsed.g, parsed.b].map(srgbToLinear);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [light, dark] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Hue offsets (degrees) for harmony-based random colors
+const COLOR_HARMONIES = {
+    complementary: [180],
+    analogous: [-30, 30],
+    triadic: [120, 240],
+    'split-complementary': [150, 210],
+    tetradic: [90, 180, 270]
+};
+
+/**
+ * Reads a CSS property's current color value from an element
+ * @param {HTMLElement} element - Element to read from
+ * @param {string} property - Style property in camelCase, e.g. borderColor
+ * @returns {string} Current color value
+ */
+function readColorProperty(element, property) {
+    if (typeof getComputedStyle === 'function') {
+        return getComputedStyle(element)[property];
+    }
+    return element.style[property];
+}
+
+/**
+ * Animates any color property of an element with requestAnimationFrame
+ * Demonstrates interpolation and promise-based animation
+ * Pass an array of colors as `color` to animate gradient stops on
+ * backgroundImage (options.angle sets the linear-gradient direction).
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {string} property - Style property in camelCase: color, backgroundColor, borderColor, backgroundImage...
+ * @param {string|Array<string>} color - Target color, or gradient stops for backgroundImage
+ * @param {Object} options - { duration, space, easing, from, angle }
+ * @returns {Promise<boolean>} Resolves true when finished, false if cancelled or rejected
+ */
+function animateColor(target, property, color, options = {}) {
+    const element = resolveAnimationTarget(target);
+    if (!element) {
+        console.error(`Color target '${target}' not found`);
+        return Promise.resolve(false);
+    }
+
+    const { space = 'oklch', easing = t => t * (2 - t), angle = '45deg' } = options;
+    const duration = motionPolicy.get() === 'none' ? 0 : options.duration ?? 500;
+    const isGradient = Array.isArray(color);
+    const name = `color:${property}`;
+
+    const toStops = (isGradient ? color : [color]).map(parseColor);
+    const current = options.from ?? (isGradient
+        ? readColorProperty(element, property).match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}/gi) || []
+        : [readColorProperty(element, property)]);
+    const fromStops = (Array.isArray(current) ? current : [current]).map(parseColor);
+
+    if (toStops.some(stop => !stop)) {
+        console.error(`Unsupported color '${color}'`);
+        return Promise.resolve(false);
+    }
+
+    // Missing or unreadable start stops fade in from the matching target stop
+    const startStops = toStops.map((stop, index) => fromStops[index] || fromStops[fromStops.length - 1] || stop);
+
+    function render(t) {
+        const stops = startStops.map((stop, index) => formatColor(interpolateColor(stop, toStops[index], t, space), 'rgb'));
+        element.style[property] = isGradient ? `linear-gradient(${angle}, ${stops.join(', ')})` : stops[0];
+    }
+
+    animationRegistry.cancelElement(element, record => record.name === name);
+
+    return new Promise(resolve => {
+        let frameId = null;
+        let previousTransition = '';
+
+        const record = animationRegistry.request(element, name, {
+            kind: 'color',
+            start: current => {
+                // Inline transitions would fight the per-frame updates
+                previousTransition = element.style.transition;
+                element.style.transition = 'none';
+                const startedAt = Date.now();
+
+                function step() {
+                    const progress = duration > 0 ? Math.min(1, (Date.now() - startedAt) / duration) : 1;
+                    render(easing(progress));
+                    if (progress < 1) {
+                        frameId = scheduleFrame(step);
+                        return;
+                    }
+                    frameId = null;
+                    element.style.transition = previousTransition;
+                    if (animationRegistry.end(current)) resolve(true);
+                }
+
+                step();
+            },
+            cancel: () => {
+                if (frameId !== null) cancelFrame(frameId);
+                element.style.transition = previousTransition;
+                resolve(false);
+            }
+        });
+
+        if (!record) resolve(false);
+    });
+}
+
+// ===== THEMES =====
+
+// Theme colors and the CSS custom properties styles.css reads them from
+const THEME_TOKENS = {
+    primary: '--primary-color',
+    secondary: '--secondary-color',
+    accent: '--accent-color',
+    success: '--success-color',
+    warning: '--warning-color',
+    danger: '--danger-color',
+    info: '--info-color',
+    text: '--text-color',
+    surface: '--surface-color',
+    background: '--page-background'
+};
+
+// Duration of the cross-fade between two themes
+const THEME_TRANSITION_DURATION = 400;
+
+// 'default' matches the values in styles.css, so the page looks the same until a theme is applied
+const BUILT_IN_THEMES = {
+    default: {
+        label: 'Sunset',
+        colors: {
+            primary: '#4a00e0',
+            secondary: '#8e2de2',
+            accent: '#00c6ff',
+            success: '#2ecc71',
+            warning: '#f39c12',
+            danger: '#e74c3c',
+            info: '#3498db',
+            text: '#ffffff',
+            surface: 'rgba(255, 255, 255, 0.1)',
+            background: 'linear-gradient(135deg, #1a2a6c, #b21f1f, #fdbb2d)'
+        },
+        palette: ['#ff6b6b', '#6bff7d', '#6cd5ff', '#ffa36c', '#d66bff']
+    },
+    light: {
+        label: 'Light',
+        colors: {
+            primary: '#5b3cc4',
+            secondary: '#7c4dff',
+            accent: '#0077b6',
+            success: '#1e8e3e',
+            warning: '#b06000',
+            danger: '#c5221f',
+            info: '#1a73e8',
+            text: '#1f2933',
+            surface: 'rgba(255, 255, 255, 0.7)',
+            background: 'linear-gradient(135deg, #e0eafc, #cfdef3)'
+        },
+        palette: ['#e63946', '#2a9d8f', '#457b9d', '#f4a261', '#8e44ad']
+    },
+    dark: {
+        label: 'Dark',
+        colors: {
+            primary: '#7c4dff',
+            secondary: '#b388ff',
+            accent: '#40c4ff',
+            success: '#69f0ae',
+            warning: '#ffd740',
+            danger: '#ff5252',
+            info: '#64b5f6',
+            text: '#e6e6e6',
+            surface: 'rgba(255, 255, 255, 0.06)',
+            background: 'linear-gradient(135deg, #0f2027, #203a43, #2c5364)'
+        },
+        palette: ['#ff8a80', '#b9f6ca', '#80d8ff', '#ffd180', '#ea80fc']
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        colors: {
+            primary: '#0000ff',
+            secondary: '#6a00ff',
+            accent: '#ffff00',
+            success: '#00ff00',
+            warning: '#ffff00',
+            danger: '#ff4040',
+            info: '#00ffff',
+            text: '#ffffff',
+            surface: '#000000',
+            background: '#000000'
+        },
+        palette: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ffffff']
+    }
+};
+
+// The page background may also be a gradient, which parseColor doesn't read
+function isValidBackground(value) {
+    if (typeof value !== 'string' || /[;{}]/.test(value)) return false;
+    return Boolean(parseColor(value)) || /^(repeating-)?(linear|radial|conic)-gradient\(.+\)$/.test(value.trim());
+}
+
+/**
+ * Checks a theme definition and fills in what it inherits
+ * A definition is { name, label, extends, colors: { token: color }, palette: [colors] }.
+ * Colors missing from it come from the theme it extends ('default' unless given).
+ * @param {Object} definition - Theme definition, e.g. parsed from JSON
+ * @param {Object} themes - Known themes by name, for extends
+ * @returns {Object} { success, error, errors: [{ code, message }], data } like validateAndProcessInput
+ */
+function validateTheme(definition, themes = BUILT_IN_THEMES) {
+    const errors = [];
+    const fail = (code, message) => errors.push({ code, message });
+    const { name = '', label, colors = {}, palette } = definition || {};
+    const baseName = definition?.extends ?? 'default';
+    const base = Object.prototype.hasOwnProperty.call(themes, baseName) ? themes[baseName] : null;
+
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+        fail('invalidName', 'Name must start with a letter and use only lowercase letters, digits and dashes');
+    } else if (Object.prototype.hasOwnProperty.call(BUILT_IN_THEMES, name)) {
+        fail('reservedName', `'${name}' is a built-in theme`);
+    }
+
+    if (!base) {
+        fail('unknownBase', `Cannot extend unknown theme '${baseName}'`);
+    }
+
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+        fail('invalidColors', 'colors must be an object of token names and CSS colors');
+    } else {
+        Object.entries(colors).forEach(([token, value]) => {
+            if (!THEME_TOKENS[token]) {
+                fail('unknownToken', `Unknown theme color '${token}'`);
+            } else if (token === 'background' ? !isValidBackground(value) : !parseColor(String(value))) {
+                fail('invalidColor', `'${value}' is not a valid color for ${token}`);
+            }
+        });
+    }
+
+    if (palette !== undefined && (!Array.isArray(palette) || palette.length === 0 ||
+            !palette.every(color => parseColor(String(color))))) {
+        fail('invalidPalette', 'palette must be a non-empty array of CSS colors');
+    }
+
+    if (errors.length > 0) {
+        return { success: false, error: errors[0].message, errors, data: null };
+    }
+
+    return {
+        success: true,
+        error: null,
+        errors: [],
+        data: {
+            name,
+            label: label || name,
+            colors: { ...base.colors, ...colors },
+            // Normalized to hex so callers can compare them with colors read back from the page
+            palette: (palette || base.palette).map(color => formatColor(parseColor(String(color))))
+        }
+    };
+}
+
+/**
+ * Creates the theme manager
+ * Demonstrates CSS custom properties driven from JavaScript
+ * Themes set the custom properties in THEME_TOKENS on <html> and mirror
+ * the theme name on <html data-theme="...">. Switching cross-fades: colors
+ * transition while the old page background fades out on a layer above the
+ * new one. Under the 'none' motion policy the switch is instant.
+ * @param {Object} options - { root } element that receives the properties (default <html>)
+ * @returns {Object} Manager with register, load, unregister, apply, get, list, getActive,
+ *   getColor, getPalette, resolveColor and subscribe
+ */
+function createThemeManager(options = {}) {
+    const root = options.root ?? (typeof document !== 'undefined' ? document.documentElement : null);
+    const themes = Object.create(null);
+    let active = 'default';
+    let listeners = [];
+
+    Object.entries(BUILT_IN_THEMES).forEach(([name, theme]) => {
+        themes[name] = { name, ...theme, builtIn: true };
+    });
+
+    function copy(theme) {
+        return { ...theme, colors: { ...theme.colors }, palette: [...theme.palette] };
+    }
+
+    function writeProperties(theme) {
+        Object.entries(THEME_TOKENS).forEach(([token, property]) => {
+            root.style.setProperty(property, theme.colors[token]);
+        });
+        root.setAttribute('data-theme', theme.name);
+    }
+
+    function crossFade(theme, previous, duration) {
+        return new Promise(resolve => {
+            // A newer switch replaces any cross-fade still in flight
+            animationRegistry.cancelElement(root, record => record.kind === 'theme');
+
+            let layer = null;
+            function cleanup() {
+                layer?.remove();
+                root.classList.remove('theme-transition');
+                root.style.removeProperty('--theme-transition-duration');
+            }
+
+            const record = animationRegistry.request(root, 'theme', {
+                kind: 'theme',
+                policy: 'reject',
+                start: current => {
+                    // Gradients can't be transitioned, so the old background is faded out instead
+                    layer = document.createElement('div');
+                    layer.className = 'theme-fade-layer';
+                    layer.setAttribute('aria-hidden', 'true');
+                    layer.style.background = previous.colors.background;
+                    document.body.prepend(layer);
+
+                    root.style.setProperty('--theme-transition-duration', `${duration}ms`);
+                    root.classList.add('theme-transition');
+                    writeProperties(theme);
+
+                    void layer.offsetWidth;
+                    layer.style.transition = `opacity ${duration}ms ease`;
+                    layer.style.opacity = '0';
+
+                    waitForTransitionEnd(layer, duration + 50).then(() => {
+                        if (animationRegistry.end(current)) {
+                            cleanup();
+                            resolve(true);
+                        }
+                    });
+                },
+                cancel: () => {
+                    cleanup();
+                    resolve(false);
+                }
+            });
+
+            // A theme switch is never refused; without a slot it just isn't animated
+            if (!record) {
+                writeProperties(theme);
+                resolve(true);
+            }
+        });
+    }
+
+    function notify() {
+        const theme = copy(themes[active]);
+        listeners.slice().forEach(listener => listener(active, theme));
+    }
+
+    const manager = {
+        /**
+         * Adds (or replaces) a custom theme
+         * @param {Object} definition - Theme definition, see validateTheme
+         * @returns {Object} The validation result
+         */
+        register: function(definition) {
+            const result = validateTheme(definition, themes);
+            if (!result.success) return result;
+
+            themes[result.data.name] = { ...result.data, builtIn: false };
+            if (active === result.data.name) {
+                manager.apply(active, { transition: false });
+            } else {
+                notify();
+            }
+            return result;
+        },
+        /**
+         * Registers a theme from JSON text (e.g. a file the user picked)
+         * @param {string|Object} source - JSON string or already parsed definition
+         * @returns {Object} The validation result
+         */
+        load: function(source) {
+            let definition = source;
+            if (typeof source === 'string') {
+                try {
+                    definition = JSON.parse(source);
+                } catch (error) {
+                    const message = `Theme is not valid JSON: ${error.message}`;
+                    return { success: false, error: message, errors: [{ code: 'invalidJson', message }], data: null };
+                }
+            }
+            return manager.register(definition);
+        },
+        // Removes a custom theme, falling back to 'default' if it was active
+        unregister: function(name) {
+            if (!themes[name] || themes[name].builtIn) return false;
+            delete themes[name];
+            if (active === name) {
+                manager.apply('default', { transition: false });
+            } else {
+                notify();
+            }
+            return true;
+        },
+        /**
+         * Switches to a theme
+         * @param {string} name - Theme name
+         * @param {Object} options - { transition (default true), duration }
+         * @returns {Promise<boolean>} Resolves true once applied, false if unknown or replaced by a newer switch
+         */
+        apply: function(name, options = {}) {
+            const theme = themes[name];
+            if (!theme) {
+                console.error(`Unknown theme '${name}'`);
+                return Promise.resolve(false);
+            }
+
+            const { transition = true, duration = THEME_TRANSITION_DURATION } = options;
+            const previous = themes[active] || theme;
+            active = name;
+
+            let applied = Promise.resolve(true);
+            if (root) {
+                if (transition && duration > 0 && motionPolicy.get() !== 'none' && typeof document !== 'undefined') {
+                    applied = crossFade(theme, previous, duration);
+                } else {
+                    animationRegistry.cancelElement(root, record => record.kind === 'theme');
+                    writeProperties(theme);
+                }
+            }
+
+            notify();
+            return applied;
+        },
+        get: function(name) {
+            return themes[name] ? copy(themes[name]) : null;
+        },
+        list: function() {
+            return Object.values(themes).map(({ name, label, builtIn }) => ({ name, label, builtIn }));
+        },
+        getActive: function() {
+            return active;
+        },
+        // One color of the active theme, e.g. getColor('accent')
+        getColor: function(token) {
+            return themes[active].colors[token] ?? null;
+        },
+        getPalette: function() {
+            return [...themes[active].palette];
+        },
+        // Turns theme color names into the active theme's value; other colors pass through
+        resolveColor: function(color) {
+            if (color !== 'background' && Object.prototype.hasOwnProperty.call(THEME_TOKENS, color)) {
+                return themes[active].colors[color];
+            }
+            return color;
+        },
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter(item => item !== listener);
+            };
+        }
+    };
+
+    return manager;
+}
+
+const themeManager = createThemeManager();
+
+// ===== SPRING PHYSICS =====
+
+// Stiffness/damping pairs for common feels (mass 1)
+const SPRING_PRESETS = {
+    default: { stiffness: 170, damping: 26 },
+    gentle: { stiffness: 120, damping: 14 },
+    wobbly: { stiffness: 180, damping: 12 },
+    stiff: { stiffness: 210, damping: 20 },
+    slow: { stiffness: 280, damping: 60 }
+};
+
+// Channels composed into the transform property, with their resting values
+const SPRING_TRANSFORM_CHANNELS = { x: 0, y: 0, scale: 1, rotate: 0 };
+
+// Style properties that take plain numbers rather than px
+const UNITLESS_PROPERTIES = ['opacity', 'zIndex', 'flexGrow', 'flexShrink'];
+
+// Longest frame the integrator accepts, so a backgrounded tab doesn't explode the spring
+const MAX_SPRING_FRAME = 64;
+
+/**
+ * Advances a spring by one time slice (semi-implicit Euler in ≤4 ms substeps)
+ * @param {Object} state - { value, velocity, target }; velocity in units per second
+ * @param {Object} config - { stiffness, damping, mass }
+ * @param {number} ms - Elapsed time in milliseconds
+ * @returns {Object} The same state, advanced
+ */
+function stepSpring(state, config, ms) {
+    const { stiffness, damping, mass } = config;
+    let remaining = Math.min(ms, MAX_SPRING_FRAME);
+    while (remaining > 0) {
+        const dt = Math.min(remaining, 4) / 1000;
+        const force = -stiffness * (state.value - state.target) - damping * state.velocity;
+        state.velocity += (force / mass) * dt;
+        state.value += state.velocity * dt;
+        remaining -= 4;
+    }
+    return state;
+}
+
+/**
+ * Resolves spring options: a preset name or numbers, plus the motion policy
+ * Under 'reduced' the spring is critically damped, so it settles without bouncing.
+ * @param {Object} options - { preset, stiffness, damping, mass, precision }
+ * @returns {Object} { stiffness, damping, mass, precision }
+ */
+function resolveSpringConfig(options = {}) {
+    const preset = SPRING_PRESETS[options.preset] || SPRING_PRESETS.default;
+    const config = {
+        stiffness: options.stiffness ?? preset.stiffness,
+        damping: options.damping ?? preset.damping,
+        mass: options.mass ?? 1,
+        precision: options.precision ?? 0.01
+    };
+    if (motionPolicy.get() === 'reduced') {
+        config.damping = Math.max(config.damping, 2 * Math.sqrt(config.stiffness * config.mass));
+    }
+    return config;
+}
+
+/**
+ * Creates a standalone numeric spring, e.g. to drive values that aren't styles
+ * @param {Object} options - { from, to, velocity } plus spring options (see resolveSpringConfig)
+ * @returns {Object} Spring with value, velocity, target, step, retarget and isAtRest
+ */
+function createSpring(options = {}) {
+    const config = resolveSpringConfig(options);
+    const state = {
+        value: options.from ?? 0,
+        velocity: options.velocity ?? 0,
+        target: options.to ?? options.from ?? 0
+    };
+
+    const spring = {
+        get value() {
+            return state.value;
+        },
+        get velocity() {
+            return state.velocity;
+        },
+        get target() {
+            return state.target;
+        },
+        // Advances by ms and returns the new value (snapped to the target once at rest)
+        step: function(ms) {
+            stepSpring(state, config, ms);
+            if (spring.isAtRest()) {
+                state.value = state.target;
+                state.velocity = 0;
+            }
+            return state.value;
+        },
+        // Moves the target; the current velocity carries over unless one is given
+        retarget: function(to, velocity = state.velocity) {
+            state.target = to;
+            state.velocity = velocity;
+        },
+        isAtRest: function() {
+            return Math.abs(state.value - state.target) < config.precision &&
+                Math.abs(state.velocity) < config.precision * 10;
+        }
+    };
+
+    return spring;
+}
+
+// Per-element motion state shared by animateSpring and animateDecay
+const elementMotions = new Map();
+
+/**
+ * Gets (or creates) the motion state of an element
+ * Channels remember their value and velocity between calls, which is what
+ * lets a new animation pick up mid-flight instead of jumping.
+ * @param {HTMLElement} element - Animated element
+ * @returns {Object} Motion state
+ */
+function getElementMotion(element) {
+    if (!elementMotions.has(element)) {
+        elementMotions.set(element, {
+            element,
+            channels: {},
+            handles: new Set(),
+            record: null,
+            frameId: null,
+            lastTime: null
+        });
+    }
+    return elementMotions.get(element);
+}
+
+// Starting value for a channel the element hasn't animated yet
+function readChannelValue(element, name) {
+    if (name in SPRING_TRANSFORM_CHANNELS) return SPRING_TRANSFORM_CHANNELS[name];
+    const value = parseFloat(getComputedStyle(element)[name]);
+    if (Number.isFinite(value)) return value;
+    return name === 'opacity' ? 1 : 0;
+}
+
+function applyMotionStyles(motion) {
+    const { element, channels } = motion;
+    const transformParts = [];
+    Object.keys(channels).forEach(name => {
+        const { value, unit } = channels[name];
+        if (name === 'x' || name === 'y') {
+            transformParts.push(`translate${name.toUpperCase()}(${value}px)`);
+        } else if (name === 'scale') {
+            transformParts.push(`scale(${value})`);
+        } else if (name === 'rotate') {
+            transformParts.push(`rotate(${value}deg)`);
+        } else {
+            element.style[name] = `${value}${unit}`;
+        }
+    });
+    if (transformParts.length > 0) {
+        element.style.transform = transformParts.join(' ');
+    }
+}
+
+// Settles handles whose channels are all at rest
+function settleMotionHandles(motion) {
+    motion.handles.forEach(handle => {
+        if (handle.channelNames.every(name => motion.channels[name].atRest)) {
+            handle.settle(true);
+        }
+    });
+}
+
+function stopMotionLoop(motion) {
+    cancelFrame(motion.frameId);
+    motion.frameId = null;
+    motion.lastTime = null;
+    if (motion.record) {
+        const record = motion.record;
+        motion.record = null;
+        animationRegistry.end(record);
+    }
+}
+
+/**
+ * Advances every channel of an element by one frame
+ * @param {Object} motion - Motion state
+ * @param {number} time - Frame timestamp
+ */
+function runMotionFrame(motion, time) {
+    const elapsed = motion.lastTime === null ? 16 : time - motion.lastTime;
+    motion.lastTime = time;
+
+    Object.values(motion.channels).forEach(channel => {
+        if (channel.atRest) return;
+
+        if (channel.mode === 'decay') {
+            // Exponential friction: v(t) = v0 · e^(−t/τ)
+            const dt = Math.min(elapsed, MAX_SPRING_FRAME);
+            channel.velocity *= Math.exp(-dt / channel.timeConstant);
+            channel.value += channel.velocity * dt / 1000;
+            const [min, max] = channel.bounds || [-Infinity, Infinity];
+            if (channel.value < min || channel.value > max) {
+                // Out of bounds: a spring pulls it back, keeping its speed
+                channel.mode = 'spring';
+                channel.target = channel.value < min ? min : max;
+            } else if (Math.abs(channel.velocity) < channel.config.precision * 10) {
+                channel.velocity = 0;
+                channel.atRest = true;
+            }
+            return;
+        }
+
+        stepSpring(channel, channel.config, elapsed);
+        if (Math.abs(channel.value - channel.target) < channel.config.precision &&
+            Math.abs(channel.velocity) < channel.config.precision * 10) {
+            channel.value = channel.target;
+            channel.velocity = 0;
+            channel.atRest = true;
+        }
+    });
+
+    applyMotionStyles(motion);
+    settleMotionHandles(motion);
+
+    if (Object.values(motion.channels).every(channel => channel.atRest)) {
+        stopMotionLoop(motion);
+    } else {
+        motion.frameId = scheduleFrame(frameTime => runMotionFrame(motion, frameTime));
+    }
+}
+
+/**
+ * Points some channels of an element at new goals and runs the frame loop
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} goals - Channel name → { mode, target, velocity, bounds, timeConstant }
+ * @param {Object} options - Spring options (see resolveSpringConfig) and { units }
+ * @returns {Object|null} Handle with finished, then, stop, getValues and getVelocities
+ */
+function startElementMotion(target, goals, options) {
+    const element = resolveAnimationTarget(target);
+    if (!element) {
+        console.error(`Spring target '${target}' not found`);
+        return null;
+    }
+
+    const motion = getElementMotion(element);
+    const config = resolveSpringConfig(options);
+    const channelNames = Object.keys(goals);
+    let resolveFinished;
+
+    const handle = {
+        channelNames,
+        finished: new Promise(resolve => {
+            resolveFinished = resolve;
+        }),
+        settle: function(atRest) {
+            if (!motion.handles.delete(handle)) return;
+            resolveFinished(atRest);
+        },
+        then: function(onFulfilled, onRejected) {
+            return handle.finished.then(onFulfilled, onRejected);
+        },
+        // Freezes this animation's channels where they are
+        stop: function() {
+            channelNames.forEach(name => {
+                const channel = motion.channels[name];
+                if (channel) {
+                    channel.velocity = 0;
+                    channel.atRest = true;
+                }
+            });
+            handle.settle(false);
+            if (Object.values(motion.channels).every(channel => channel.atRest)) {
+                stopMotionLoop(motion);
+            }
+        },
+        getValues: function() {
+            const values = {};
+            channelNames.forEach(name => {
+                values[name] = motion.channels[name].value;
+            });
+            return values;
+        },
+        // Units per second, e.g. to hand a drag's speed to the next animation
+        getVelocities: function() {
+            const velocities = {};
+            channelNames.forEach(name => {
+                velocities[name] = motion.channels[name].velocity;
+            });
+            return velocities;
+        }
+    };
+
+    // Earlier animations lose the channels we take over, but their speed stays
+    motion.handles.forEach(other => {
+        if (other.channelNames.some(name => channelNames.includes(name))) {
+            other.settle(false);
+        }
+    });
+
+    channelNames.forEach(name => {
+        const previous = motion.channels[name];
+        const goal = goals[name];
+        motion.channels[name] = {
+            value: previous ? previous.value : (options.from?.[name] ?? readChannelValue(element, name)),
+            velocity: goal.velocity ?? (previous ? previous.velocity : 0),
+            target: goal.target,
+            mode: goal.mode,
+            bounds: goal.bounds,
+            timeConstant: goal.timeConstant,
+            unit: options.units?.[name] ?? (UNITLESS_PROPERTIES.includes(name) ? '' : 'px'),
+            config,
+            atRest: false
+        };
+    });
+    motion.handles.add(handle);
+
+    // No motion: land on the end state at once
+    if (motionPolicy.get() === 'none') {
+        channelNames.forEach(name => {
+            const channel = motion.channels[name];
+            if (channel.mode === 'decay') {
+                const [min, max] = channel.bounds || [-Infinity, Infinity];
+                const rest = channel.value + channel.velocity * channel.timeConstant / 1000;
+                channel.target = Math.min(max, Math.max(min, rest));
+            }
+            channel.value = channel.target;
+            channel.velocity = 0;
+            channel.atRest = true;
+        });
+        applyMotionStyles(motion);
+        settleMotionHandles(motion);
+        return handle;
+    }
+
+    if (!motion.record) {
+        motion.record = animationRegistry.request(element, 'spring', {
+            kind: 'spring',
+            policy: 'reject',
+            cancel: () => {
+                motion.record = null;
+                cancelFrame(motion.frameId);
+                motion.frameId = null;
+                motion.lastTime = null;
+                Object.values(motion.channels).forEach(channel => {
+                    channel.velocity = 0;
+                    channel.atRest = true;
+                });
+                motion.handles.forEach(other => other.settle(false));
+            }
+        });
+        if (!motion.record) {
+            handle.stop();
+            return handle;
+        }
+    }
+
+    if (motion.frameId === null) {
+        motion.frameId = scheduleFrame(time => runMotionFrame(motion, time));
+    }
+    return handle;
+}
+
+/**
+ * Animates transform channels and numeric styles with a spring
+ * Demonstrates physics simulation with requestAnimationFrame
+ * Transform channels are x, y (px), scale and rotate (deg); any other key is
+ * a style property (px unless unitless or set in options.units). Calling it
+ * again on the same element retargets mid-flight: position and velocity
+ * carry over, and the earlier call's promise resolves false.
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} values - Targets, e.g. { x: 120, scale: 1.1, opacity: 0.8 }
+ * @param {Object} options - Spring options
+ * @param {string} options.preset - default, gentle, wobbly, stiff or slow
+ * @param {number} options.stiffness - Spring constant
+ * @param {number} options.damping - Friction
+ * @param {number} options.mass - Mass of the moving object
+ * @param {number|Object} options.velocity - Initial velocity (units/s) for every channel, or per channel
+ * @param {Object} options.from - Start values for channels the element hasn't animated yet
+ * @returns {Object|null} Handle with stop and a finished promise resolving true at rest, false if stopped
+ *   or interrupted; like sequence and playback handles it can also be awaited directly
+ */
+function animateSpring(target, values, options = {}) {
+    const goals = {};
+    Object.keys(values).forEach(name => {
+        const velocity = typeof options.velocity === 'object' ? options.velocity[name] : options.velocity;
+        goals[name] = { mode: 'spring', target: values[name], velocity };
+    });
+    return startElementMotion(target, goals, options);
+}
+
+/**
+ * Lets channels coast to a stop from a starting velocity (momentum after a fling)
+ * A channel that leaves its bounds is pulled back by a spring, keeping its speed.
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} velocities - Channel → velocity in units per second, e.g. { x: 900, y: -200 }
+ * @param {Object} options - { timeConstant (ms, default 325), bounds: { x: [min, max] } } plus spring options
+ * @returns {Object|null} Handle with stop and a finished promise resolving true at rest, false if stopped
+ *   or interrupted; like sequence and playback handles it can also be awaited directly
+ */
+function animateDecay(target, velocities, options = {}) {
+    const { timeConstant = 325, bounds = {} } = options;
+    const goals = {};
+    Object.keys(velocities).forEach(name => {
+        goals[name] = { mode: 'decay', target: null, velocity: velocities[name], bounds: bounds[name], timeConstant };
+    });
+    return startElementMotion(target, goals, options);
+}
+
+/**
+ * Reads the current value of some channels on an element
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Array<string>} names - Channel names
+ * @returns {Object} Channel → value (resting defaults for channels never animated)
+ */
+function getSpringValues(target, names) {
+    const element = resolveAnimationTarget(target);
+    const motion = element && elementMotions.get(element);
+    const values = {};
+    names.forEach(name => {
+        values[name] = motion?.channels[name] ? motion.channels[name].value : readChannelValue(element, name);
+    });
+    return values;
+}
+
+/**
+ * Places channels directly, e.g. to follow a pointer during a drag
+ * The given velocities are remembered, so a following animateSpring or
+ * animateDecay starts with the drag's momentum.
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} values - Channel → value
+ * @param {Object} velocities - Channel → velocity in units per second
+ * @returns {boolean} True if the element exists
+ */
+function setSpringValues(target, values, velocities = {}) {
+    const element = resolveAnimationTarget(target);
+    if (!element) return false;
+
+    const motion = getElementMotion(element);
+    motion.handles.forEach(handle => {
+        if (handle.channelNames.some(name => name in values)) handle.settle(false);
+    });
+    Object.keys(values).forEach(name => {
+        motion.channels[name] = {
+            value: values[name],
+            velocity: velocities[name] ?? 0,
+            target: values[name],
+            mode: 'spring',
+            unit: motion.channels[name]?.unit ?? (UNITLESS_PROPERTIES.includes(name) ? '' : 'px'),
+            config: resolveSpringConfig(),
+            atRest: true
+        };
+    });
+    applyMotionStyles(motion);
+    return true;
+}
+
+/**
+ * Stops every spring and decay on an element, leaving it where it is
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @returns {boolean} True if something was moving
+ */
+function stopSpring(target) {
+    const element = resolveAnimationTarget(target);
+    const motion = element && elementMotions.get(element);
+    if (!motion || !motion.record) return false;
+    animationRegistry.cancel(motion.record);
+    return true;
+}
+
+// ===== POINTER GESTURES =====
+
+// Pointer samples older than this are ignored when estimating release velocity
+const VELOCITY_WINDOW = 100;
+
+// How far ahead (in seconds of current velocity) snapping looks when picking a point
+const SNAP_PROJECTION = 0.2;
+
+/**
+ * Recognizes drag, swipe and long-press gestures on an element
+ * Demonstrates Pointer Events, pointer capture and velocity tracking
+ * The recognizer only reports gestures; callers decide what moves. Drag
+ * positions start at options.drag.initial, are clamped to bounds, and on
+ * release the nearest snap point to where the momentum would carry the
+ * element is reported. A click that ends a drag or long-press is swallowed
+ * so click handlers (e.g. the card flip) don't fire as well.
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} options - Recognizer options
+ * @param {Object|boolean} options.drag - { axis: 'x'|'y'|'both', bounds: { x: [min, max], y: [min, max] },
+ *   snapPoints: [{ x, y }], threshold (px), initial: { x, y } }, or false
+ * @param {Object|boolean} options.swipe - { minDistance (px), minVelocity (px/s) }, or false
+ * @param {Object|boolean} options.longPress - { duration (ms), tolerance (px) }, or false
+ * @param {Function} options.getPosition - Returns the current { x, y } when a drag starts (default: tracked internally)
+ * @param {Function} options.onDragStart - Called with the gesture detail
+ * @param {Function} options.onDrag - Called on every move while dragging
+ * @param {Function} options.onDragEnd - Called on release, detail includes velocity and snap
+ * @param {Function} options.onSwipe - Called with (direction, detail)
+ * @param {Function} options.onLongPress - Called with the detail
+ * @returns {Object|null} Recognizer with position, setPosition, isDragging and destroy
+ */
+function createGestureRecognizer(target, options = {}) {
+    const element = resolveAnimationTarget(target);
+    if (!element) {
+        console.error(`Gesture target '${target}' not found`);
+        return null;
+    }
+
+    const drag = options.drag ? { axis: 'both', bounds: {}, snapPoints: [], threshold: 5, ...options.drag } : null;
+    const swipe = options.swipe === false ? null : { minDistance: 50, minVelocity: 300, ...options.swipe };
+    const longPress = options.longPress ? { duration: 500, tolerance: 10, ...options.longPress } : null;
+
+    let position = { x: drag?.initial?.x ?? 0, y: drag?.initial?.y ?? 0 };
+    let gesture = null;
+    let suppressClick = false;
+
+    // Keep the browser from scrolling along the axis we drag on
+    if (drag) {
+        element.style.touchAction = { x: 'pan-y', y: 'pan-x' }[drag.axis] || 'none';
+    }
+
+    function clamp(value, range) {
+        if (!range) return value;
+        return Math.min(range[1], Math.max(range[0], value));
+    }
+
+    function getVelocity() {
+        const samples = gesture.samples;
+        const last = samples[samples.length - 1];
+        const first = samples.find(sample => last.time - sample.time <= VELOCITY_WINDOW) || last;
+        const seconds = (last.time - first.time) / 1000;
+        if (seconds <= 0) return { x: 0, y: 0 };
+        return { x: (last.x - first.x) / seconds, y: (last.y - first.y) / seconds };
+    }
+
+    function getDetail(event) {
+        const velocity = getVelocity();
+        return {
+            dx: event.clientX - gesture.startX,
+            dy: event.clientY - gesture.startY,
+            x: position.x,
+            y: position.y,
+            velocityX: velocity.x,
+            velocityY: velocity.y,
+            pointerType: event.pointerType,
+            event
+        };
+    }
+
+    function findSnapPoint(velocity) {
+        if (!drag.snapPoints.length) return null;
+        const projected = {
+            x: position.x + velocity.x * SNAP_PROJECTION,
+            y: position.y + velocity.y * SNAP_PROJECTION
+        };
+        let best = null;
+        let bestDistance = Infinity;
+        drag.snapPoints.forEach(point => {
+            const candidate = { x: point.x ?? position.x, y: point.y ?? position.y };
+            const distance = Math.hypot(candidate.x - projected.x, candidate.y - projected.y);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    function onPointerDown(event) {
+        if (gesture || (event.pointerType === 'mouse' && event.button !== 0)) return;
+        gesture = {
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            origin: { ...position },
+            dragging: false,
+            longPressed: false,
+            longPressTimer: null,
+            samples: [{ x: event.clientX, y: event.clientY, time: Date.now() }]
+        };
+        suppressClick = false;
+        element.setPointerCapture?.(event.pointerId);
+
+        if (longPress) {
+            gesture.longPressTimer = setTimeout(() => {
+                gesture.longPressed = true;
+                suppressClick = true;
+                options.onLongPress?.(getDetail(event));
+            }, longPress.duration);
+        }
+    }
+
+    function onPointerMove(event) {
+        if (!gesture || event.pointerId !== gesture.pointerId) return;
+        gesture.samples.push({ x: event.clientX, y: event.clientY, time: Date.now() });
+        if (gesture.samples.length > 20) gesture.samples.shift();
+
+        const dx = event.clientX - gesture.startX;
+        const dy = event.clientY - gesture.startY;
+        if (longPress && Math.hypot(dx, dy) > longPress.tolerance) {
+            clearTimeout(gesture.longPressTimer);
+        }
+        if (!drag || gesture.longPressed) return;
+
+        if (!gesture.dragging) {
+            const travel = drag.axis === 'x' ? Math.abs(dx) : drag.axis === 'y' ? Math.abs(dy) : Math.hypot(dx, dy);
+            if (travel < drag.threshold) return;
+            if (options.getPosition) {
+                // Start from where the element is now, without jumping by the threshold
+                const current = options.getPosition();
+                gesture.origin = { x: current.x - dx, y: current.y - dy };
+            }
+            // A drag is under way, so it can't turn into a long press any more
+            clearTimeout(gesture.longPressTimer);
+            gesture.dragging = true;
+            suppressClick = true;
+            options.onDragStart?.(getDetail(event));
+        }
+
+        position = {
+            x: drag.axis === 'y' ? gesture.origin.x : clamp(gesture.origin.x + dx, drag.bounds.x),
+            y: drag.axis === 'x' ? gesture.origin.y : clamp(gesture.origin.y + dy, drag.bounds.y)
+        };
+        event.preventDefault?.();
+        options.onDrag?.(getDetail(event));
+    }
+
+    function onPointerEnd(event) {
+        if (!gesture || event.pointerId !== gesture.pointerId) return;
+        clearTimeout(gesture.longPressTimer);
+        gesture.samples.push({ x: event.clientX, y: event.clientY, time: Date.now() });
+        element.releasePointerCapture?.(event.pointerId);
+
+        const detail = getDetail(event);
+        const cancelled = event.type === 'pointercancel';
+
+        if (gesture.dragging) {
+            detail.snap = cancelled ? gesture.origin : findSnapPoint({ x: detail.velocityX, y: detail.velocityY });
+            detail.cancelled = cancelled;
+            options.onDragEnd?.(detail);
+        }
+
+        // Swipes are quick flicks: far enough and fast enough along one axis
+        if (swipe && !cancelled && !gesture.longPressed) {
+            const horizontal = Math.abs(detail.dx) >= Math.abs(detail.dy);
+            const distance = horizontal ? detail.dx : detail.dy;
+            const speed = horizontal ? detail.velocityX : detail.velocityY;
+            if (Math.abs(distance) >= swipe.minDistance && Math.abs(speed) >= swipe.minVelocity) {
+                const direction = horizontal ? (distance > 0 ? 'right' : 'left') : (distance > 0 ? 'down' : 'up');
+                options.onSwipe?.(direction, detail);
+            }
+        }
+
+        gesture = null;
+    }
+
+    function onClick(event) {
+        if (!suppressClick) return;
+        suppressClick = false;
+        event.stopImmediatePropagation();
+        event.preventDefault();
+    }
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerEnd);
+    element.addEventListener('pointercancel', onPointerEnd);
+    element.addEventListener('click', onClick, { capture: true });
+
+    return {
+        element,
+        get position() {
+            return { ...position };
+        },
+        // Keeps the recognizer in step when something else moves the element
+        setPosition: function(x, y) {
+            position = { x, y };
+        },
+        get isDragging() {
+            return Boolean(gesture?.dragging);
+        },
+        destroy: function() {
+            if (gesture) clearTimeout(gesture.longPressTimer);
+            gesture = null;
+            element.removeEventListener('pointerdown', onPointerDown);
+            element.removeEventListener('pointermove', onPointerMove);
+            element.removeEventListener('pointerup', onPointerEnd);
+            element.removeEventListener('pointercancel', onPointerEnd);
+            element.removeEventListener('click', onClick, { capture: true });
+            element.style.touchAction = '';
+        }
+    };
+}
+
+/**
+ * Lets an element be thrown around: it follows the pointer, then coasts
+ * with momentum (or springs to the chosen snap point) when released
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} options - createGestureRecognizer drag options, plus the callbacks
+ * @returns {Object|null} The gesture recognizer
+ */
+function makeDraggable(target, options = {}) {
+    const { onDragEnd, onDrag, drag = {}, ...rest } = options;
+    const recognizer = createGestureRecognizer(target, {
+        ...rest,
+        drag,
+        // Picks the element up wherever springs left it, even mid-flight
+        getPosition: () => getSpringValues(recognizer.element, ['x', 'y']),
+        onDrag: detail => {
+            setSpringValues(recognizer.element, { x: detail.x, y: detail.y }, { x: detail.velocityX, y: detail.velocityY });
+            onDrag?.(detail);
+        },
+        onDragEnd: detail => {
+            const settled = detail.snap
+                ? animateSpring(recognizer.element, { x: detail.snap.x, y: detail.snap.y }, { preset: 'wobbly' })
+                : animateDecay(recognizer.element, { x: detail.velocityX, y: detail.velocityY }, { bounds: drag.bounds });
+            onDragEnd?.(detail, settled);
+        }
+    });
+    return recognizer;
+}
+
+/**
+ * Lets the flip card be turned by dragging it sideways
+ * While dragging (full motion only) rotateY follows the pointer; on release
+ * the card flips if it was turned past halfway or flung, otherwise it snaps back.
+ * @param {HTMLElement} card - The .card element
+ * @param {Object} options - { onFlip(flipped, detail), onSnapBack(detail) }
+ * @returns {Object|null} The gesture recognizer
+ */
+function enableCardDragFlip(card, options = {}) {
+    if (!card) return null;
+
+    const width = () => card.getBoundingClientRect().width || 200;
+    const baseAngle = () => (card.classList.contains('flipped') ? 180 : 0);
+
+    return createGestureRecognizer(card, {
+        drag: { axis: 'x' },
+        swipe: false,
+        onDragStart: () => {
+            if (motionPolicy.get() === 'full') card.style.transition = 'none';
+        },
+        onDrag: detail => {
+            if (motionPolicy.get() !== 'full') return;
+            const turn = Math.max(-180, Math.min(180, (detail.dx / width()) * 180));
+            card.style.transform = `rotateY(${baseAngle() + turn}deg)`;
+        },
+        onDragEnd: detail => {
+            // Hand back to the stylesheet transition, which animates from the scrubbed angle
+            card.style.transition = '';
+            card.style.transform = '';
+            const flung = Math.abs(detail.velocityX) > 500;
+            if (!detail.cancelled && (Math.abs(detail.dx) > width() / 2 || flung)) {
+                options.onFlip?.(flipCard(card), detail);
+            } else {
+                options.onSnapBack?.(detail);
+            }
+        },
+        onLongPress: options.onLongPress
+    });
+}
+
+// ===== DECLARATIVE ANIMATION TRIGGERS =====
+
+let generatedIdCount = 0;
+
+/**
+ * Returns an element's ID, assigning a generated one if it has none
+ * The ID-based helpers (toggleAnimation, runAnimationSequence...) need one.
+ * @param {HTMLElement} element - Element that needs an ID
+ * @returns {string} The element's ID
+ */
+function ensureElementId(element) {
+    if (!element.id) {
+        generatedIdCount++;
+        element.id = `animated-element-${generatedIdCount}`;
+    }
+    return element.id;
+}
+
+/**
+ * Runs the action described by an element's data-animate attributes
+ * Supported values for data-animate:
+ *   - any animation name (e.g. "bounce")  → runAnimationSequence
+ *   - "random"                            → applyRandomAnimation
+ *   - "color" (data-color, optional)      → changeColorWithTransition
+ *   - "toggle" (data-class, default active) → toggleAnimation
+ *   - "flip-card"                         → flipCard
+ *   - "modal"                             → modalManager.open
+ * @param {HTMLElement} trigger - Element carrying the data-animate attributes
+ * @returns {*} Whatever the underlying helper returned
+ */
+function dispatchDeclarativeAnimation(trigger) {
+    const { animate, target: selector, duration, iterations, backend } = trigger.dataset;
+    const target = selector ? document.querySelector(selector) : trigger;
+    if (!target) {
+        console.error(`data-target '${selector}' not found`);
+        return null;
+    }
+
+    const targetId = ensureElementId(target);
+    const durationMs = duration ? Number(duration) : undefined;
+
+    switch (animate) {
+        case 'random': {
+            const name = applyRandomAnimation(targetId, { backend });
+            if (name && !isAnimationQueued(target, name)) displayResult(i18n.t('animation.random', { name }), 'animationResults', 'success');
+            return name;
+        }
+        case 'color': {
+            const color = trigger.dataset.color || getRandomColor();
+            return changeColorWithTransition(targetId, color, durationMs ?? 500, { backend });
+        }
+        case 'toggle': {
+            const isNowActive = toggleAnimation(targetId, trigger.dataset.class || 'active');
+            displayResult(i18n.t(isNowActive ? 'animation.boxActivated' : 'animation.boxDeactivated'), 'animationResults');
+            return isNowActive;
+        }
+        case 'flip-card':
+            return flipCard(target);
+        case 'modal':
+            return modalManager.open(targetId, { opener: trigger });
+        default: {
+            const step = { name: animate };
+            if (durationMs !== undefined) step.duration = durationMs;
+            if (iterations) step.iterations = Number(iterations);
+            return runAnimationSequence(targetId, [step], { backend });
+        }
+    }
+}
+
+/**
+ * Wires up every [data-animate] element under a root, now and in the future
+ * Demonstrates event delegation to markup and MutationObserver
+ * data-trigger takes one or more of click, hover and inview (space or | separated).
+ * inview triggers fire once unless data-once="false"; data-threshold sets
+ * the visible ratio (default 0.5).
+ * @param {HTMLElement} root - Element to scan and observe
+ * @returns {Object} Controller with refresh and disconnect methods
+ */
+function initDeclarativeAnimations(root = document.body) {
+    const bindings = new Map();
+
+    /**
+     * Attaches the listeners an element's data-trigger asks for
+     * @param {HTMLElement} element - Element with data-animate
+     * @returns {Function} Function that removes them again
+     */
+    function bind(element) {
+        const triggers = (element.dataset.trigger || 'click').split(/[\s|]+/).filter(Boolean);
+        const cleanups = [];
+        const run = () => dispatchDeclarativeAnimation(element);
+
+        triggers.forEach(trigger => {
+            if (trigger === 'click') {
+                element.addEventListener('click', run);
+                cleanups.push(() => element.removeEventListener('click', run));
+            } else if (trigger === 'hover') {
+                element.addEventListener('mouseenter', run);
+                cleanups.push(() => element.removeEventListener('mouseenter', run));
+            } else if (trigger === 'inview') {
+                if (typeof IntersectionObserver !== 'function') {
+                    run();
+                    return;
+                }
+                const once = element.dataset.once !== 'false';
+                const observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        if (!entry.isIntersecting) return;
+                        run();
+                        if (once) observer.disconnect();
+                    });
+                }, { threshold: Number(element.dataset.threshold ?? 0.5) });
+                observer.observe(element);
+                cleanups.push(() => observer.disconnect());
+            } else {
+                console.error(`Unknown data-trigger '${trigger}'`);
+            }
+        });
+
+        return () => cleanups.forEach(cleanup => cleanup());
+    }
+
+    function unbind(element) {
+        bindings.get(element)?.();
+        bindings.delete(element);
+    }
+
+    function scan(node) {
+        if (node.nodeType !== 1) return;
+        const elements = node.matches('[data-animate]') ? [node] : [];
+        elements.push(...node.querySelectorAll('[data-animate]'));
+        elements.forEach(element => {
+            if (!bindings.has(element)) {
+                bindings.set(element, bind(element));
+            }
+        });
+    }
+
+    function forget(node) {
+        if (node.nodeType !== 1) return;
+        bindings.forEach((cleanup, element) => {
+            if (element === node || node.contains(element)) unbind(element);
+        });
+    }
+
+    scan(root);
+
+    let observer = null;
+    if (typeof MutationObserver === 'function') {
+        observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    // Rebind so trigger changes take effect
+                    unbind(mutation.target);
+                    if (mutation.target.hasAttribute('data-animate')) scan(mutation.target);
+                    return;
+                }
+                mutation.removedNodes.forEach(forget);
+                mutation.addedNodes.forEach(scan);
+            });
+        });
+        observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['data-animate', 'data-trigger', 'data-once', 'data-threshold']
+        });
+    }
+
+    return {
+        // Picks up elements added without a MutationObserver (or inside shadow roots)
+        refresh: function() {
+            scan(root);
+        },
+        disconnect: function() {
+            observer?.disconnect();
+            [...bindings.keys()].forEach(unbind);
+        }
+    };
+}
+
+// ===== SCROLL-TRIGGERED ANIMATIONS =====
+
+// Reveal names whose CSS class doesn't follow the `${name}-animation` pattern
+const REVEAL_CLASSES = {
+    typewriter: 'typewriter'
+};
+
+/**
+ * Resolves a selector, element or list of elements to an array of elements
+ * @param {string|HTMLElement|Array|NodeList} targets - What to resolve
+ * @returns {Array<HTMLElement>} Matching elements
+ */
+function resolveElements(targets) {
+    if (typeof targets === 'string') {
+        return [...document.querySelectorAll(targets)];
+    }
+    if (targets && typeof targets.length === 'number') {
+        return [...targets];
+    }
+    return targets ? [targets] : [];
+}
+
+/**
+ * Reveals elements with an entrance animation when they scroll into view
+ * Demonstrates IntersectionObserver and staggered timing
+ * Elements are hidden with .reveal-pending until their entrance animation starts.
+ * Elements that enter together are staggered in document order.
+ * @param {string|Array|NodeList} targets - Selector or elements to reveal
+ * @param {Object} options - Reveal options
+ * @param {string} options.animation - fade, slide, typewriter or any `${name}-animation` class
+ * @param {number|Array<number>} options.threshold - Visible ratio that triggers the reveal
+ * @param {string} options.rootMargin - Margin around the viewport, e.g. '0px 0px -10% 0px'
+ * @param {boolean} options.once - Reveal only once (true) or every time the element enters (false)
+ * @param {number} options.stagger - Delay in ms between elements entering together
+ * @returns {Object} Controller with observe, unobserve and disconnect methods
+ */
+function revealOnScroll(targets, options = {}) {
+    const {
+        animation = 'fade',
+        threshold = 0.2,
+        rootMargin = '0px',
+        once = true,
+        stagger = 0
+    } = options;
+    const records = new Map();
+
+    function getRevealClass() {
+        const policy = motionPolicy.get();
+        if (policy === 'none') return null;
+        if (policy === 'reduced') return 'fade-animation';
+        return REVEAL_CLASSES[animation] || `${animation}-animation`;
+    }
+
+    function reveal(element, delay) {
+        const className = getRevealClass();
+        if (!className) {
+            element.classList.remove('reveal-pending');
+            return;
+        }
+
+        // Reveals never wait in the registry queue; without a slot the element just appears
+        const record = animationRegistry.request(element, `reveal:${animation}`, {
+            kind: 'reveal',
+            policy: 'reject',
+            cancel: () => cleanup()
+        });
+        if (!record) {
+            element.classList.remove('reveal-pending');
+            return;
+        }
+
+        function cleanup() {
+            element.removeEventListener('animationstart', onStart);
+            element.removeEventListener('animationend', onEnd);
+            element.classList.remove(className, 'reveal-pending');
+            element.style.animationDelay = '';
+            records.delete(element);
+        }
+
+        // The reveal classes don't fill backwards, so stay hidden through the stagger delay
+        function onStart(event) {
+            if (event.target !== element) return;
+            element.removeEventListener('animationstart', onStart);
+            element.classList.remove('reveal-pending');
+        }
+
+        function onEnd(event) {
+            if (event.target !== element) return;
+            cleanup();
+            animationRegistry.end(record);
+        }
+
+        element.style.animationDelay = `${delay}ms`;
+        element.classList.add(className);
+        element.addEventListener('animationstart', onStart);
+        element.addEventListener('animationend', onEnd);
+        records.set(element, record);
+    }
+
+    function hide(element) {
+        animationRegistry.cancel(records.get(element));
+        element.classList.add('reveal-pending');
+    }
+
+    // Without IntersectionObserver everything is simply shown
+    if (typeof IntersectionObserver !== 'function') {
+        return {
+            observe: () => {},
+            unobserve: () => {},
+            disconnect: () => {}
+        };
+    }
+
+    const observer = new IntersectionObserver(entries => {
+        let batchIndex = 0;
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                reveal(entry.target, batchIndex * stagger);
+                batchIndex++;
+                if (once) observer.unobserve(entry.target);
+            } else if (!once) {
+                hide(entry.target);
+            }
+        });
+    }, { threshold, rootMargin });
+
+    const controller = {
+        observe: function(element) {
+            element.classList.add('reveal-pending');
+            observer.observe(element);
+        },
+        unobserve: function(element) {
+            observer.unobserve(element);
+            element.classList.remove('reveal-pending');
+        },
+        disconnect: function() {
+            observer.disconnect();
+            records.forEach(record => animationRegistry.cancel(record));
+        }
+    };
+
+    resolveElements(targets).forEach(controller.observe);
+    return controller;
+}
+
+/**
+ * Links an animation's progress to the element's position in the viewport
+ * Progress is 0 when the element's top enters the bottom of the viewport and
+ * 1 when its bottom leaves the top. Uses element.animate() when available and
+ * a paused CSS animation with a negative delay otherwise. Under reduced or no
+ * motion the final frame is shown instead.
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {string} animation - Name from ANIMATION_KEYFRAMES
+ * @param {Object} options - { start, end } remap the 0-1 scroll range, e.g. { start: 0.2, end: 0.6 }
+ * @returns {Object|null} Controller with update, getProgress and disconnect methods
+ */
+function linkAnimationToScroll(target, animation, options = {}) {
+    const element = resolveAnimationTarget(target);
+    if (!element) {
+        console.error(`Scroll target '${target}' not found`);
+        return null;
+    }
+
+    const { start = 0, end = 1 } = options;
+    const definition = ANIMATION_KEYFRAMES[KEYFRAME_ALIASES[animation] || animation];
+    const duration = definition?.timing.duration ?? 1000;
+    let progress = 0;
+    let frameId = null;
+    let webAnimation = null;
+    // CSS fallback class, e.g. slideIn keyframes live on .slide-animation
+    const classAlias = Object.keys(KEYFRAME_ALIASES).find(alias => KEYFRAME_ALIASES[alias] === animation);
+    const className = `${classAlias || animation}-animation`;
+
+    if (supportsWebAnimations(element) && definition) {
+        webAnimation = element.animate(definition.keyframes, { duration, iterations: 1, fill: 'both' });
+        webAnimation.pause();
+    } else {
+        element.style.animationDuration = `${duration}ms`;
+        element.style.animationIterationCount = '1';
+        element.style.animationFillMode = 'both';
+        element.style.animationPlayState = 'paused';
+        element.classList.add(className);
+    }
+
+    function measure() {
+        if (motionPolicy.isReduced()) return 1;
+        const rect = element.getBoundingClientRect();
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        const raw = (viewportHeight - rect.top) / (viewportHeight + rect.height);
+        const mapped = (raw - start) / Math.max(end - start, 0.0001);
+        return Math.min(1, Math.max(0, mapped));
+    }
+
+    function update() {
+        frameId = null;
+        progress = measure();
+        // Stop just short of the end so CSS does not consider the animation finished
+        const time = Math.min(progress * duration, duration - 0.01);
+        if (webAnimation) {
+            webAnimation.currentTime = time;
+        } else {
+            element.style.animationDelay = `${-time}ms`;
+        }
+    }
+
+    function onScroll() {
+        if (frameId === null) frameId = scheduleFrame(update);
+    }
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll);
+    update();
+
+    return {
+        update,
+        getProgress: function() {
+            return progress;
+        },
+        disconnect: function() {
+            window.removeEventListener('scroll', onScroll);
+            window.removeEventListener('resize', onScroll);
+            if (frameId !== null) cancelFrame(frameId);
+            if (webAnimation) {
+                webAnimation.cancel();
+            } else {
+                element.classList.remove(className);
+                element.style.animationDuration = '';
+                element.style.animationIterationCount = '';
+                element.style.animationFillMode = '';
+                element.style.animationPlayState = '';
+                element.style.animationDelay = '';
+            }
+        }
+    };
+}
+
+// ===== ANIMATION BUILDER =====
+
+// Keyframe properties the builder can animate, named as in element.animate()
+const BUILDER_PROPERTIES = ['transform', 'opacity', 'color', 'backgroundColor'];
+
+const EASING_KEYWORDS = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'];
+
+const STEP_POSITIONS = ['jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', 'end'];
+
+const ANIMATION_DIRECTIONS = ['normal', 'reverse', 'alternate', 'alternate-reverse'];
+
+const FILL_MODES = ['none', 'forwards', 'backwards', 'both'];
+
+// Characters that could close a declaration or rule in the injected <style> element
+const UNSAFE_CSS_PATTERN = /[;{}<>\\]/;
+
+/**
+ * Lists the strings in a spec that aren't safe to write into CSS
+ * @param {*} value - Spec, or any part of it
+ * @param {Array<string>} path - Keys leading to value
+ * @returns {Array<string>} Dotted paths of the unsafe strings, e.g. 'keyframes.1.transform'
+ */
+function findUnsafeCssStrings(value, path = []) {
+    if (typeof value === 'string') {
+        return UNSAFE_CSS_PATTERN.test(value) ? [path.join('.')] : [];
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => findUnsafeCssStrings(item, [...path, key]));
+    }
+    return [];
+}
+
+// Names shipped in styles.css, which custom animations may not replace
+const BUILT_IN_ANIMATIONS = new Set([
+    ...ANIMATION_TYPES,
+    ...Object.keys(ANIMATION_KEYFRAMES),
+    ...Object.keys(KEYFRAME_ALIASES),
+    'builder-preview'
+]);
+
+/**
+ * Turns an easing into CSS, checking it on the way
+ * @param {string|Object} easing - Keyword, cubic-bezier()/steps() string,
+ *   { type: 'cubic-bezier', points: [x1, y1, x2, y2] } or { type: 'steps', count, position }
+ * @returns {string|null} CSS easing, or null if invalid
+ */
+function formatEasing(easing = 'ease') {
+    if (typeof easing === 'string') {
+        const value = easing.trim().toLowerCase();
+        if (EASING_KEYWORDS.includes(value)) return value;
+
+        const bezier = /^cubic-bezier\(([^)]*)\)$/.exec(value);
+        if (bezier) {
+            return formatEasing({ type: 'cubic-bezier', points: bezier[1].split(',').map(Number) });
+        }
+        const steps = /^steps\(\s*(\d+)\s*(?:,\s*([a-z-]+)\s*)?\)$/.exec(value);
+        if (steps) {
+            return formatEasing({ type: 'steps', count: Number(steps[1]), position: steps[2] });
+        }
+        return null;
+    }
+
+    if (easing?.type === 'cubic-bezier') {
+        const points = easing.points || [];
+        if (points.length !== 4 || !points.every(Number.isFinite)) return null;
+        // The x coordinates must stay in 0–1 so the curve is a function of time
+        if (points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) return null;
+        return `cubic-bezier(${points.join(', ')})`;
+    }
+
+    if (easing?.type === 'steps') {
+        const { count, position = 'end' } = easing;
+        if (!Number.isInteger(count) || count < 1 || !STEP_POSITIONS.includes(position)) return null;
+        if (position === 'jump-none' && count < 2) return null;
+        return `steps(${count}, ${position})`;
+    }
+
+    return null;
+}
+
+function toKebabCase(property) {
+    return property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Checks an animation spec and normalizes it
+ * A spec is { name, duration, delay, iterations, direction, fillMode, easing,
+ * keyframes: [{ offset (0–1), transform, opacity, color, backgroundColor, easing }] }.
+ * @param {Object} spec - Animation spec
+ * @returns {Object} { success, error, errors: [{ code, message }], data } like validateAndProcessInput
+ */
+function validateAnimationSpec(spec) {
+    const errors = [];
+    const fail = (code, message) => errors.push({ code, message });
+    const {
+        name = '',
+        duration = 1000,
+        delay = 0,
+        iterations = 1,
+        direction = 'normal',
+        fillMode = 'both',
+        keyframes = []
+    } = spec || {};
+
+    // Everything in the spec ends up in a <style> element, so check every string once
+    findUnsafeCssStrings(spec).forEach(path => {
+        fail('invalidValue', `'${path}' contains characters that aren't allowed in CSS`);
+    });
+
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+        fail('invalidName', 'Name must start with a letter and use only lowercase letters, digits and dashes');
+    } else if (BUILT_IN_ANIMATIONS.has(name)) {
+        fail('reservedName', `'${name}' is a built-in animation`);
+    }
+
+    if (!Number.isFinite(duration) || duration <= 0) {
+        fail('invalidDuration', 'Duration must be a positive number of milliseconds');
+    }
+    if (!Number.isFinite(delay) || delay < 0) {
+        fail('invalidDelay', 'Delay must be 0 or more milliseconds');
+    }
+    if (!(iterations === Infinity || (Number.isFinite(iterations) && iterations > 0))) {
+        fail('invalidIterations', 'Iterations must be a positive number or Infinity');
+    }
+    if (!ANIMATION_DIRECTIONS.includes(direction)) {
+        fail('invalidDirection', `Direction must be one of ${ANIMATION_DIRECTIONS.join(', ')}`);
+    }
+    if (!FILL_MODES.includes(fillMode)) {
+        fail('invalidFillMode', `Fill mode must be one of ${FILL_MODES.join(', ')}`);
+    }
+
+    const easing = formatEasing(spec?.easing);
+    if (!easing) fail('invalidEasing', `Unsupported easing '${spec?.easing?.type || spec?.easing}'`);
+
+    if (keyframes.length < 2) {
+        fail('tooFewStops', 'Add at least two keyframe stops');
+    }
+
+    const offsets = new Set();
+    const normalized = keyframes.map((frame, index) => {
+        const stop = { offset: Number(frame.offset) };
+        if (!(stop.offset >= 0 && stop.offset <= 1) || offsets.has(stop.offset)) {
+            fail('invalidOffset', `Stop ${index + 1} needs a unique offset between 0% and 100%`);
+        }
+        offsets.add(stop.offset);
+
+        Object.keys(frame).forEach(property => {
+            const value = frame[property];
+            if (property === 'offset' || value === '' || value === undefined || value === null) return;
+            if (property === 'easing') {
+                stop.easing = formatEasing(value);
+                if (!stop.easing) fail('invalidEasing', `Stop ${index + 1} has an unsupported easing`);
+            } else if (!BUILDER_PROPERTIES.includes(property)) {
+                fail('unknownProperty', `Stop ${index + 1}: '${property}' can't be animated here`);
+            } else if (property === 'opacity' && !(Number(value) >= 0 && Number(value) <= 1)) {
+                fail('invalidValue', `Stop ${index + 1}: opacity must be between 0 and 1`);
+            } else if ((property === 'color' || property === 'backgroundColor') && !parseColor(String(value))) {
+                fail('invalidValue', `Stop ${index + 1}: '${value}' is not a color`);
+            } else {
+                stop[property] = property === 'opacity' ? Number(value) : String(value).trim();
+            }
+        });
+        return stop;
+    });
+
+    if (errors.length > 0) {
+        return { success: false, error: errors[0].message, errors, data: null };
+    }
+
+    return {
+        success: true,
+        error: null,
+        errors: [],
+        data: {
+            name,
+            duration,
+            delay,
+            iterations,
+            direction,
+            fillMode,
+            easing,
+            keyframes: normalized.sort((a, b) => a.offset - b.offset)
+        }
+    };
+}
+
+// Writes CSS for a spec that already passed validateAnimationSpec
+function buildAnimationCss(data) {
+    const { name, duration, delay, iterations, direction, fillMode, easing, keyframes } = data;
+    const stops = keyframes.map(frame => {
+        const declarations = Object.keys(frame)
+            .filter(property => property !== 'offset')
+            .map(property => {
+                const cssProperty = property === 'easing' ? 'animation-timing-function' : toKebabCase(property);
+                return `${cssProperty}: ${frame[property]};`;
+            })
+            .join(' ');
+        return `    ${Number((frame.offset * 100).toFixed(2))}% { ${declarations} }`;
+    });
+    const count = iterations === Infinity ? 'infinite' : iterations;
+
+    return [
+        `@keyframes ${name} {`,
+        ...stops,
+        '}',
+        '',
+        `.${name}-animation {`,
+        `    animation: ${name} ${duration}ms ${easing} ${delay}ms ${count} ${direction} ${fillMode};`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Writes the @keyframes rule and `.name-animation` class for a spec
+ * @param {Object} spec - Animation spec (see validateAnimationSpec)
+ * @returns {string|null} CSS text in the style of styles.css, or null if the spec is invalid
+ */
+function generateAnimationCss(spec) {
+    const result = validateAnimationSpec(spec);
+    if (!result.success) {
+        console.error(`Invalid animation spec: ${result.error}`);
+        return null;
+    }
+    return buildAnimationCss(result.data);
+}
+
+// Adds or replaces the <style> element holding one animation's CSS
+function injectAnimationStyle(name, css) {
+    let style = document.head.querySelector(`style[data-animation="${name}"]`);
+    if (!style) {
+        style = document.createElement('style');
+        style.setAttribute('data-animation', name);
+        document.head.appendChild(style);
+    }
+    style.textContent = css;
+    return style;
+}
+
+/**
+ * Registers a builder animation so every helper can play it
+ * A builder spec is registerAnimation's options plus the name; see
+ * registerAnimation for what registering does.
+ * @param {Object} spec - Animation spec (see validateAnimationSpec)
+ * @returns {string|null} The animation name, or null if the spec is invalid
+ */
+function defineCustomAnimation(spec) {
+    const { name, ...options } = spec || {};
+    return registerAnimation(name, options).success ? name : null;
+}
+
+/**
+ * Plays a spec on an element without registering it
+ * The spec runs under the reserved name 'builder-preview', through the
+ * animation registry and the motion policy like any other keyframe animation.
+ * @param {Object} spec - Animation spec (see validateAnimationSpec)
+ * @param {string} elementId - ID of the preview element
+ * @returns {boolean} True if the preview started
+ */
+function previewAnimationSpec(spec, elementId = 'animationBox') {
+    const element = document.getElementById(elementId);
+    if (!element) {
+        console.error(`Element with ID '${elementId}' not found`);
+        return false;
+    }
+
+    // Validated under its own name, played under the preview name
+    const result = validateAnimationSpec(spec);
+    if (!result.success) return false;
+    injectAnimationStyle('builder-preview', buildAnimationCss({ ...result.data, name: 'builder-preview' }));
+
+    animationRegistry.cancelElement(element, record => record.kind === 'keyframes');
+    removeAnimationClasses(element);
+    element.classList.remove('builder-preview-animation');
+
+    const className = resolveMotionClass('builder-preview');
+
+    function onEnd(event) {
+        if (event.target !== element) return;
+        element.removeEventListener('animationend', onEnd);
+        element.classList.remove(className);
+        animationRegistry.end(record);
+    }
+
+    const record = animationRegistry.request(element, 'builder-preview', {
+        kind: 'keyframes',
+        policy: 'reject',
+        start: current => {
+            if (!className) {
+                animationRegistry.end(current);
+                return;
+            }
+            void element.offsetWidth;
+            element.classList.add(className);
+            element.addEventListener('animationend', onEnd);
+        },
+        cancel: () => {
+            element.removeEventListener('animationend', onEnd);
+            if (className) element.classList.remove(className);
+        }
+    });
+    return record !== null;
+}
+
+/**
+ * Builds the in-page animation editor
+ * Demonstrates DOM building, event delegation and live previews
+ * Edits update the spec, list validation errors and (after a short pause)
+ * replay the preview. Export writes the CSS into the output box; Register
+ * calls defineCustomAnimation so the animation joins random picks and sequences.
+ * Labels follow the active locale.
+ * @param {string|HTMLElement} target - Container ID, selector or element
+ * @param {Object} options - Builder options
+ * @param {string} options.previewTarget - ID of the element that plays previews
+ * @param {Object} options.spec - Initial spec
+ * @param {Function} options.onExport - Called with (css, spec) on export
+ * @param {Function} options.onRegister - Called with the name after registering
+ * @returns {Object|null} Builder with getSpec, setSpec, preview, exportCss, register and destroy
+ */
+function createAnimationBuilder(target, options = {}) {
+    const container = resolveAnimationTarget(target);
+    if (!container) {
+        console.error(`Animation builder container '${target}' not found`);
+        return null;
+    }
+
+    const { previewTarget = 'animationBox', onExport, onRegister, previewDelay = 300 } = options;
+    let spec = {
+        name: 'my-animation',
+        duration: 1000,
+        iterations: 1,
+        easing: 'ease',
+        keyframes: [
+            { offset: 0, transform: 'scale(1)', opacity: 1 },
+            { offset: 0.5, transform: 'scale(1.2) rotate(10deg)', opacity: 0.6 },
+            { offset: 1, transform: 'scale(1)', opacity: 1 }
+        ],
+        ...options.spec
+    };
+    let previewTimer = null;
+    // [element, attribute or null for text, message key] for everything translated outside renderStops
+    const translations = [];
+
+    function translate(element, attribute, key) {
+        translations.push([element, attribute, key]);
+        return element;
+    }
+
+    function applyTranslations() {
+        translations.forEach(([element, attribute, key]) => {
+            if (attribute) {
+                element.setAttribute(attribute, i18n.t(key));
+            } else {
+                element.textContent = i18n.t(key);
+            }
+        });
+    }
+
+    function field(labelKey, name, attributes = {}) {
+        const wrapper = document.createElement('label');
+        wrapper.appendChild(translate(document.createElement('span'), null, labelKey));
+        const input = document.createElement(attributes.tag || 'input');
+        input.setAttribute('data-field', name);
+        Object.entries(attributes).forEach(([key, value]) => {
+            if (key !== 'tag') input.setAttribute(key, value);
+        });
+        wrapper.appendChild(input);
+        return wrapper;
+    }
+
+    function button(text, action) {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = 'btn';
+        element.setAttribute('data-action', action);
+        element.textContent = text;
+        return element;
+    }
+
+    function translatedButton(key, action) {
+        return translate(button(i18n.t(key), action), null, key);
+    }
+
+    const form = document.createElement('form');
+    form.className = 'animation-builder';
+    const easingField = field('builder.easing', 'easing', { tag: 'select' });
+    [...EASING_KEYWORDS, 'cubic-bezier', 'steps'].forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        easingField.querySelector('select').appendChild(option);
+    });
+    const stopsList = document.createElement('div');
+    stopsList.className = 'builder-stops';
+    const errorList = document.createElement('ul');
+    errorList.className = 'builder-errors';
+    errorList.setAttribute('aria-live', 'polite');
+    const output = document.createElement('textarea');
+    output.className = 'builder-output';
+    output.setAttribute('readonly', '');
+    translate(output, 'aria-label', 'builder.output');
+    const easingParamsField = field('builder.easingParams', 'easingParams');
+    translate(easingParamsField.querySelector('input'), 'placeholder', 'builder.easingParamsHint');
+
+    form.append(
+        field('builder.name', 'name'),
+        field('builder.duration', 'duration', { type: 'number', min: '1' }),
+        field('builder.iterations', 'iterations'),
+        easingField,
+        easingParamsField,
+        stopsList,
+        translatedButton('builder.addStop', 'add-stop'),
+        translatedButton('builder.preview', 'preview'),
+        translatedButton('builder.export', 'export'),
+        translatedButton('builder.register', 'register'),
+        errorList,
+        output
+    );
+    applyTranslations();
+    container.appendChild(form);
+
+    const stopTranslating = i18n.subscribe(() => {
+        applyTranslations();
+        renderStops();
+    });
+
+    const getInput = name => form.querySelector(`[data-field="${name}"]`);
+
+    // Easing as edited: a keyword, or { type, params } for the parameterized kinds
+    function readEasing() {
+        const type = getInput('easing').value;
+        const params = getInput('easingParams').value.split(',').map(part => part.trim()).filter(Boolean);
+        if (type === 'cubic-bezier') return { type, points: params.map(Number) };
+        if (type === 'steps') return { type, count: Number(params[0]), position: params[1] || 'end' };
+        return type;
+    }
+
+    function writeEasing(easing) {
+        const css = formatEasing(easing) || 'ease';
+        const match = /^(cubic-bezier|steps)\((.*)\)$/.exec(css);
+        getInput('easing').value = match ? match[1] : css;
+        getInput('easingParams').value = match ? match[2] : '';
+    }
+
+    function renderStops() {
+        stopsList.textContent = '';
+        spec.keyframes.forEach((frame, index) => {
+            const row = document.createElement('div');
+            row.className = 'builder-stop';
+            row.setAttribute('data-index', String(index));
+            const inputs = [
+                ['offset', i18n.t('builder.offset'), Math.round(Number(frame.offset) * 100)],
+                ...BUILDER_PROPERTIES.map(property => [property, toKebabCase(property), frame[property] ?? ''])
+            ];
+            inputs.forEach(([property, label, value]) => {
+                const input = document.createElement('input');
+                input.setAttribute('data-stop', property);
+                input.setAttribute('aria-label', i18n.t('builder.stopField', { index: index + 1, label }));
+                input.setAttribute('placeholder', label);
+                input.value = String(value);
+                row.appendChild(input);
+            });
+            const remove = button(i18n.t('builder.remove'), 'remove-stop');
+            remove.setAttribute('aria-label', i18n.t('builder.removeStop', { index: index + 1 }));
+            row.appendChild(remove);
+            stopsList.appendChild(row);
+        });
+    }
+
+    function render() {
+        getInput('name').value = spec.name;
+        getInput('duration').value = String(spec.duration);
+        getInput('iterations').value = spec.iterations === Infinity ? 'infinite' : String(spec.iterations);
+        writeEasing(spec.easing);
+        renderStops();
+        showErrors();
+    }
+
+    function showErrors() {
+        const result = validateAnimationSpec(spec);
+        errorList.textContent = '';
+        result.errors.forEach(error => {
+            const item = document.createElement('li');
+            item.setAttribute('data-code', error.code);
+            item.textContent = error.message;
+            errorList.appendChild(item);
+        });
+        return result;
+    }
+
+    function readForm() {
+        const iterations = getInput('iterations').value.trim().toLowerCase();
+        spec = {
+            ...spec,
+            name: getInput('name').value.trim(),
+            duration: Number(getInput('duration').value),
+            iterations: iterations === 'infinite' ? Infinity : Number(iterations),
+            easing: readEasing(),
+            keyframes: [...stopsList.querySelectorAll('.builder-stop')].map(row => {
+                const frame = {};
+                row.querySelectorAll('[data-stop]').forEach(input => {
+                    const property = input.getAttribute('data-stop');
+                    frame[property] = property === 'offset' ? Number(input.value) / 100 : input.value;
+                });
+                return frame;
+            })
+        };
+    }
+
+    function onInput() {
+        readForm();
+        const result = showErrors();
+        clearTimeout(previewTimer);
+        if (result.success) {
+            previewTimer = setTimeout(() => builder.preview(), previewDelay);
+        }
+    }
+
+    function onClick(event) {
+        const action = event.target.closest?.('[data-action]')?.getAttribute('data-action');
+        if (!action) return;
+        event.preventDefault();
+        readForm();
+
+        if (action === 'add-stop') {
+            // New stops copy the last one, halfway between it and the stop before
+            const frames = spec.keyframes;
+            const last = frames[frames.length - 1];
+            const previous = frames[frames.length - 2];
+            if (!last) {
+                frames.push({ offset: 0 });
+            } else if (!previous) {
+                frames.push({ ...last, offset: 1 });
+            } else {
+                frames.splice(frames.length - 1, 0, { ...last, offset: (previous.offset + last.offset) / 2 });
+            }
+            renderStops();
+            showErrors();
+        } else if (action === 'remove-stop') {
+            const index = Number(event.target.closest('.builder-stop').getAttribute('data-index'));
+            spec.keyframes.splice(index, 1);
+            renderStops();
+            showErrors();
+        } else if (action === 'preview') {
+            builder.preview();
+        } else if (action === 'export') {
+            builder.exportCss();
+        } else if (action === 'register') {
+            builder.register();
+        }
+    }
+
+    form.addEventListener('input', onInput);
+    form.addEventListener('change', onInput);
+    form.addEventListener('click', onClick);
+    form.addEventListener('submit', event => event.preventDefault());
+    render();
+
+    const builder = {
+        form,
+        getSpec: () => ({ ...spec, keyframes: spec.keyframes.map(frame => ({ ...frame })) }),
+        setSpec: function(nextSpec) {
+            spec = { ...spec, ...nextSpec };
+            render();
+        },
+        preview: function() {
+            clearTimeout(previewTimer);
+            return showErrors().success && previewAnimationSpec(spec, previewTarget);
+        },
+        // Writes the CSS into the output box and returns it (null while the spec is invalid)
+        exportCss: function() {
+            if (!showErrors().success) return null;
+            const css = generateAnimationCss(spec);
+            output.value = css;
+            onExport?.(css, builder.getSpec());
+            return css;
+        },
+        register: function() {
+            if (!showErrors().success) return null;
+            const name = defineCustomAnimation(spec);
+            if (name) onRegister?.(name);
+            return name;
+        },
+        destroy: function() {
+            clearTimeout(previewTimer);
+            stopTranslating();
+            form.remove();
+        }
+    };
+
+    return builder;
+}
+
+// ===== ANIMATION PLUGINS =====
+
+const ANIMATION_CATEGORIES = ['attention', 'entrance', 'exit', 'loop'];
+
+/**
+ * Every animation the helpers can play: name → { name, categories, weight,
+ * builtIn, onStart, onEnd, spec, css, style }. Built-ins live in styles.css;
+ * weight 0 keeps an animation out of random picks (fade and slide are
+ * entrance effects, not something to apply at random).
+ */
+const animationCatalog = new Map([
+    ['pulse', { categories: ['attention', 'loop'], weight: 1 }],
+    ['bounce', { categories: ['attention', 'loop'], weight: 1 }],
+    ['rotate', { categories: ['loop'], weight: 1 }],
+    ['shake', { categories: ['attention'], weight: 1 }],
+    ['flip', { categories: ['loop'], weight: 1 }],
+    ['fade', { categories: ['entrance'], weight: 0 }],
+    ['slide', { categories: ['entrance'], weight: 0 }]
+].map(([name, entry]) => [name, { name, ...entry, builtIn: true }]));
+
+/**
+ * Checks the plugin-only options of registerAnimation
+ * @param {Object} options - { weight, category }
+ * @param {boolean} loops - Whether the animation repeats forever (picks the default category)
+ * @returns {Object} { errors, weight, categories }
+ */
+function validatePluginOptions(options, loops) {
+    const errors = [];
+    const { weight = 1 } = options;
+    const categories = [].concat(options.category ?? (loops ? 'loop' : 'attention'));
+
+    if (!Number.isFinite(weight) || weight < 0) {
+        errors.push({ code: 'invalidWeight', message: 'Weight must be a number of 0 or more' });
+    }
+    categories.filter(category => !ANIMATION_CATEGORIES.includes(category)).forEach(category => {
+        errors.push({
+            code: 'unknownCategory',
+            message: `Unknown category '${category}' (use ${ANIMATION_CATEGORIES.join(', ')})`
+        });
+    });
+    return { errors, weight, categories };
+}
+
+// Runs a plugin's onStart/onEnd hook without letting it break the helper that called it
+function callAnimationHook(name, hook, element, details = {}) {
+    const entry = animationCatalog.get(name);
+    if (!entry?.[hook]) return;
+    try {
+        entry[hook](element, { name, ...details });
+    } catch (error) {
+        console.error(`Animation '${name}' ${hook} hook failed:`, error);
+    }
+}
+
+/**
+ * Adds an animation type at runtime
+ * Demonstrates a plugin registry built on closures and injected CSS
+ * The keyframes are written into a <style> element as @keyframes plus a
+ * `.name-animation` class, so runAnimationSequence, applyRandomAnimation,
+ * timelines and the 'waapi' backend can all play it. Keyframes without an
+ * offset are spread evenly, as with element.animate(). Registering an
+ * existing custom name replaces it.
+ * @param {string} name - Animation name (lowercase letters, digits and dashes)
+ * @param {Object} options - Animation definition
+ * @param {Array<Object>} options.keyframes - Stops with offset (0–1), transform, opacity, color, backgroundColor, easing
+ * @param {number} options.duration - Duration in milliseconds
+ * @param {string|Object} options.easing - Easing (see formatEasing)
+ * @param {number} options.iterations - Iteration count, or Infinity
+ * @param {number} options.delay - Delay in milliseconds
+ * @param {string} options.direction - normal, reverse, alternate or alternate-reverse
+ * @param {string} options.fillMode - none, forwards, backwards or both
+ * @param {number} options.weight - Relative chance in applyRandomAnimation (0 keeps it out), default 1
+ * @param {string|Array<string>} options.category - attention, entrance, exit and/or loop
+ * @param {Function} options.onStart - Called with (element, { name }) when it starts playing
+ * @param {Function} options.onEnd - Called with (element, { name, cancelled }) when it stops
+ * @returns {Object} { success, error, errors, data } like validateAnimationSpec
+ */
+function registerAnimation(name, options = {}) {
+    const { keyframes = [], weight, category, onStart, onEnd, ...timing } = options;
+    const spread = keyframes.map((frame, index) => ({
+        offset: keyframes.length > 1 ? index / (keyframes.length - 1) : 0,
+        ...frame
+    }));
+    const result = validateAnimationSpec({ ...timing, name, keyframes: spread });
+    const plugin = validatePluginOptions(options, timing.iterations === Infinity);
+
+    if (!result.success || plugin.errors.length > 0) {
+        const errors = [...result.errors, ...plugin.errors];
+        console.error(`Cannot register animation '${name}': ${errors[0].message}`);
+        return { success: false, error: errors[0].message, errors, data: null };
+    }
+
+    const { data } = result;
+    const css = buildAnimationCss(data);
+    const style = injectAnimationStyle(data.name, css);
+
+    ANIMATION_KEYFRAMES[data.name] = {
+        keyframes: data.keyframes,
+        timing: {
+            duration: data.duration,
+            delay: data.delay,
+            iterations: data.iterations,
+            direction: data.direction,
+            fill: data.fillMode,
+            easing: data.easing
+        }
+    };
+    animationCatalog.set(data.name, {
+        name: data.name,
+        categories: plugin.categories,
+        weight: plugin.weight,
+        builtIn: false,
+        onStart,
+        onEnd,
+        spec: data,
+        css,
+        style
+    });
+
+    // ANIMATION_TYPES stays the list of random candidates for older callers
+    const index = ANIMATION_TYPES.indexOf(data.name);
+    if (plugin.weight > 0 && index === -1) ANIMATION_TYPES.push(data.name);
+    if (plugin.weight === 0 && index !== -1) ANIMATION_TYPES.splice(index, 1);
+
+    return result;
+}
+
+/**
+ * Removes a registered animation, stopping it wherever it is playing
+ * @param {string} name - Name passed to registerAnimation
+ * @returns {boolean} True if it was removed (built-ins can't be)
+ */
+function unregisterAnimation(name) {
+    const entry = animationCatalog.get(name);
+    if (!entry || entry.builtIn) {
+        console.error(`'${name}' is not a registered custom animation`);
+        return false;
+    }
+
+    [...animationRegistry.getActive(), ...animationRegistry.getQueued()]
+        .filter(record => record.name === name)
+        .forEach(record => animationRegistry.cancel(record));
+    if (typeof document !== 'undefined') {
+        document.querySelectorAll(`.${name}-animation`).forEach(element => element.classList.remove(`${name}-animation`));
+    }
+
+    entry.style?.remove();
+    delete ANIMATION_KEYFRAMES[name];
+    animationCatalog.delete(name);
+    const index = ANIMATION_TYPES.indexOf(name);
+    if (index !== -1) ANIMATION_TYPES.splice(index, 1);
+    return true;
+}
+
+/**
+ * Looks up one animation
+ * @param {string} name - Animation name
+ * @returns {Object|null} { name, categories, weight, builtIn, spec } or null if unknown
+ */
+function getAnimationInfo(name) {
+    const entry = animationCatalog.get(name);
+    if (!entry) return null;
+    const { categories, weight, builtIn, spec } = entry;
+    return { name, categories: [...categories], weight, builtIn, spec: spec ? { ...spec } : null };
+}
+
+/**
+ * Names of the animations in a category, in registration order
+ * @param {string} category - attention, entrance, exit or loop
+ * @returns {Array<string>} Animation names
+ */
+function getAnimationsByCategory(category) {
+    return [...animationCatalog.values()]
+        .filter(entry => entry.categories.includes(category))
+        .map(entry => entry.name);
+}
+
+/**
+ * Picks a random animation, favouring higher weights
+ * @param {Object} options - { category } to pick from one category only
+ * @returns {string|null} Animation name, or null if nothing has a weight above 0
+ */
+function pickRandomAnimation(options = {}) {
+    const candidates = [...animationCatalog.values()].filter(entry => (
+        entry.weight > 0 && (!options.category || entry.categories.includes(options.category))
+    ));
+    const total = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+    if (total === 0) return null;
+
+    let roll = nextRandom() * total;
+    for (const entry of candidates) {
+        roll -= entry.weight;
+        if (roll < 0) return entry.name;
+    }
+    return candidates[candidates.length - 1].name;
+}
+
+// ===== FORM VALIDATION =====
+
+/**
+ * Rule factories for validateInput, bindValidation and validateAndProcessInput
+ * A rule is { code, message, test(value, context) }. test receives the trimmed
+ * value and returns true (valid), false (fails with the rule's message),
+ * a string (fails with that message) or a Promise of one of those.
+ * Default messages are translated for the locale active when the rule is made.
+ * Codes follow the browser's ValidityState names. Every rule except
+ * required passes on empty values, like native constraint validation.
+ */
+const validators = {
+    required: function(message = i18n.t('validators.required')) {
+        return { code: 'valueMissing', message, required: true, test: value => value !== '' };
+    },
+    minLength: function(min, message = i18n.t('validators.minLength', { min })) {
+        return { code: 'tooShort', message, test: value => value.length >= min };
+    },
+    maxLength: function(max, message = i18n.t('validators.maxLength', { max })) {
+        return { code: 'tooLong', message, test: value => value.length <= max };
+    },
+    pattern: function(regex, message = i18n.t('validators.pattern')) {
+        return {
+            code: 'patternMismatch',
+            message,
+            test: value => {
+                // Global/sticky regexes keep lastIndex between calls
+                regex.lastIndex = 0;
+                return regex.test(value);
+            }
+        };
+    },
+    email: function(message = i18n.t('validators.email')) {
+        return { code: 'typeMismatch', message, test: value => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(value) };
+    },
+    url: function(message = i18n.t('validators.url')) {
+        return {
+            code: 'typeMismatch',
+            message,
+            test: value => {
+                try {
+                    return ['http:', 'https:'].includes(new URL(value).protocol);
+                } catch (error) {
+                    return false;
+                }
+            }
+        };
+    },
+    number: function(message = i18n.t('validators.number')) {
+        return { code: 'badInput', message, test: value => Number.isFinite(Number(value)) };
+    },
+    // min/max/step skip values that aren't numbers; pair them with number()
+    min: function(limit, message = i18n.t('validators.min', { limit })) {
+        return { code: 'rangeUnderflow', message, test: value => !(Number(value) < limit) };
+    },
+    max: function(limit, message = i18n.t('validators.max', { limit })) {
+        return { code: 'rangeOverflow', message, test: value => !(Number(value) > limit) };
+    },
+    step: function(increment, base = 0, message = i18n.t('validators.step', { increment })) {
+        return {
+            code: 'stepMismatch',
+            message,
+            test: value => {
+                const steps = (Number(value) - base) / increment;
+                return !Number.isFinite(steps) || Math.abs(steps - Math.round(steps)) < 1e-9;
+            }
+        };
+    },
+    /**
+     * Wraps a custom (possibly async) check
+     * @param {Function} test - (value, context) => boolean | string | Promise
+     * @param {Object} options - { code, message }
+     * @returns {Object} Rule
+     */
+    custom: function(test, options = {}) {
+        const { code = 'customError', message = i18n.t('validators.custom') } = options;
+        return { code, message, test };
+    }
+};
+
+// Turns one rule outcome into an error, or null when the rule passed
+function toRuleError(rule, outcome) {
+    if (outcome === true || outcome === undefined || outcome === null) return null;
+    return {
+        code: rule.code,
+        message: typeof outcome === 'string' ? outcome : rule.message
+    };
+}
+
+/**
+ * Runs synchronous rules against a value
+ * @param {string} input - Raw value; rules see it trimmed
+ * @param {Array<Object>} rules - Rules from validators
+ * @param {Object} options - { bail, context }
+ * @returns {Array<Object>} Errors as { code, message }
+ */
+function collectRuleErrors(input, rules, options = {}) {
+    const { bail = false, context = {} } = options;
+    const value = String(input ?? '').trim();
+    const errors = [];
+    
+    for (const rule of rules) {
+        if (value === '' && !rule.required) continue;
+        const outcome = rule.test(value, context);
+        if (outcome && typeof outcome.then === 'function') {
+            throw new TypeError(`Rule '${rule.code}' is async; use validateInput instead`);
+        }
+        const error = toRuleError(rule, outcome);
+        if (error) {
+            errors.push(error);
+            if (bail || rule.required) break;
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Validates a value against any mix of sync and async rules
+ * Demonstrates async/await and composable rule objects
+ * All failing rules are reported unless bail is set; a failed required
+ * rule always stops the rest. A rule that throws or rejects reports its
+ * code with the error's message.
+ * @param {string} input - Raw value
+ * @param {Array<Object>} rules - Rules from validators
+ * @param {Object} options - { bail, context } where context is passed to every rule
+ * @returns {Promise<Object>} Same shape as validateAndProcessInput
+ */
+async function validateInput(input, rules, options = {}) {
+    const { bail = false, context = {} } = options;
+    const raw = String(input ?? '');
+    const value = raw.trim();
+    const errors = [];
+    
+    for (const rule of rules) {
+        if (value === '' && !rule.required) continue;
+        let error;
+        try {
+            error = toRuleError(rule, await rule.test(value, context));
+        } catch (failure) {
+            error = { code: rule.code, message: failure?.message || rule.message };
+        }
+        if (error) {
+            errors.push(error);
+            if (bail || rule.required) break;
+        }
+    }
+    
+    return buildValidationResult(raw, errors);
+}
+
+/**
+ * Reads constraint attributes from a form control and turns them into rules
+ * Supports required, minlength, maxlength, pattern, type=email|url|number, min, max and step.
+ * @param {HTMLElement} input - Form control
+ * @returns {Array<Object>} Rules from validators
+ */
+function rulesFromAttributes(input) {
+    const rules = [];
+    const attr = name => input.getAttribute(name);
+    const type = (attr('type') || '').toLowerCase();
+    
+    if (input.hasAttribute('required')) rules.push(validators.required());
+    if (attr('minlength') !== null) rules.push(validators.minLength(Number(attr('minlength'))));
+    if (attr('maxlength') !== null) rules.push(validators.maxLength(Number(attr('maxlength'))));
+    // Native patterns must match the whole value
+    if (attr('pattern') !== null) rules.push(validators.pattern(new RegExp(`^(?:${attr('pattern')})$`, 'u'), attr('title') || undefined));
+    if (type === 'email') rules.push(validators.email());
+    if (type === 'url') rules.push(validators.url());
+    
+    if (type === 'number' || type === 'range') {
+        rules.push(validators.number());
+        if (attr('min') !== null) rules.push(validators.min(Number(attr('min'))));
+        if (attr('max') !== null) rules.push(validators.max(Number(attr('max'))));
+        if (attr('step') !== null && attr('step') !== 'any') {
+            rules.push(validators.step(Number(attr('step')), Number(attr('min')) || 0));
+        }
+    }
+    
+    return rules;
+}
+
+/**
+ * Restarts a one-off feedback animation class through the registry
+ * The class is removed on animationend, or after fallbackMs if that never fires.
+ * @param {HTMLElement} element - Element to animate
+ * @param {string} className - Animation class
+ * @param {number} fallbackMs - Time to wait for animationend
+ */
+function playFeedbackAnimation(element, className, fallbackMs) {
+    animationRegistry.cancelElement(element, record => record.kind === 'feedback');
+    if (!className) return;
+    
+    let timer = null;
+    function finish(event) {
+        if (event && event.target !== element) return;
+        element.removeEventListener('animationend', finish);
+        clearTimeout(timer);
+        element.classList.remove(className);
+        animationRegistry.end(record);
+    }
+    
+    const record = animationRegistry.request(element, className, {
+        kind: 'feedback',
+        policy: 'reject',
+        start: () => {
+            element.classList.remove(className);
+            void element.offsetWidth;
+            element.classList.add(className);
+            element.addEventListener('animationend', finish);
+            timer = setTimeout(finish, fallbackMs);
+        },
+        cancel: () => {
+            element.removeEventListener('animationend', finish);
+            clearTimeout(timer);
+            element.classList.remove(className);
+        }
+    });
+}
+
+/**
+ * Binds live validation to a form control
+ * Demonstrates debouncing, stale-result handling and ARIA state
+ * Typing re-validates after a short pause and updates the message; blur and
+ * validate() also shake an invalid field. A field that turns valid plays
+ * the success animation. Results from superseded async checks are ignored.
+ * @param {string|HTMLElement} target - Input ID, selector or element
+ * @param {Array<Object>|null} rules - Rules from validators (null reads the input's attributes)
+ * @param {Object} options - Binding options
+ * @param {number} options.debounce - Pause after typing before validating, in ms
+ * @param {string|HTMLElement} options.feedback - Message container (created after the input if missing)
+ * @param {Function} options.context - Returns the context object passed to rules
+ * @param {Function} options.onValidate - Called with each applied result
+ * @returns {Object|null} Binding with validate, reset, destroy and state, or null if the input is missing
+ */
+function bindValidation(target, rules = null, options = {}) {
+    const input = resolveAnimationTarget(target);
+    if (!input) {
+        console.error(`Validation target '${target}' not found`);
+        return null;
+    }
+    
+    const { debounce = 250, context = () => ({}), onValidate } = options;
+    const fieldRules = rules || rulesFromAttributes(input);
+    const inputId = ensureElementId(input);
+    
+    let feedback = options.feedback ? resolveAnimationTarget(options.feedback) : null;
+    const ownsFeedback = !feedback;
+    if (!feedback) {
+        feedback = document.createElement('div');
+        feedback.className = 'validation-feedback';
+        feedback.id = `${inputId}-feedback`;
+        input.parentNode?.insertBefore(feedback, input.nextSibling || null);
+    }
+    feedback.setAttribute('aria-live', 'polite');
+    const describedBy = input.getAttribute('aria-describedby');
+    if (!(describedBy || '').split(' ').includes(ensureElementId(feedback))) {
+        input.setAttribute('aria-describedby', [describedBy, feedback.id].filter(Boolean).join(' '));
+    }
+    
+    let state = 'idle';
+    let lastResult = null;
+    let token = 0;
+    let debounceTimer = null;
+    
+    function render(result, animate) {
+        const wasValid = lastResult?.success === true;
+        state = result.success ? 'valid' : 'invalid';
+        lastResult = result;
+        
+        input.classList.toggle('is-invalid', !result.success);
+        input.classList.toggle('is-valid', result.success);
+        input.setAttribute('aria-invalid', String(!result.success));
+        
+        feedback.textContent = '';
+        result.errors.forEach(error => {
+            const line = document.createElement('div');
+            line.className = 'validation-error';
+            line.dataset.code = error.code;
+            line.textContent = error.message;
+            feedback.appendChild(line);
+        });
+        
+        if (!result.success && animate) {
+            playFeedbackAnimation(input, resolveMotionClass('shake'), 750);
+        } else if (result.success && !wasValid && motionPolicy.get() !== 'none') {
+            playFeedbackAnimation(input, 'validation-success', 850);
+        }
+        
+        onValidate?.(result, input);
+    }
+    
+    /**
+     * Validates the current value and shows the outcome
+     * @param {Object} validateOptions - { animate } shakes the field when invalid (default true)
+     * @returns {Promise<Object>} Validation result
+     */
+    async function validate(validateOptions = {}) {
+        const { animate = true } = validateOptions;
+        clearTimeout(debounceTimer);
+        const current = ++token;
+        state = 'pending';
+        input.setAttribute('aria-busy', 'true');
+        
+        const result = await validateInput(input.value, fieldRules, { context: context(input) });
+        if (current === token) {
+            input.removeAttribute('aria-busy');
+            render(result, animate);
+        }
+        return result;
+    }
+    
+    function onInput() {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => validate({ animate: false }), debounce);
+    }
+    
+    function onBlur() {
+        // Leaving an untouched empty field isn't an error yet
+        if (state === 'idle' && input.value === '') return;
+        validate();
+    }
+    
+    input.addEventListener('input', onInput);
+    input.addEventListener('blur', onBlur);
+    
+    const binding = {
+        input,
+        validate,
+        reset: function() {
+            clearTimeout(debounceTimer);
+            token++;
+            state = 'idle';
+            lastResult = null;
+            input.classList.remove('is-invalid', 'is-valid');
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-busy');
+            feedback.textContent = '';
+            animationRegistry.cancelElement(input, record => record.kind === 'feedback');
+        },
+        destroy: function() {
+            binding.reset();
+            input.removeEventListener('input', onInput);
+            input.removeEventListener('blur', onBlur);
+            if (ownsFeedback) {
+                feedback.remove();
+                const ids = (input.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== feedback.id);
+                if (ids.length > 0) {
+                    input.setAttribute('aria-describedby', ids.join(' '));
+                } else {
+                    input.removeAttribute('aria-describedby');
+                }
+            }
+        },
+        // idle, pending, valid or invalid
+        get state() {
+            return state;
+        },
+        get result() {
+            return lastResult;
+        }
+    };
+    
+    return binding;
+}
+
+/**
+ * Binds validation to every named control in a form and guards its submit
+ * Controls use schema[name] when given, otherwise their constraint attributes;
+ * controls without rules are left alone. Rules get { form, values, field } as
+ * context, so a rule can compare fields (e.g. password confirmation).
+ * On submit the whole form is validated; invalid fields shake and the first
+ * one is focused, otherwise options.onSubmit(values, event) is called.
+ * @param {string|HTMLElement} target - Form ID, selector or element
+ * @param {Object} schema - Rules by control name
+ * @param {Object} options - { onSubmit, debounce, onValidate }
+ * @returns {Object|null} Form binding with validate, getValues, getField, reset and destroy
+ */
+function bindFormValidation(target, schema = {}, options = {}) {
+    const form = resolveAnimationTarget(target);
+    if (!form) {
+        console.error(`Form '${target}' not found`);
+        return null;
+    }
+    
+    // Our messages replace the browser's validation bubbles
+    form.setAttribute('novalidate', '');
+    
+    const controls = [...form.querySelectorAll('input[name], textarea[name], select[name]')]
+        .filter(control => !['submit', 'button', 'reset', 'hidden'].includes(control.getAttribute('type')));
+    
+    function getValues() {
+        const values = {};
+        controls.forEach(control => {
+            values[control.getAttribute('name')] = control.value;
+        });
+        return values;
+    }
+    
+    const fields = new Map();
+    controls.forEach(control => {
+        const name = control.getAttribute('name');
+        const rules = schema[name] || rulesFromAttributes(control);
+        if (rules.length === 0) return;
+        fields.set(name, bindValidation(control, rules, {
+            debounce: options.debounce,
+            onValidate: options.onValidate,
+            context: field => ({ form, values: getValues(), field })
+        }));
+    });
+    
+    async function validate() {
+        const names = [...fields.keys()];
+        const results = await Promise.all(names.map(name => fields.get(name).validate()));
+        const byName = {};
+        names.forEach((name, index) => {
+            byName[name] = results[index];
+        });
+        return {
+            success: results.every(result => result.success),
+            fields: byName,
+            values: getValues()
+        };
+    }
+    
+    async function onSubmit(event) {
+        event.preventDefault();
+        const result = await validate();
+        if (result.success) {
+            options.onSubmit?.(result.values, event);
+            return;
+        }
+        const firstInvalid = [...fields.values()].find(field => field.state === 'invalid');
+        firstInvalid?.input.focus();
+    }
+    
+    form.addEventListener('submit', onSubmit);
+    
+    return {
+        form,
+        validate,
+        getValues,
+        getField: name => fields.get(name) || null,
+        reset: function() {
+            fields.forEach(field => field.reset());
+        },
+        destroy: function() {
+            form.removeEventListener('submit', onSubmit);
+            fields.forEach(field => field.destroy());
+            fields.clear();
+        }
+    };
+}
+
+// ===== RESULT DISPLAY FUNCTIONS =====
+
+/**
+ * Creates a result log that keeps entries as data and renders them safely
+ * Demonstrates closures, data/presentation separation and filtering
+ * Entries are { id, timestamp, type, source, panel, message, payload }.
+ * History is kept up to maxHistory entries; each panel only shows the
+ * latest maxVisible entries that match its type filter.
+ * @param {Object} options - { maxHistory, maxVisible }
+ * @returns {Object} Log with add, getEntries, setFilter, clear, export and subscribe
+ */
+function createResultLog(options = {}) {
+    const { maxHistory = 1000, maxVisible = 10 } = options;
+    let entries = [];
+    let listeners = [];
+    const filters = {};
+    const knownPanels = new Set();
+    let nextId = 1;
+
+    function matchesFilter(entry) {
+        const types = filters[entry.panel];
+        return !types || types.includes(entry.type);
+    }
+
+    /**
+     * Builds one result row; textContent keeps messages from injecting markup
+     * dir="auto" keeps rows logged before a locale switch readable in the other direction.
+     * @param {Object} entry - Log entry
+     * @returns {HTMLElement} Row element
+     */
+    function createRow(entry) {
+        const row = document.createElement('div');
+        row.className = `result-message ${entry.type}`;
+        row.dataset.entryId = String(entry.id);
+        row.setAttribute('dir', 'auto');
+        row.textContent = formatMessage(entry.message, entry.type, new Date(entry.timestamp));
+        return row;
+    }
+
+    function trimPanel(panel) {
+        const rows = panel.querySelectorAll('.result-message');
+        for (let i = 0; i < rows.length - maxVisible; i++) {
+            rows[i].remove();
+        }
+    }
+
+    // Rebuilds a panel from history, e.g. after its filter changed
+    function renderPanel(panelId) {
+        const panel = document.getElementById(panelId);
+        if (!panel) return;
+        panel.querySelectorAll('.result-message').forEach(row => row.remove());
+        log.getEntries({ panel: panelId })
+            .filter(matchesFilter)
+            .slice(-maxVisible)
+            .forEach(entry => panel.appendChild(createRow(entry)));
+        panel.scrollTop = panel.scrollHeight;
+    }
+
+    function formatText(entry) {
+        const time = new Date(entry.timestamp).toISOString();
+        const payload = entry.payload === undefined ? '' : ` ${JSON.stringify(entry.payload)}`;
+        return `[${time}] ${entry.type.toUpperCase()} ${entry.source}: ${entry.message}${payload}`;
+    }
+
+    const log = {
+        /**
+         * Records an entry and shows it in its panel if the filter allows
+         * @param {Object} data - { message, type, panel, source, payload, timestamp }
+         * @returns {Object} The stored entry
+         */
+        add: function(data) {
+            const entry = {
+                id: nextId++,
+                timestamp: data.timestamp ?? Date.now(),
+                type: data.type || 'info',
+                source: data.source || data.panel,
+                panel: data.panel,
+                message: String(data.message),
+                payload: data.payload
+            };
+
+            entries.push(entry);
+            knownPanels.add(entry.panel);
+            if (entries.length > maxHistory) {
+                entries = entries.slice(-maxHistory);
+            }
+
+            const panel = document.getElementById(entry.panel);
+            if (panel && matchesFilter(entry)) {
+                panel.appendChild(createRow(entry));
+                trimPanel(panel);
+                panel.scrollTop = panel.scrollHeight;
+            }
+
+            listeners.slice().forEach(listener => listener(entry));
+            return entry;
+        },
+        // Entries matching every given field, oldest first
+        getEntries: function(query = {}) {
+            return entries.filter(entry => Object.keys(query).every(key => (
+                query[key] === undefined || entry[key] === query[key]
+            )));
+        },
+        /**
+         * Limits a panel to some message types
+         * @param {string} panelId - ID of the results container
+         * @param {Array<string>|string|null} types - Type(s) to show, or null/'all' for everything
+         */
+        setFilter: function(panelId, types) {
+            if (!types || types === 'all') {
+                delete filters[panelId];
+            } else {
+                filters[panelId] = Array.isArray(types) ? types : [types];
+            }
+            renderPanel(panelId);
+        },
+        getFilter: function(panelId) {
+            return filters[panelId] || null;
+        },
+        // Removes history (for one panel, or everything) along with the rendered rows
+        clear: function(panelId) {
+            entries = panelId ? entries.filter(entry => entry.panel !== panelId) : [];
+            const panels = panelId ? [panelId] : [...knownPanels];
+            panels.forEach(renderPanel);
+        },
+        /**
+         * Serializes the history
+         * @param {string} format - json or text
+         * @param {Object} query - Same fields as getEntries, e.g. { panel: 'animationResults' }
+         * @returns {string} Exported log
+         */
+        export: function(format = 'json', query = {}) {
+            const selected = log.getEntries(query);
+            if (format === 'text') {
+                return selected.map(formatText).join('\n');
+            }
+            return JSON.stringify(selected, null, 2);
+        },
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter(item => item !== listener);
+            };
+        }
+    };
+
+    return log;
+}
+
+// Shared log behind displayResult
+const resultLog = createResultLog();
+
+/**
+ * Displays results in a specified element
+ * Demonstrates DOM manipulation and string formatting
+ * Messages go through resultLog, which keeps the full history and renders rows with textContent.
+ * @param {string} message - Message to display
+ * @param {string} elementId - ID of the results container
+ * @param {string} type - Type of message (info, success, error, warning)
+ * @param {Object} details - Optional { source, payload } stored with the entry
+ * @returns {Object|undefined} The log entry
+ */
+function displayResult(message, elementId = 'functionResults', type = 'info', details = {}) {
+    const resultElement = document.getElementById(elementId);
+    if (!resultElement) {
+        console.error(`Results element with ID '${elementId}' not found`);
+        return;
+    }
+
+    return resultLog.add({
+        message,
+        type,
+        panel: elementId,
+        source: details.source,
+        payload: details.payload
+    });
+}
+
+/**
+ * Clears all results from a specified element
+ * @param {string} elementId - ID of the results container
+ */
+function clearResults(elementId = 'functionResults') {
+    resultLog.clear(elementId);
+    const resultElement = document.getElementById(elementId);
+    if (resultElement) {
+        resultElement.textContent = '';
+    }
+}
+
+/**
+ * Saves text as a file through a temporary object URL
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadBlob(content, filename, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Offers the log as a file download
+ * @param {string} format - json or text
+ * @param {Object} query - Entries to include, e.g. { panel: 'functionResults' }
+ */
+function downloadResultLog(format = 'json', query = {}) {
+    const extension = format === 'json' ? 'json' : 'txt';
+    downloadBlob(resultLog.export(format, query), `${query.panel || 'results'}-log.${extension}`,
+        format === 'json' ? 'application/json' : 'text/plain');
+}
+
+// ===== TOAST NOTIFICATIONS =====
+
+// Corners and edges a toast stack can sit in
+const TOAST_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+// Longest wait for a toast's enter/exit transition (matches styles.css plus some slack)
+const TOAST_TRANSITION_TIMEOUT = 500;
+
+/**
+ * Creates a manager for transient notifications stacked in screen corners
+ * Demonstrates closures, queues and pausable timers
+ * Toasts use the same types and icons as formatMessage. Each position keeps
+ * at most maxVisible toasts on screen and queues the rest until one leaves.
+ * Showing a toast that matches one already visible or queued bumps its
+ * repeat count and restarts its timer instead of adding another. Timers
+ * pause while the pointer or focus is inside a toast.
+ * @param {Object} options - { maxVisible, duration, position, root }
+ * @returns {Object} Manager with show, dismiss, dismissAll, getVisible and getQueued
+ */
+function createToastManager(options = {}) {
+    const { maxVisible = 3, duration = 5000, position: defaultPosition = 'bottom-right' } = options;
+    const stacks = {};
+    let entries = [];
+    let nextId = 1;
+
+    function getRoot() {
+        return options.root || document.body;
+    }
+
+    // One live region per position, created on first use
+    function getStack(position) {
+        if (stacks[position]?.isConnected) return stacks[position];
+        const stack = document.createElement('div');
+        stack.className = 'toast-stack';
+        stack.dataset.position = position;
+        stack.setAttribute('role', 'region');
+        stack.setAttribute('aria-label', i18n.t('toast.region'));
+        stack.setAttribute('aria-live', 'polite');
+        getRoot().appendChild(stack);
+        stacks[position] = stack;
+        return stack;
+    }
+
+    function visibleIn(position) {
+        return entries.filter(entry => entry.position === position && entry.state === 'visible');
+    }
+
+    // Shows how often a de-duplicated toast was repeated
+    function updateCount(entry) {
+        entry.badge.textContent = `×${i18n.formatNumber(entry.count)}`;
+        entry.badge.hidden = entry.count < 2;
+    }
+
+    function startTimer(entry) {
+        entry.timer?.clear();
+        entry.timer = null;
+        if (!(entry.duration > 0) || !Number.isFinite(entry.duration)) return;
+        entry.timer = createPausableTimer(() => manager.dismiss(entry.id, 'timeout'), entry.duration);
+        if (entry.hovered) entry.timer.pause();
+    }
+
+    /**
+     * Builds the toast element: icon, text, repeat badge, actions and close button
+     * @param {Object} entry - Toast entry
+     * @returns {HTMLElement} Toast element
+     */
+    function createToastElement(entry) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${entry.type}`;
+        toast.dataset.toastId = String(entry.id);
+        toast.setAttribute('role', entry.type === 'error' ? 'alert' : 'status');
+        toast.setAttribute('dir', 'auto');
+
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = MESSAGE_ICONS[entry.type];
+
+        const body = document.createElement('div');
+        body.className = 'toast-body';
+        if (entry.title) {
+            const title = document.createElement('strong');
+            title.className = 'toast-title';
+            title.textContent = entry.title;
+            body.appendChild(title);
+        }
+        const text = document.createElement('p');
+        text.className = 'toast-message';
+        text.textContent = entry.message;
+        body.appendChild(text);
+
+        toast.append(icon, body, entry.badge);
+
+        if (entry.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            entry.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    action.onClick?.(entry.handle);
+                    if (action.dismiss !== false) manager.dismiss(entry.id, 'action');
+                });
+                actions.appendChild(button);
+            });
+            toast.appendChild(actions);
+        }
+
+        if (entry.dismissible) {
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'toast-close';
+            close.setAttribute('aria-label', i18n.t('toast.dismiss'));
+            close.textContent = '×';
+            close.addEventListener('click', () => manager.dismiss(entry.id, 'close'));
+            toast.appendChild(close);
+        }
+
+        function hold() {
+            entry.hovered = true;
+            entry.timer?.pause();
+        }
+        function release() {
+            entry.hovered = false;
+            entry.timer?.resume();
+        }
+        toast.addEventListener('mouseenter', hold);
+        toast.addEventListener('mouseleave', release);
+        toast.addEventListener('focusin', hold);
+        toast.addEventListener('focusout', event => {
+            if (!toast.contains(event.relatedTarget)) release();
+        });
+        toast.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && entry.dismissible) manager.dismiss(entry.id, 'close');
+        });
+
+        return toast;
+    }
+
+    // Puts a toast on screen and slides it in
+    function reveal(entry) {
+        const stack = getStack(entry.position);
+        entry.state = 'visible';
+        entry.element = createToastElement(entry);
+        // Newest toast sits closest to the screen edge
+        if (entry.position.startsWith('top')) {
+            stack.prepend(entry.element);
+        } else {
+            stack.appendChild(entry.element);
+        }
+        // Read layout so the starting styles apply before the visible class transitions them
+        void entry.element.offsetWidth;
+        entry.element.classList.add('toast-visible');
+        startTimer(entry);
+    }
+
+    // Shows queued toasts while their position has room
+    function promote(position) {
+        entries
+            .filter(entry => entry.position === position && entry.state === 'queued')
+            .slice(0, Math.max(0, maxVisible - visibleIn(position).length))
+            .forEach(reveal);
+    }
+
+    function settle(entry, reason) {
+        entries = entries.filter(item => item !== entry);
+        entry.state = 'closed';
+        entry.onClose?.(reason);
+        entry.resolveClosed(reason);
+    }
+
+    const manager = {
+        /**
+         * Shows a toast, or queues it when its position is full
+         * @param {string} message - Text of the toast
+         * @param {Object} toastOptions - { type, title, duration, position, actions, key, dedupe, dismissible, onClose }
+         *   actions are { label, onClick(handle), dismiss } (dismiss defaults to true);
+         *   a duration of 0 keeps the toast until it is dismissed.
+         * @returns {Object} Handle with id, dismiss and closed (Promise of the close reason)
+         */
+        show: function(message, toastOptions = {}) {
+            const type = MESSAGE_ICONS[toastOptions.type] ? toastOptions.type : 'info';
+            let position = toastOptions.position ?? defaultPosition;
+            if (!TOAST_POSITIONS.includes(position)) {
+                console.error(`Unknown toast position '${position}'`);
+                position = defaultPosition;
+            }
+            const title = toastOptions.title ?? '';
+            const key = toastOptions.key ?? `${type}|${title}|${message}`;
+
+            const duplicate = toastOptions.dedupe === false
+                ? null
+                : entries.find(entry => entry.key === key && entry.state !== 'leaving');
+            if (duplicate) {
+                duplicate.count++;
+                updateCount(duplicate);
+                if (duplicate.state === 'visible') startTimer(duplicate);
+                return duplicate.handle;
+            }
+
+            const entry = {
+                id: nextId++,
+                key,
+                type,
+                title,
+                message: String(message),
+                position,
+                duration: toastOptions.duration ?? duration,
+                actions: toastOptions.actions || [],
+                dismissible: toastOptions.dismissible !== false,
+                onClose: toastOptions.onClose,
+                state: 'queued',
+                count: 1,
+                hovered: false,
+                timer: null,
+                element: null
+            };
+            // The badge exists before the element so queued duplicates can count too
+            entry.badge = document.createElement('span');
+            entry.badge.className = 'toast-count';
+            updateCount(entry);
+            entry.closed = new Promise(resolve => {
+                entry.resolveClosed = resolve;
+            });
+            entry.handle = {
+                id: entry.id,
+                dismiss: reason => manager.dismiss(entry.id, reason),
+                closed: entry.closed
+            };
+
+            entries.push(entry);
+            promote(position);
+            return entry.handle;
+        },
+        /**
+         * Slides a toast out (or drops it from the queue)
+         * @param {number} id - Toast ID from show
+         * @param {string} reason - Why it closed (timeout, close, action or programmatic)
+         * @returns {Promise<string|null>} Promise resolving with the reason once it is gone, or null if unknown
+         */
+        dismiss: function(id, reason = 'programmatic') {
+            const entry = entries.find(item => item.id === id);
+            if (!entry || entry.state === 'leaving') {
+                return entry ? entry.closed : Promise.resolve(null);
+            }
+
+            if (entry.state === 'queued') {
+                settle(entry, reason);
+                return entry.closed;
+            }
+
+            entry.state = 'leaving';
+            entry.timer?.clear();
+            entry.element.classList.remove('toast-visible');
+            entry.element.classList.add('toast-leaving');
+            promote(entry.position);
+
+            const transition = motionPolicy.get() === 'none'
+                ? Promise.resolve()
+                : waitForTransitionEnd(entry.element, TOAST_TRANSITION_TIMEOUT);
+            transition.then(() => {
+                entry.element.remove();
+                settle(entry, reason);
+            });
+            return entry.closed;
+        },
+        // Dismisses every toast, queued ones included
+        dismissAll: function(reason = 'programmatic') {
+            // Queued toasts go first, so none is revealed as the visible ones leave
+            const pending = [
+                ...entries.filter(entry => entry.state === 'queued'),
+                ...entries.filter(entry => entry.state !== 'queued')
+            ];
+            return Promise.all(pending.map(entry => manager.dismiss(entry.id, reason)));
+        },
+        // IDs of the toasts on screen, optionally for one position
+        getVisible: function(position) {
+            return entries
+                .filter(entry => entry.state === 'visible' && (!position || entry.position === position))
+                .map(entry => entry.id);
+        },
+        getQueued: function(position) {
+            return entries
+                .filter(entry => entry.state === 'queued' && (!position || entry.position === position))
+                .map(entry => entry.id);
+        }
+    };
+
+    return manager;
+}
+
+// Shared toast manager for the demo controls
+const toastManager = createToastManager();
+
+// ===== STATE PERSISTENCE =====
+
+// Bump when the saved shape changes and add a migration from the previous version
+const STATE_SCHEMA_VERSION = 1;
+
+// Result log entries kept per panel when saving
+const PERSISTED_LOG_LIMIT = 50;
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each one takes the saved object and returns it in the next version's shape.
+ */
+const STATE_MIGRATIONS = {
+    // Unversioned data (e.g. a hand-written share link) has the version 1 fields
+    0: data => ({ ...data, version: 1 })
+};
+
+/**
+ * Brings saved data up to the current schema version
+ * @param {Object} data - Saved object with a version field
+ * @param {number} version - Target version
+ * @param {Object} migrations - Migrations keyed by source version
+ * @returns {Object|null} Data in the target version, or null if it can't be migrated
+ */
+function migrateState(data, version = STATE_SCHEMA_VERSION, migrations = STATE_MIGRATIONS) {
+    if (!data || typeof data !== 'object') return null;
+    let current = { ...data, version: Number(data.version) || 0 };
+
+    while (current.version < version) {
+        const migrate = migrations[current.version];
+        if (!migrate) {
+            console.error(`No state migration from version ${current.version}; discarding saved state`);
+            return null;
+        }
+        const from = current.version;
+        current = migrate(current);
+        // Guard against a migration that forgets to bump the version
+        if (!current || current.version <= from) return null;
+    }
+
+    if (current.version > version) {
+        console.error(`Saved state version ${current.version} is newer than ${version}; ignoring it`);
+        return null;
+    }
+    return current;
+}
+
+/**
+ * Creates a versioned store on top of localStorage (or any Storage-like object)
+ * Demonstrates JSON serialization and defensive error handling
+ * Storage errors (private mode, quota, disabled storage) are reported and
+ * treated as "nothing saved", so the demo keeps working without persistence.
+ * @param {Object} options - { key, storage, version, migrations }
+ * @returns {Object} Store with load, save and clear
+ */
+function createStateStore(options = {}) {
+    const {
+        key = 'animationDemoState',
+        version = STATE_SCHEMA_VERSION,
+        migrations = STATE_MIGRATIONS
+    } = options;
+
+    // Resolved on use so the store can be created before storage is available
+    function getStorage() {
+        if (options.storage) return options.storage;
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    return {
+        load: function() {
+            try {
+                const raw = getStorage()?.getItem(key);
+                return raw ? migrateState(JSON.parse(raw), version, migrations) : null;
+            } catch (error) {
+                console.error('Could not load saved state:', error);
+                return null;
+            }
+        },
+        save: function(state) {
+            try {
+                const storage = getStorage();
+                if (!storage) return false;
+                storage.setItem(key, JSON.stringify({ ...state, version }));
+                return true;
+            } catch (error) {
+                console.error('Could not save state:', error);
+                return false;
+            }
+        },
+        clear: function() {
+            try {
+                getStorage()?.removeItem(key);
+            } catch (error) {
+                console.error('Could not clear saved state:', error);
+            }
+        }
+    };
+}
+
+// Shared store for the demo page
+const demoStateStore = createStateStore();
+
+/**
+ * Reads the persisted parts of the demo from the page
+ * @param {Object} options - { includeLogs } (share links leave logs out)
+ * @returns {Object} State in the current schema version
+ */
+function captureDemoState(options = {}) {
+    const { includeLogs = true } = options;
+    const colorBox = document.getElementById('colorBox');
+    const color = colorBox ? parseColor(colorBox.style.backgroundColor) : null;
+    const box = document.getElementById('jsAnimationBox');
+
+    const state = {
+        version: STATE_SCHEMA_VERSION,
+        counter: globalCounter,
+        color: color ? formatColor(color) : null,
+        cardFlipped: Boolean(document.querySelector('.card')?.classList.contains('flipped')),
+        boxActive: Boolean(box?.classList.contains('active')),
+        theme: themeManager.getActive(),
+        locale: i18n.getLocale()
+    };
+
+    if (includeLogs) {
+        state.logs = {};
+        ['functionResults', 'animationResults'].forEach(panel => {
+            state.logs[panel] = resultLog.getEntries({ panel })
+                .slice(-PERSISTED_LOG_LIMIT)
+                .map(({ timestamp, type, source, message, payload }) => ({ timestamp, type, source, message, payload }));
+        });
+    }
+
+    return state;
+}
+
+/**
+ * Puts the demo into a saved state without replaying its animations
+ * Missing fields are left as they are, so partial states (share links) work.
+ * @param {Object} state - State in the current schema version
+ */
+function applyDemoState(state) {
+    if (!state) return;
+
+    if (Number.isFinite(state.counter)) {
+        globalCounter = state.counter;
+    }
+
+    // Custom themes aren't saved, so a state naming one that isn't loaded keeps the current theme
+    if (typeof state.theme === 'string' && themeManager.get(state.theme) && state.theme !== themeManager.getActive()) {
+        themeManager.apply(state.theme, { transition: false });
+    }
+
+    if (typeof state.locale === 'string' && state.locale !== i18n.getLocale()) {
+        i18n.setLocale(state.locale);
+    }
+
+    const colorBox = document.getElementById('colorBox');
+    if (colorBox && typeof state.color === 'string' && parseColor(state.color)) {
+        colorBox.style.backgroundColor = state.color;
+    }
+
+    const card = document.querySelector('.card');
+    if (card && typeof state.cardFlipped === 'boolean') {
+        // Skip the flip transition so the card simply appears in place
+        card.style.transition = 'none';
+        card.classList.toggle('flipped', state.cardFlipped);
+        if (card.hasAttribute('aria-pressed')) {
+            card.setAttribute('aria-pressed', String(state.cardFlipped));
+        }
+        void card.offsetWidth;
+        card.style.transition = '';
+    }
+
+    const box = document.getElementById('jsAnimationBox');
+    if (box && typeof state.boxActive === 'boolean' && box.classList.contains('active') !== state.boxActive) {
+        toggleAnimation('jsAnimationBox', 'active');
+    }
+
+    if (state.logs) {
+        Object.entries(state.logs).forEach(([panel, entries]) => {
+            (entries || []).forEach(entry => resultLog.add({ ...entry, panel }));
+        });
+    }
+}
+
+/**
+ * Serializes a state as a URL hash, e.g. for a share link
+ * @param {Object} state - State to share (logs are dropped)
+ * @returns {string} Hash starting with #state=
+ */
+function serializeStateToHash(state) {
+    const { logs, ...config } = state;
+    return `#state=${encodeURIComponent(JSON.stringify(config))}`;
+}
+
+/**
+ * Reads a state from a URL hash written by serializeStateToHash
+ * @param {string} hash - Location hash
+ * @returns {Object|null} State in the current schema version, or null if absent or invalid
+ */
+function parseStateFromHash(hash) {
+    const match = /(?:^#|&)state=([^&]*)/.exec(hash || '');
+    if (!match) return null;
+    try {
+        return migrateState(JSON.parse(decodeURIComponent(match[1])));
+    } catch (error) {
+        console.error('Ignoring malformed state in URL hash:', error);
+        return null;
+    }
+}
+
+/**
+ * Restores the demo and keeps saving it as it changes
+ * Saved state is applied first, then a #state= hash on top of it (shared
+ * links win over local history). Every new result log entry schedules a
+ * save, since each demo action reports one; leaving the page saves at once.
+ * @param {Object} options - { store, debounce }
+ * @returns {Object} Controller with save, getShareUrl and disconnect
+ */
+function initStatePersistence(options = {}) {
+    const { store = demoStateStore, debounce = 300 } = options;
+    let saveTimer = null;
+
+    applyDemoState(store.load());
+    if (typeof location !== 'undefined') {
+        applyDemoState(parseStateFromHash(location.hash));
+    }
+
+    function save() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        return store.save(captureDemoState());
+    }
+
+    function scheduleSave() {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(save, debounce);
+    }
+
+    function onHashChange() {
+        const shared = parseStateFromHash(location.hash);
+        if (shared) {
+            applyDemoState(shared);
+            scheduleSave();
+        }
+    }
+
+    const unsubscribeLog = resultLog.subscribe(scheduleSave);
+    const unsubscribeTheme = themeManager.subscribe(scheduleSave);
+    const unsubscribeLocale = i18n.subscribe(scheduleSave);
+    window.addEventListener('pagehide', save);
+    window.addEventListener('hashchange', onHashChange);
+
+    return {
+        save,
+        // Link to this page that reproduces the current configuration
+        getShareUrl: function() {
+            const hash = serializeStateToHash(captureDemoState({ includeLogs: false }));
+            return typeof location !== 'undefined' ? `${location.href.split('#')[0]}${hash}` : hash;
+        },
+        disconnect: function() {
+            clearTimeout(saveTimer);
+            unsubscribeLog();
+            unsubscribeTheme();
+            unsubscribeLocale();
+            window.removeEventListener('pagehide', save);
+            window.removeEventListener('hashchange', onHashChange);
+        }
+    };
+}
+
+// ===== KEYBOARD SHORTCUTS =====
+
+// Controls that accept typed text, where single-key shortcuts must not fire
+const TEXT_ENTRY_SELECTOR = 'input, textarea, select, [contenteditable=""], [contenteditable="true"]';
+
+/**
+ * Parses a shortcut such as 'r', 'shift+c' or 'ctrl+k'
+ * @param {string} keys - Modifiers and a key joined with +
+ * @returns {Object} { key, ctrl, alt, meta, shift }
+ */
+function parseShortcut(keys) {
+    const parts = keys.toLowerCase().split('+').map(part => part.trim());
+    // 'shift++' means Shift and the + key
+    const key = parts.pop() || '+';
+    return {
+        key: key === 'space' ? ' ' : key,
+        ctrl: parts.includes('ctrl'),
+        alt: parts.includes('alt'),
+        meta: parts.includes('meta'),
+        shift: parts.includes('shift')
+    };
+}
+
+/**
+ * Checks a keydown event against a parsed shortcut
+ * Shift only counts for letters and named keys: symbols like ? already
+ * need Shift on most layouts, so '?' matches with or without it.
+ * @param {Object} shortcut - Result of parseShortcut
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {boolean} Whether the event triggers the shortcut
+ */
+function matchesShortcut(shortcut, event) {
+    const key = (event.key || '').toLowerCase();
+    if (key !== shortcut.key) return false;
+    if (Boolean(event.ctrlKey) !== shortcut.ctrl) return false;
+    if (Boolean(event.altKey) !== shortcut.alt) return false;
+    if (Boolean(event.metaKey) !== shortcut.meta) return false;
+    const shiftMatters = /^[a-z0-9]$/.test(key) || key.length > 1;
+    return !shiftMatters || Boolean(event.shiftKey) === shortcut.shift;
+}
+
+/**
+ * Creates a central keyboard shortcut registry
+ * Demonstrates event delegation and a data-driven key map
+ * One document keydown listener dispatches to registered actions. Shortcuts
+ * are ignored while typing in a form control, and while a modal is open
+ * unless registered with { global: true }. The help dialog follows the
+ * active locale; pass descriptions as functions to have them follow it too.
+ * @param {Object} options - { modals } manager used to detect open modals
+ * @returns {Object} Registry with register, getBindings, showHelp, enable and disable
+ */
+function createShortcutManager(options = {}) {
+    const { modals = modalManager } = options;
+    let bindings = [];
+    let enabled = false;
+
+    function describe(binding) {
+        return typeof binding.description === 'function' ? binding.description() : binding.description;
+    }
+
+    function onKeydown(event) {
+        if (event.defaultPrevented || event.repeat) return;
+        if (event.target?.closest?.(TEXT_ENTRY_SELECTOR)) return;
+
+        const modalOpen = modals.getStack().length > 0;
+        const binding = bindings.find(item => matchesShortcut(item.shortcut, event) && (item.global || !modalOpen));
+        if (!binding) return;
+
+        event.preventDefault();
+        binding.action(event);
+    }
+
+    // Builds (or refreshes) the help dialog listing every binding
+    function renderHelp() {
+        let modal = document.getElementById('shortcutHelp');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.className = 'modal shortcut-help';
+            modal.id = 'shortcutHelp';
+            modal.setAttribute('aria-hidden', 'true');
+            const content = document.createElement('div');
+            content.className = 'modal-content';
+            const close = document.createElement('button');
+            close.className = 'close-btn';
+            close.textContent = '×';
+            const heading = document.createElement('h2');
+            const list = document.createElement('dl');
+            list.className = 'shortcut-list';
+            content.append(close, heading, list);
+            modal.appendChild(content);
+            document.body.appendChild(modal);
+        }
+
+        modal.querySelector('.close-btn').setAttribute('aria-label', i18n.t('shortcut.close'));
+        modal.querySelector('h2').textContent = i18n.t('shortcut.helpTitle');
+        const list = modal.querySelector('.shortcut-list');
+        list.textContent = '';
+        bindings.forEach(binding => {
+            const term = document.createElement('dt');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = binding.keys;
+            term.appendChild(kbd);
+            const description = document.createElement('dd');
+            description.textContent = describe(binding);
+            list.append(term, description);
+        });
+        return modal;
+    }
+
+    // Rebuilds a help dialog that already exists in the new language
+    i18n.subscribe(() => {
+        if (document.getElementById('shortcutHelp')) renderHelp();
+    });
+
+    const shortcuts = {
+        /**
+         * Maps a key combination to an action
+         * @param {string} keys - e.g. 'r', 'shift+c', '?'
+         * @param {Function} action - Called with the keydown event
+         * @param {Object} bindingOptions - Binding options
+         * @param {string|Function} bindingOptions.description - Text for the help overlay, or a function returning it
+         * @param {HTMLElement} bindingOptions.element - Control the shortcut stands in for (gets aria-keyshortcuts)
+         * @param {boolean} bindingOptions.global - Also fires while a modal is open
+         * @returns {Function} Function that removes the binding
+         */
+        register: function(keys, action, bindingOptions = {}) {
+            const shortcut = parseShortcut(keys);
+            const clash = bindings.find(item => JSON.stringify(item.shortcut) === JSON.stringify(shortcut));
+            if (clash) {
+                console.error(`Shortcut '${keys}' is already bound to '${describe(clash)}'`);
+                return () => {};
+            }
+
+            const { description = keys, element = null, global = false } = bindingOptions;
+            const binding = { keys, shortcut, action, description, element, global };
+            bindings.push(binding);
+            element?.setAttribute('aria-keyshortcuts', keys.split('+')
+                .map(part => (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1)))
+                .join('+'));
+
+            return () => {
+                bindings = bindings.filter(item => item !== binding);
+                element?.removeAttribute('aria-keyshortcuts');
+            };
+        },
+        getBindings: function() {
+            return bindings.map(binding => ({ keys: binding.keys, description: describe(binding), global: binding.global }));
+        },
+        // Opens the help overlay, or closes it if it is already open
+        showHelp: function() {
+            const modal = renderHelp();
+            if (modals.isOpen(modal.id)) {
+                return modals.close(modal.id, 'shortcut');
+            }
+            return modals.open(modal.id);
+        },
+        enable: function() {
+            if (enabled) return;
+            enabled = true;
+            document.addEventListener('keydown', onKeydown);
+        },
+        disable: function() {
+            enabled = false;
+            document.removeEventListener('keydown', onKeydown);
+        }
+    };
+
+    return shortcuts;
+}
+
+// Shared shortcut registry for the demo controls
+const shortcutManager = createShortcutManager();
+
+/**
+ * Makes a plain element behave like a button for keyboard users
+ * Adds tabindex and a role, and turns Enter (on keydown) and Space
+ * (on keyup, like native buttons) into clicks so existing click handlers run.
+ * @param {string|HTMLElement} target - Element ID, selector or element
+ * @param {Object} options - { role, label, pressed } where pressed adds aria-pressed
+ * @returns {HTMLElement|null} The element, or null if missing
+ */
+function makeActivatable(target, options = {}) {
+    const element = resolveAnimationTarget(target);
+    if (!element) return null;
+
+    const { role = 'button', label, pressed } = options;
+    if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '0');
+    element.setAttribute('role', role);
+    if (label) element.setAttribute('aria-label', label);
+    if (pressed !== undefined) element.setAttribute('aria-pressed', String(Boolean(pressed)));
+
+    element.addEventListener('keydown', event => {
+        if (event.target !== element) return;
+        if (event.key === 'Enter' && !event.repeat) {
+            event.preventDefault();
+            element.click();
+        } else if (event.key === ' ') {
+            // Stops the page from scrolling; the click happens on keyup
+            event.preventDefault();
+        }
+    });
+    element.addEventListener('keyup', event => {
+        if (event.target === element && event.key === ' ') {
+            event.preventDefault();
+            element.click();
+        }
+    });
+
+    return element;
+}
+
+// ===== PERFORMANCE MONITOR =====
+
+// Frames slower than this count as long (the Long Tasks API uses the same budget)
+const LONG_FRAME_THRESHOLD = 50;
+
+// Gaps longer than this mean rAF was paused (background tab), not a slow frame
+const FRAME_PAUSE_THRESHOLD = 1000;
+
+// Properties the compositor can animate without layout or paint
+const COMPOSITED_PROPERTIES = ['transform', 'opacity', 'translate', 'rotate', 'scale'];
+
+// Animating any of these forces layout on every frame
+const LAYOUT_PROPERTY_PATTERN = new RegExp([
+    '^((min|max)-)?(width|height)$',
+    '^(top|right|bottom|left|inset.*)$',
+    '^(margin|padding).*$',
+    '^border(-(top|right|bottom|left))?-width$',
+    '^(font-size|line-height|letter-spacing|word-spacing)$',
+    '^(flex|flex-basis|gap|grid.*)$'
+].join('|'));
+
+// Keyframe keys that describe timing rather than a property
+const KEYFRAME_TIMING_KEYS = ['offset', 'easing', 'composite', 'computedOffset'];
+
+/**
+ * Says how expensive it is for the browser to animate a property
+ * @param {string} property - CSS property, kebab- or camelCase
+ * @returns {string} 'composite', 'layout' or 'paint'
+ */
+function classifyAnimatedProperty(property) {
+    const name = toKebabCase(property);
+    if (COMPOSITED_PROPERTIES.includes(name)) return 'composite';
+    if (LAYOUT_PROPERTY_PATTERN.test(name)) return 'layout';
+    return 'paint';
+}
+
+/**
+ * Lists the properties an element is currently animating
+ * Combines what the browser reports (getAnimations covers CSS animations,
+ * transitions and WAAPI) with what the registry knows: keyframe animations
+ * by name, color changes and spring channels.
+ * @param {HTMLElement} element - Animated element
+ * @returns {Array<string>} Kebab-case property names
+ */
+function getAnimatedProperties(element) {
+    const properties = new Set();
+    const addKeyframes = keyframes => keyframes.forEach(frame => {
+        Object.keys(frame)
+            .filter(key => !KEYFRAME_TIMING_KEYS.includes(key))
+            .forEach(key => properties.add(toKebabCase(key)));
+    });
+
+    if (typeof element.getAnimations === 'function') {
+        element.getAnimations().forEach(animation => {
+            if (animation.transitionProperty) properties.add(animation.transitionProperty);
+            if (typeof animation.effect?.getKeyframes === 'function') addKeyframes(animation.effect.getKeyframes());
+        });
+    }
+
+    animationRegistry.getActive(element).forEach(record => {
+        const name = record.name.replace(/^reveal:/, '');
+        if (ANIMATION_KEYFRAMES[name]) {
+            addKeyframes(ANIMATION_KEYFRAMES[name].keyframes);
+        } else if (record.kind === 'color') {
+            // 'color' is a background change; animateColor names its records color:<property>
+            properties.add(record.name.startsWith('color:') ? toKebabCase(record.name.slice(6)) : 'background-color');
+        } else if (record.kind === 'spring') {
+            Object.keys(elementMotions.get(element)?.channels || {}).forEach(channel => {
+                properties.add(channel in SPRING_TRANSFORM_CHANNELS ? 'transform' : toKebabCase(channel));
+            });
+        }
+    });
+
+    return [...properties];
+}
+
+// Short label for an element in reports, e.g. #colorBox or div.card.flipped
+function describeElement(element) {
+    if (element.id) return `#${element.id}`;
+    const classes = String(element.className || '').split(/\s+/).filter(Boolean).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${classes}`;
+}
+
+/**
+ * Creates a frame-time monitor
+ * Demonstrates requestAnimationFrame sampling and closures over rolling statistics
+ * While running it measures every frame, counts long frames (noting which
+ * animations were running at the time) and reports the animations
+ * globalAnimationState is tracking, flagging those that animate layout
+ * properties instead of transform/opacity.
+ * @param {Object} options - { sampleSize (frames in the rolling window), longFrameThreshold (ms),
+ *   reportInterval (ms between subscriber updates), maxLongFrames (kept in the log) }
+ * @returns {Object} Monitor with start, stop, reset, isRunning, getMetrics, export and subscribe
+ */
+function createPerformanceMonitor(options = {}) {
+    const {
+        sampleSize = 120,
+        longFrameThreshold = LONG_FRAME_THRESHOLD,
+        reportInterval = 500,
+        maxLongFrames = 50
+    } = options;
+
+    let frameTimes = [];
+    let longFrames = [];
+    let totals = { frames: 0, dropped: 0, longFrames: 0, worst: 0 };
+    let startedAt = null;
+    let lastTimestamp = null;
+    let lastReport = 0;
+    let frameId = null;
+    let listeners = [];
+
+    function getRunningAnimations() {
+        const byElement = new Map();
+        animationRegistry.getActive().forEach(record => {
+            if (!byElement.has(record.element)) byElement.set(record.element, []);
+            byElement.get(record.element).push(record);
+        });
+
+        return [...byElement].map(([element, records]) => {
+            const properties = getAnimatedProperties(element).map(name => ({
+                name,
+                cost: classifyAnimatedProperty(name)
+            }));
+            return {
+                element: describeElement(element),
+                animations: records.map(record => ({
+                    name: record.name,
+                    kind: record.kind,
+                    runningFor: Date.now() - record.startedAt
+                })),
+                properties
+            };
+        });
+    }
+
+    function recordFrame(duration, timestamp) {
+        frameTimes.push(duration);
+        if (frameTimes.length > sampleSize) frameTimes.shift();
+        totals.frames++;
+        totals.worst = Math.max(totals.worst, duration);
+        // Frames the display showed twice because this one ran over
+        totals.dropped += Math.max(0, Math.round(duration / (1000 / 60)) - 1);
+
+        if (duration >= longFrameThreshold) {
+            totals.longFrames++;
+            longFrames.push({
+                at: timestamp,
+                duration: Math.round(duration),
+                animations: animationRegistry.getActive().map(record => `${describeElement(record.element)} ${record.name}`)
+            });
+            if (longFrames.length > maxLongFrames) longFrames.shift();
+        }
+    }
+
+    function onFrame(timestamp) {
+        const now = timestamp ?? Date.now();
+        if (lastTimestamp !== null) {
+            const duration = now - lastTimestamp;
+            if (duration > 0 && duration < FRAME_PAUSE_THRESHOLD) recordFrame(duration, Date.now());
+        }
+        lastTimestamp = now;
+
+        if (listeners.length > 0 && now - lastReport >= reportInterval) {
+            lastReport = now;
+            const metrics = monitor.getMetrics();
+            listeners.slice().forEach(listener => listener(metrics));
+        }
+        frameId = scheduleFrame(onFrame);
+    }
+
+    const monitor = {
+        start: function() {
+            if (frameId !== null) return false;
+            startedAt = startedAt ?? Date.now();
+            lastTimestamp = null;
+            frameId = scheduleFrame(onFrame);
+            return true;
+        },
+        stop: function() {
+            if (frameId === null) return false;
+            cancelFrame(frameId);
+            frameId = null;
+            return true;
+        },
+        isRunning: function() {
+            return frameId !== null;
+        },
+        // Forgets every sample, e.g. before measuring a specific interaction
+        reset: function() {
+            frameTimes = [];
+            longFrames = [];
+            totals = { frames: 0, dropped: 0, longFrames: 0, worst: 0 };
+            startedAt = frameId !== null ? Date.now() : null;
+            lastTimestamp = null;
+        },
+        /**
+         * Snapshot of the current statistics
+         * @returns {Object} { timestamp, duration, fps, frameTime: { average, p95, worst }, frames,
+         *   droppedFrames, longFrames: { threshold, count, recent }, activeAnimations, running, warnings }
+         */
+        getMetrics: function() {
+            const sorted = [...frameTimes].sort((a, b) => a - b);
+            const average = sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0;
+            const round = value => Math.round(value * 10) / 10;
+            const running = getRunningAnimations();
+
+            return {
+                timestamp: Date.now(),
+                duration: startedAt === null ? 0 : Date.now() - startedAt,
+                fps: average ? round(1000 / average) : 0,
+                frameTime: {
+                    average: round(average),
+                    p95: round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] ?? 0),
+                    worst: round(totals.worst)
+                },
+                frames: totals.frames,
+                droppedFrames: totals.dropped,
+                longFrames: {
+                    threshold: longFrameThreshold,
+                    count: totals.longFrames,
+                    recent: longFrames.map(frame => ({ ...frame }))
+                },
+                activeAnimations: globalAnimationState.activeAnimations,
+                running,
+                warnings: running.flatMap(item => item.properties
+                    .filter(property => property.cost === 'layout')
+                    .map(property => ({
+                        element: item.element,
+                        property: property.name,
+                        message: `${item.element} animates '${property.name}', which triggers layout; prefer transform or opacity`
+                    })))
+            };
+        },
+        // Metrics as JSON, for saving and comparing between runs
+        export: function() {
+            return JSON.stringify(monitor.getMetrics(), null, 2);
+        },
+        // Called with the metrics about every reportInterval while running
+        subscribe: function(listener) {
+            listeners.push(listener);
+            return () => {
+                listeners = listeners.filter(item => item !== listener);
+            };
+        }
+    };
+
+    return monitor;
 }
 
+// Shared monitor behind the performance overlay
+const performanceMonitor = createPerformanceMonitor();
+let stopOverlayUpdates = null;
+
 /**
- * Applies a random animation to an element
- * Demonstrates array manipulation and random selection
- * @param {string} elementId - ID of the element to animate
- * @returns {string} Name of the applied animation
+ * Shows or hides the performance overlay (and starts or stops the monitor with it)
+ * The overlay is opt-in because sampling every frame has a small cost of its own.
+ * @param {boolean} force - true to show, false to hide, omitted to toggle
+ * @param {Object} options - { monitor } to display (default performanceMonitor)
+ * @returns {boolean} Whether the overlay is now visible
  */
-function applyRandomAnimation(elementId) {
-    const element = document.getElementById(elementId);
-    if (!element) {
-        console.error(`Element with ID '${elementId}' not found`);
-        return null;
+function togglePerformanceOverlay(force, options = {}) {
+    const { monitor = performanceMonitor } = options;
+    let overlay = document.getElementById('performanceOverlay');
+    const show = force ?? !overlay;
+    // The button follows the overlay however it's toggled (click, 'p' or ?perf)
+    document.getElementById('togglePerformance')?.setAttribute('aria-pressed', String(show));
+
+    if (!show) {
+        stopOverlayUpdates?.();
+        stopOverlayUpdates = null;
+        overlay?.remove();
+        monitor.stop();
+        return false;
     }
-    
-    // Remove any existing animation classes
-    ANIMATION_TYPES.forEach(animation => {
-        element.classList.remove(`${animation}-animation`);
+    if (overlay) return true;
+
+    overlay = document.createElement('aside');
+    overlay.id = 'performanceOverlay';
+    overlay.className = 'performance-overlay';
+
+    const summary = document.createElement('div');
+    summary.className = 'performance-summary';
+    const list = document.createElement('ul');
+    list.className = 'performance-animations';
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'btn';
+    exportButton.addEventListener('click', function() {
+        downloadBlob(monitor.export(), `animation-performance-${Date.now()}.json`, 'application/json');
     });
-    
-    // Select and apply random animation
-    const randomIndex = getRandomNumber(0, ANIMATION_TYPES.length - 1);
-    const selectedAnimation = ANIMATION_TYPES[randomIndex];
-    
-    element.classList.add(`${selectedAnimation}-animation`);
-    return selectedAnimation;
+    overlay.append(summary, list, exportButton);
+    document.body.appendChild(overlay);
+
+    function applyLabels() {
+        overlay.setAttribute('aria-label', i18n.t('performance.label'));
+        exportButton.textContent = i18n.t('performance.export');
+    }
+
+    function render(metrics) {
+        summary.textContent = i18n.t('performance.summary', {
+            fps: metrics.fps,
+            p95: metrics.frameTime.p95,
+            count: metrics.longFrames.count,
+            running: metrics.activeAnimations
+        });
+        list.textContent = '';
+        metrics.running.forEach(item => {
+            const row = document.createElement('li');
+            const layout = item.properties.filter(property => property.cost === 'layout').map(property => property.name);
+            row.textContent = `${item.element}: ${item.animations.map(animation => animation.name).join(', ')}`;
+            if (layout.length > 0) {
+                row.classList.add('layout-warning');
+                row.textContent += ` ${i18n.t('performance.layoutWarning', { properties: layout.join(', ') })}`;
+            }
+            list.appendChild(row);
+        });
+    }
+
+    const stopRendering = monitor.subscribe(render);
+    const stopTranslating = i18n.subscribe(() => {
+        applyLabels();
+        render(monitor.getMetrics());
+    });
+    stopOverlayUpdates = () => {
+        stopRendering();
+        stopTranslating();
+    };
+    applyLabels();
+    monitor.start();
+    render(monitor.getMetrics());
+    return true;
 }
 
+// ===== SESSION RECORDING =====
+
+const SESSION_SCRIPT_VERSION = 1;
+
+// Actions wired by initializeDemo: name → { element, handler }
+const demoActions = new Map();
+
 /**
- * Changes element color with smooth transition
- * Demonstrates style manipulation and CSS property setting
- * @param {string} elementId - ID of the element
- * @param {string} color - CSS color value
- * @param {number} duration - Transition duration in milliseconds
- * @returns {Promise} Promise that resolves when transition completes
+ * Wires a demo control as a named action that sessions can record and replay
+ * @param {string} name - Action name stored in session scripts
+ * @param {string|null} selector - Control that triggers it on click (null for actions without one)
+ * @param {Function} handler - Called with (data), `this` being the control
+ * @returns {HTMLElement|null} The control, or null if it isn't on the page (the action is then skipped)
  */
-function changeColorWithTransition(elementId, color, duration = 500) {
-    return new Promise((resolve) => {
-        const element = document.getElementById(elementId);
-        if (!element) {
-            console.error(`Element with ID '${elementId}' not found`);
-            resolve(false);
-            return;
-        }
-        
-        // Set transition properties
-        element.style.transition = `background-color ${duration}ms ease`;
-        
-        // Change color
-        element.style.backgroundColor = color;
-        
-        // Resolve promise when transition completes
-        setTimeout(() => {
-            resolve(true);
-        }, duration);
-    });
+function defineDemoAction(name, selector, handler) {
+    const element = selector ? document.querySelector(selector) : null;
+    if (selector && !element) return null;
+
+    demoActions.set(name, { element, handler });
+    element?.addEventListener('click', () => runDemoAction(name));
+    return element;
 }
 
 /**
- * Creates a sequential animation sequence
- * Demonstrates async/await and animation sequencing
- * @param {string} elementId - ID of the element to animate
- * @param {Array} animations - Array of animation classes to apply sequentially
- * @param {number} delay - Delay between animations in milliseconds
+ * Runs a demo action by name, recording it if a session is being recorded
+ * @param {string} name - Name given to defineDemoAction
+ * @param {*} data - Extra data for the handler (e.g. why a modal closed)
+ * @returns {boolean} False if no such action is wired
  */
-async function runAnimationSequence(elementId, animations, delay = 1000) {
-    const element = document.getElementById(elementId);
-    if (!element) {
-        console.error(`Element with ID '${elementId}' not found`);
-        return;
-    }
-    
-    // Clear any existing animations
-    ANIMATION_TYPES.forEach(animation => {
-        element.classList.remove(`${animation}-animation`);
-    });
-    
-    for (let i = 0; i < animations.length; i++) {
-        const animation = animations[i];
-        
-        // Apply animation
-        element.classList.add(`${animation}-animation`);
-        
-        // Display progress
-        displayResult(`Animation ${i + 1}/${animations.length}: ${animation}`, 'animationResults');
-        
-        // Wait for delay before next animation
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Remove current animation
-        element.classList.remove(`${animation}-animation`);
+function runDemoAction(name, data) {
+    const action = demoActions.get(name);
+    if (!action) {
+        console.error(`Unknown demo action '${name}'`);
+        return false;
     }
-    
-    displayResult('Animation sequence completed!', 'animationResults', 'success');
+    sessionRecorder.capture(name, () => action.handler.call(action.element, data), data);
+    return true;
 }
 
 /**
- * Controls modal display with animation
- * Demonstrates complex DOM manipulation and CSS class management
- * @param {string} modalId - ID of the modal element
- * @param {boolean} show - Whether to show or hide the modal
- * @param {number} animationDuration - Duration of animation in milliseconds
+ * Creates the session recorder
+ * Demonstrates closures and dependency injection (the random source)
+ * While recording, every demo action is stored with its time and the
+ * random values it drew, so replays produce the same greetings, colors
+ * and animations. Random values drawn later by asynchronous work (loader
+ * progress ticks) come from a generator seeded with the script's seed,
+ * which the player seeds the same way.
+ * @returns {Object} Recorder with start, stop, isRecording and capture
  */
-function toggleModal(modalId, show, animationDuration = 500) {
-    const modal = document.getElementById(modalId);
-    if (!modal) {
-        console.error(`Modal with ID '${modalId}' not found`);
-        return;
-    }
-    
-    if (show) {
-        modal.classList.add('active');
-        // Prevent body scrolling when modal is open
-        document.body.style.overflow = 'hidden';
-    } else {
-        modal.classList.remove('active');
-        // Restore body scrolling
-        document.body.style.overflow = '';
-        
-        // Reset modal content position after animation
-        setTimeout(() => {
-            const modalContent = modal.querySelector('.modal-content');
-            if (modalContent) {
-                modalContent.style.transform = 'translateY(-50px) scale(0.9)';
-                modalContent.style.opacity = '0';
+function createSessionRecorder() {
+    let recording = null;
+    let capturing = false;
+    let previousSource = null;
+
+    return {
+        /**
+         * Starts recording
+         * @param {Object} options - { seed } to use instead of a time-based one
+         * @returns {boolean} False if already recording
+         */
+        start: function(options = {}) {
+            if (recording) return false;
+            // Replays and recordings both take over the random source
+            activePlayback?.stop();
+            const seed = options.seed ?? Date.now() % 4294967296;
+            recording = {
+                seed,
+                startedAt: Date.now(),
+                recordedAt: new Date().toISOString(),
+                initialState: captureDemoState({ includeLogs: false }),
+                events: []
+            };
+            previousSource = setRandomSource(createSeededRandom(seed));
+            return true;
+        },
+        /**
+         * Stops recording
+         * @returns {Object|null} Session script { version, seed, recordedAt, duration, initialState, events }
+         */
+        stop: function() {
+            if (!recording) return null;
+            setRandomSource(previousSource);
+            const { startedAt, ...script } = recording;
+            recording = null;
+            return {
+                version: SESSION_SCRIPT_VERSION,
+                ...script,
+                duration: Date.now() - startedAt
+            };
+        },
+        isRecording: function() {
+            return recording !== null;
+        },
+        /**
+         * Runs an action, noting it and the random values it draws when recording
+         * Actions started by another action (a box click that presses the toggle
+         * button) aren't noted separately; replaying the outer one runs them again.
+         * @param {string} action - Action name
+         * @param {Function} run - Runs the action
+         * @param {*} data - Extra data stored with the event
+         * @returns {*} Whatever run returned
+         */
+        capture: function(action, run, data) {
+            if (!recording || capturing) return run();
+
+            const event = { time: Date.now() - recording.startedAt, action, randoms: [] };
+            if (data !== undefined) event.data = data;
+            recording.events.push(event);
+
+            // Unseeded, so the seeded stream is left to the asynchronous draws
+            const sessionSource = setRandomSource(() => {
+                const value = Math.random();
+                event.randoms.push(value);
+                return value;
+            });
+            capturing = true;
+            try {
+                return run();
+            } finally {
+                capturing = false;
+                setRandomSource(sessionSource);
             }
-        }, animationDuration);
-    }
+        }
+    };
 }
 
+const sessionRecorder = createSessionRecorder();
+
 /**
- * Manages loading state with animation
- * Demonstrates state management and visual feedback
- * @param {string} containerId - ID of the loading container
- * @param {boolean} show - Whether to show or hide loader
- * @param {string} message - Loading message to display
+ * Checks a session script, e.g. one loaded from a file
+ * @param {Object} script - Script from sessionRecorder.stop()
+ * @returns {Object} { success, error, errors: [{ code, message }], data } like validateAndProcessInput
  */
-function toggleLoader(containerId, show, message = 'Loading...') {
-    const container = document.getElementById(containerId);
-    if (!container) {
-        console.error(`Container with ID '${containerId}' not found`);
-        return;
+function validateSessionScript(script) {
+    const errors = [];
+    const fail = (code, message) => errors.push({ code, message });
+
+    if (!script || typeof script !== 'object') {
+        fail('invalidScript', 'Session script must be an object');
+    } else {
+        if (script.version !== SESSION_SCRIPT_VERSION) {
+            fail('unsupportedVersion', `Unsupported session script version '${script.version}'`);
+        }
+        if (!Array.isArray(script.events)) {
+            fail('invalidEvents', 'events must be an array');
+        } else {
+            let previousTime = 0;
+            script.events.forEach((event, index) => {
+                if (!Number.isFinite(event?.time) || event.time < previousTime) {
+                    fail('invalidTime', `Event ${index + 1} needs a time no earlier than the one before`);
+                } else {
+                    previousTime = event.time;
+                }
+                if (typeof event?.action !== 'string') {
+                    fail('invalidAction', `Event ${index + 1} has no action`);
+                }
+                if (!Array.isArray(event?.randoms) || !event.randoms.every(value => typeof value === 'number' && value >= 0 && value < 1)) {
+                    fail('invalidRandoms', `Event ${index + 1} randoms must be numbers in [0, 1)`);
+                }
+            });
+        }
     }
-    
-    const loadingText = container.querySelector('.loading-text');
-    if (loadingText) {
-        loadingText.textContent = message;
+
+    if (errors.length > 0) {
+        return { success: false, error: errors[0].message, errors, data: null };
     }
-    
-    container.style.display = show ? 'block' : 'none';
+    return { success: true, error: null, errors: [], data: script };
 }
 
-// ===== RESULT DISPLAY FUNCTIONS =====
+// Playback currently driving the page, so a new one can replace it
+let activePlayback = null;
 
 /**
- * Displays results in a specified element
- * Demonstrates DOM manipulation and string formatting
- * @param {string} message - Message to display
- * @param {string} elementId - ID of the results container
- * @param {string} type - Type of message (info, success, error, warning)
+ * Replays a recorded session
+ * Demonstrates timers scaled by a live speed factor
+ * The page is put back into the recorded starting state, then each action
+ * runs at its recorded time divided by the speed, drawing the recorded
+ * random values. Actions that aren't wired on this page are reported and skipped.
+ * @param {Object} script - Script from sessionRecorder.stop()
+ * @param {Object} options - { speed (2 = twice as fast), onEvent(event, index) }
+ * @returns {Object|null} Playback with setSpeed, pause, resume, stop and a finished promise
+ *   resolving with { completed, eventsPlayed }; null if the script is invalid or a recording is running
  */
-function displayResult(message, elementId = 'functionResults', type = 'info') {
-    const resultElement = document.getElementById(elementId);
-    if (!resultElement) {
-        console.error(`Results element with ID '${elementId}' not found`);
-        return;
+function playSession(script, options = {}) {
+    const { success, error } = validateSessionScript(script);
+    if (!success) {
+        console.error(`Invalid session script: ${error}`);
+        return null;
     }
-    
-    const formattedMessage = formatMessage(message, type);
-    const messageElement = document.createElement('div');
-    messageElement.className = `result-message ${type}`;
-    messageElement.innerHTML = formattedMessage;
-    messageElement.style.padding = '0.5rem';
-    messageElement.style.borderLeft = `4px solid ${
-        type === 'success' ? '#2ecc71' : 
-        type === 'error' ? '#e74c3c' : 
-        type === 'warning' ? '#f39c12' : '#3498db'
-    }`;
-    messageElement.style.marginBottom = '0.5rem';
-    messageElement.style.background = 'rgba(255, 255, 255, 0.1)';
-    messageElement.style.borderRadius = '4px';
-    
-    resultElement.appendChild(messageElement);
-    resultElement.scrollTop = resultElement.scrollHeight;
-    
-    // Auto-remove old messages if there are too many
-    const messages = resultElement.querySelectorAll('.result-message');
-    if (messages.length > 10) {
-        messages[0].remove();
+    if (sessionRecorder.isRecording()) {
+        console.error('Stop recording before replaying a session');
+        return null;
     }
-}
+    activePlayback?.stop();
 
-/**
- * Clears all results from a specified element
- * @param {string} elementId - ID of the results container
- */
-function clearResults(elementId = 'functionResults') {
-    const resultElement = document.getElementById(elementId);
-    if (resultElement) {
-        resultElement.innerHTML = '';
+    const { events } = script;
+    const seeded = createSeededRandom(script.seed ?? 0);
+    let queue = [];
+    const previousSource = setRandomSource(() => (queue.length > 0 ? queue.shift() : seeded()));
+
+    let speed = options.speed > 0 ? options.speed : 1;
+    let state = 'playing';
+    let index = 0;
+    let position = 0;
+    let lastTick = Date.now();
+    let timerId = null;
+    let resolveFinished;
+    const finished = new Promise(resolve => {
+        resolveFinished = resolve;
+    });
+
+    // Moves the script position on by the real time that passed at the current speed
+    function advance() {
+        const now = Date.now();
+        if (state === 'playing') position += (now - lastTick) * speed;
+        lastTick = now;
+    }
+
+    function finish(completed) {
+        clearTimeout(timerId);
+        state = completed ? 'completed' : 'stopped';
+        setRandomSource(previousSource);
+        if (activePlayback === playback) activePlayback = null;
+        resolveFinished({ completed, eventsPlayed: index });
+    }
+
+    function schedule() {
+        clearTimeout(timerId);
+        if (state !== 'playing') return;
+        if (index >= events.length) {
+            finish(true);
+            return;
+        }
+        timerId = setTimeout(playNext, Math.max(0, (events[index].time - position) / speed));
+    }
+
+    function playNext() {
+        advance();
+        const event = events[index];
+        position = Math.max(position, event.time);
+        index++;
+
+        queue = [...event.randoms];
+        runDemoAction(event.action, event.data);
+        queue = [];
+
+        options.onEvent?.(event, index - 1);
+        schedule();
     }
+
+    const playback = {
+        get state() {
+            return state;
+        },
+        get speed() {
+            return speed;
+        },
+        // Takes effect immediately, including for the action currently being waited for
+        setSpeed: function(value) {
+            if (!(value > 0) || !Number.isFinite(value)) {
+                console.error(`Invalid playback speed '${value}'`);
+                return speed;
+            }
+            advance();
+            speed = value;
+            schedule();
+            return speed;
+        },
+        pause: function() {
+            if (state !== 'playing') return;
+            advance();
+            state = 'paused';
+            clearTimeout(timerId);
+        },
+        resume: function() {
+            if (state !== 'paused') return;
+            lastTick = Date.now();
+            state = 'playing';
+            schedule();
+        },
+        stop: function() {
+            if (state === 'completed' || state === 'stopped') return;
+            finish(false);
+        },
+        finished,
+        then: function(onFulfilled, onRejected) {
+            return finished.then(onFulfilled, onRejected);
+        }
+    };
+
+    activePlayback = playback;
+    if (script.initialState) applyDemoState(script.initialState);
+    schedule();
+    return playback;
 }
 
 // ===== INITIALIZATION AND EVENT HANDLERS =====
@@ -414,14 +7787,14 @@ function clearResults(elementId = 'functionResults') {
  */
 function initializeDemo() {
     // Part 2: Function Demonstrations
-    document.getElementById('calculateBtn')?.addEventListener('click', function() {
+    defineDemoAction('calculate', '#calculateBtn', function() {
         const width = getRandomNumber(5, 20);
         const height = getRandomNumber(5, 20);
         const area = calculateRectangleArea(width, height);
-        displayResult(`Rectangle area: ${width} × ${height} = ${area}`);
+        displayResult(i18n.t('demo.rectangleArea', { width, height, area }));
     });
     
-    document.getElementById('greetBtn')?.addEventListener('click', function() {
+    defineDemoAction('greet', '#greetBtn', function() {
         const names = ['Alice', 'Bob', 'Charlie', 'Diana', 'Eve'];
         const times = ['morning', 'afternoon', 'evening'];
         const moods = ['wonderful', 'fantastic', 'amazing', 'productive'];
@@ -434,28 +7807,26 @@ function initializeDemo() {
         displayResult(greeting);
     });
     
-    document.getElementById('counterBtn')?.addEventListener('click', function() {
+    defineDemoAction('counter', '#counterBtn', function() {
         const newValue = updateCounter();
-        displayResult(`Global counter: ${newValue}`);
+        displayResult(i18n.t('demo.counter', { value: newValue }));
     });
     
-    document.getElementById('privateCounterBtn')?.addEventListener('click', function() {
+    defineDemoAction('privateCounter', '#privateCounterBtn', function() {
         // Create a new private counter each time to demonstrate closure
         const privateCounter = createPrivateCounter();
         const operations = ['increment', 'increment', 'decrement', 'increment'];
-        let result = 'Private counter operations: ';
         
-        operations.forEach((op, index) => {
+        const steps = operations.map(op => {
             if (op === 'increment') {
                 privateCounter.increment(getRandomNumber(1, 3));
             } else {
                 privateCounter.decrement(1);
             }
-            result += `${op} → ${privateCounter.getValue()}`;
-            if (index < operations.length - 1) result += ' → ';
+            return `${i18n.t(`demo.${op}`)} → ${i18n.formatNumber(privateCounter.getValue())}`;
         });
         
-        displayResult(result);
+        displayResult(i18n.t('demo.privateCounter', { steps: steps.join(' → ') }));
     });
     
     document.getElementById('validateBtn')?.addEventListener('click', function() {
@@ -468,96 +7839,169 @@ function initializeDemo() {
         testInputs.forEach(input => {
             const result = validateAndProcessInput(input, 50);
             if (result.success) {
-                displayResult(`Valid: "${input}" → ${result.data.words} words`, 'functionResults', 'success');
+                displayResult(i18n.t('demo.valid', { input, count: result.data.words }), 'functionResults', 'success');
             } else {
-                displayResult(`Invalid: ${result.error}`, 'functionResults', 'error');
+                displayResult(i18n.t('demo.invalid', { error: result.error }), 'functionResults', 'error', { payload: result.errors });
+            }
+        });
+        
+        // Rules compose and report every failure with its code
+        const rules = [validators.minLength(8), validators.pattern(/\d/, i18n.t('demo.needsDigit')), validators.email()];
+        validateInput('hey@x', rules).then(result => {
+            const codes = result.errors.map(error => error.code).join(', ');
+            displayResult(i18n.t('demo.invalidCodes', { input: 'hey@x', codes }), 'functionResults', 'error', { payload: result.errors });
+        });
+    });
+    
+    // Live validation for forms marked with data-validate (rules come from their attributes)
+    document.querySelectorAll('form[data-validate]').forEach(form => {
+        bindFormValidation(form, {}, {
+            onSubmit: values => {
+                displayResult(i18n.t('demo.formSubmitted', { values: JSON.stringify(values) }), 'functionResults', 'success');
             }
         });
     });
     
     // Part 3: Animation Controls
-    document.getElementById('toggleAnimation')?.addEventListener('click', function() {
+    defineDemoAction('toggleAnimation', '#toggleAnimation', function() {
         const isNowActive = toggleAnimation('jsAnimationBox', 'active');
-        displayResult(`Box animation ${isNowActive ? 'activated' : 'deactivated'}`, 'animationResults');
+        displayResult(i18n.t(isNowActive ? 'animation.boxActivated' : 'animation.boxDeactivated'), 'animationResults');
     });
     
-    document.getElementById('resetAnimation')?.addEventListener('click', function() {
-        document.getElementById('jsAnimationBox')?.classList.remove('active');
-        displayResult('Box animation reset', 'animationResults', 'warning');
+    defineDemoAction('resetAnimation', '#resetAnimation', function() {
+        const box = document.getElementById('jsAnimationBox');
+        if (box) {
+            animationRegistry.cancelElement(box);
+            box.classList.remove('active');
+        }
+        displayResult(i18n.t('animation.boxReset'), 'animationResults', 'warning');
     });
     
-    document.getElementById('randomAnimation')?.addEventListener('click', function() {
+    defineDemoAction('randomAnimation', '#randomAnimation', function() {
         const animationName = applyRandomAnimation('animationBox');
+        if (isAnimationQueued('animationBox', animationName)) {
+            // The registry's 'queue' listener below reports it
+            return;
+        }
         if (animationName) {
-            displayResult(`Applied random animation: ${animationName}`, 'animationResults', 'success');
+            displayResult(i18n.t('animation.random', { name: animationName }), 'animationResults', 'success');
+        } else {
+            displayResult(i18n.t('animation.limitReached'), 'animationResults', 'warning');
         }
     });
     
-    document.getElementById('changeColor')?.addEventListener('click', function() {
-        const colors = ['#ff6b6b', '#6bff7d', '#6cd5ff', '#ffa36c', '#d66bff'];
-        const currentColor = document.getElementById('colorBox')?.style.backgroundColor;
-        let newColor;
-        
-        do {
-            newColor = colors[getRandomNumber(0, colors.length - 1)];
-        } while (newColor === currentColor);
+    defineDemoAction('changeColor', '#changeColor', function() {
+        const palette = themeManager.getPalette();
+        // Inline styles read back as rgb(), so compare in hex (palettes are stored as hex)
+        const current = parseColor(document.getElementById('colorBox')?.style.backgroundColor || '');
+        const currentColor = current ? formatColor(current) : null;
+        const others = palette.filter(color => color !== currentColor);
+        const colors = others.length > 0 ? others : palette;
+        const newColor = colors[getRandomNumber(0, colors.length - 1)];
         
-        changeColorWithTransition('colorBox', newColor, 800)
+        changeColorWithTransition('colorBox', newColor, 800, { space: 'oklch' })
             .then(success => {
                 if (success) {
-                    displayResult(`Color changed to: ${newColor}`, 'animationResults', 'success');
+                    displayResult(i18n.t('animation.colorChanged', { color: newColor }), 'animationResults', 'success');
                 }
             });
     });
     
-    document.getElementById('randomColor')?.addEventListener('click', function() {
-        const randomColor = getRandomColor();
+    defineDemoAction('randomColor', '#randomColor', function() {
+        const randomColor = getRandomColor({ minContrast: 3 });
         changeColorWithTransition('colorBox', randomColor, 600)
             .then(success => {
                 if (success) {
-                    displayResult(`Random color: ${randomColor}`, 'animationResults', 'success');
+                    displayResult(i18n.t('animation.randomColor', { color: randomColor }), 'animationResults', 'success');
                 }
             });
     });
     
-    document.getElementById('animationSequence')?.addEventListener('click', function() {
+    defineDemoAction('animationSequence', '#animationSequence', function() {
         const sequence = ['pulse', 'bounce', 'rotate', 'shake', 'flip'];
-        displayResult('Starting animation sequence...', 'animationResults');
-        runAnimationSequence('animationBox', sequence, 1200);
+        displayResult(i18n.t('sequence.starting'), 'animationResults');
+        runAnimationSequence('animationBox', sequence, { iterations: 1, gap: 200 });
     });
     
-    // Modal controls
-    document.getElementById('openModal')?.addEventListener('click', function() {
-        toggleModal('modal', true);
-        displayResult('Modal opened with animation', 'animationResults');
+    defineDemoAction('timeline', '#timelineDemo', function() {
+        const timeline = createAnimationTimeline()
+            .addLabel('intro', 0)
+            .parallel([
+                ['animationBox', { animation: 'pulse', duration: 1000 }],
+                ['colorBox', { color: '#6cd5ff', duration: 800 }]
+            ], 'intro')
+            .stagger(['jsAnimationBox', '.card'], { animation: 'shake', duration: 500 }, 250, 'intro+=600')
+            .add('colorBox', { color: '#ff6b6b', duration: 800 }, '+=200');
+
+        displayResult(i18n.t('timeline.playing', { duration: timeline.duration }), 'animationResults');
+        timeline.play().finished.then(() => {
+            displayResult(i18n.t('timeline.finished'), 'animationResults', 'success');
+        });
     });
     
-    document.getElementById('closeModal')?.addEventListener('click', function() {
-        toggleModal('modal', false);
-        displayResult('Modal closed with animation', 'animationResults', 'warning');
+    // Modal controls
+    // The manager wires the close button, backdrop click and Escape itself
+    document.querySelectorAll('.modal[id]').forEach(modal => modalManager.register(modal.id));
+    defineDemoAction('openModal', '#openModal', function() {
+        modalManager.open('modal', {
+            opener: this,
+            onOpen: () => displayResult(i18n.t('modal.opened'), 'animationResults'),
+            // Recorded as its own action so replays close the modal too
+            onClose: reason => sessionRecorder.capture('closeModal', () => {}, { reason })
+        }).then(reason => {
+            const reasonText = i18n.has(`modal.reason.${reason}`) ? i18n.t(`modal.reason.${reason}`) : reason;
+            displayResult(i18n.t('modal.closed', { reason: reasonText }), 'animationResults', 'warning');
+        });
+    });
+    defineDemoAction('closeModal', null, function(data) {
+        modalManager.close('modal', data?.reason);
     });
     
     // Loader controls
-    document.getElementById('toggleLoader')?.addEventListener('click', function() {
-        const loader = document.getElementById('loaderContainer');
-        if (loader) {
-            const isVisible = loader.style.display !== 'none';
-            toggleLoader('loaderContainer', !isVisible, 'Processing your request...');
-            displayResult(`Loader ${!isVisible ? 'shown' : 'hidden'}`, 'animationResults');
-        }
+    defineDemoAction('toggleLoader', '#toggleLoader', function() {
+        // Computed display, so a loader hidden by a stylesheet reads as hidden too
+        const isVisible = loaderManager.isVisible('loaderContainer');
+        const nowVisible = toggleLoader('loaderContainer', !isVisible, i18n.t('loader.processing'));
+        displayResult(i18n.t(nowVisible ? 'loader.shown' : 'loader.hidden'), 'animationResults');
+    });
+    
+    // Simulated slow operation with determinate progress
+    defineDemoAction('runLoaderTask', '#runLoaderTask', function() {
+        withLoader('loaderContainer', task => new Promise(resolve => {
+            let progress = 0;
+            const step = () => {
+                if (task?.signal.aborted) return;
+                progress += getRandomNumber(10, 25);
+                task?.setProgress(progress);
+                if (progress >= 100) {
+                    resolve(progress);
+                } else {
+                    setTimeout(step, 300);
+                }
+            };
+            step();
+        }), { message: i18n.t('loader.crunching') })
+            .then(() => displayResult(i18n.t('loader.finished'), 'animationResults', 'success'))
+            .catch(error => displayResult(i18n.t(error.name === 'AbortError' ? 'loader.cancelled' : 'loader.failed'), 'animationResults', 'warning'));
+    });
+    
+    defineDemoAction('cancelLoaderTask', '#cancelLoaderTask', function() {
+        loaderManager.cancel('loaderContainer');
     });
     
     // Card flip animation
-    document.querySelector('.card')?.addEventListener('click', function() {
-        this.classList.toggle('flipped');
-        displayResult('Card flipped!', 'animationResults');
+    defineDemoAction('flipCard', '.card', function() {
+        flipCard(this);
+        displayResult(i18n.t('animation.cardFlipped'), 'animationResults');
     });
     
-    // Close modal when clicking outside content
-    document.getElementById('modal')?.addEventListener('click', function(e) {
-        if (e.target === this) {
-            toggleModal('modal', false);
-        }
+    // Motion preference override (follows the system setting until changed)
+    motionPolicy.apply();
+    document.getElementById('motionPolicy')?.addEventListener('change', function() {
+        motionPolicy.set(this.value === 'system' ? null : this.value);
+    });
+    motionPolicy.subscribe(policy => {
+        displayResult(i18n.t('motion.policy', { policy: i18n.t(`motion.${policy}`) }), 'animationResults');
     });
     
     // Clear results buttons
@@ -569,36 +8013,386 @@ function initializeDemo() {
         clearResults('animationResults');
     });
     
+    // Result log filters and exports, e.g.
+    // <select data-log-filter="animationResults"> and <button data-log-export="json" data-log-panel="functionResults">
+    document.querySelectorAll('[data-log-filter]').forEach(select => {
+        select.addEventListener('change', function() {
+            resultLog.setFilter(this.dataset.logFilter, this.value);
+        });
+    });
+    
+    document.querySelectorAll('[data-log-export]').forEach(button => {
+        button.addEventListener('click', function() {
+            downloadResultLog(this.dataset.logExport, { panel: this.dataset.logPanel });
+        });
+    });
+    
+    // Gestures: drag the card to turn it, throw the animation box around
+    const logGesture = (message, payload) => {
+        displayResult(message, 'animationResults', 'info', { source: 'gesture', payload });
+    };
+    enableCardDragFlip(document.querySelector('.card'), {
+        onFlip: (flipped, detail) => logGesture(i18n.t(flipped ? 'gesture.cardFlipped' : 'gesture.cardFlippedBack'), { dx: Math.round(detail.dx) }),
+        onSnapBack: () => logGesture(i18n.t('gesture.cardSnappedBack')),
+        onLongPress: () => logGesture(i18n.t('gesture.cardLongPress'))
+    });
+    if (document.getElementById('animationBox')) {
+        makeDraggable('animationBox', {
+            drag: { bounds: { x: [-200, 200], y: [-120, 120] } },
+            longPress: { duration: 600 },
+            onDragEnd: detail => {
+                const speed = Math.round(Math.hypot(detail.velocityX, detail.velocityY));
+                logGesture(i18n.t('gesture.boxReleased', { speed }), { x: Math.round(detail.x), y: Math.round(detail.y), speed });
+            },
+            onSwipe: direction => logGesture(i18n.t('gesture.swipe', { direction: i18n.t(`direction.${direction}`) }), { direction }),
+            // Long press sends the box home
+            onLongPress: () => {
+                animateSpring('animationBox', { x: 0, y: 0 });
+                logGesture(i18n.t('gesture.boxReturning'));
+            }
+        });
+    }
+    
+    // Spring physics: clicking again mid-flight retargets and keeps the momentum
+    defineDemoAction('spring', '#springDemo', function() {
+        const x = getRandomNumber(-120, 120);
+        animateSpring('animationBox', { x, rotate: x / 4 }, { preset: 'wobbly' }).then(atRest => {
+            if (atRest) {
+                displayResult(i18n.t('animation.springSettled', { x }), 'animationResults', 'success');
+            }
+        });
+    });
+    
+    // Animation builder: live preview on animationBox, registered animations join random picks
+    const builderRoot = document.getElementById('animationBuilder');
+    if (builderRoot) {
+        createAnimationBuilder(builderRoot, {
+            onExport: (css, spec) => displayResult(i18n.t('builder.exported', { name: spec.name }), 'animationResults', 'info', { payload: { css } }),
+            onRegister: name => displayResult(i18n.t('builder.registered', { name, count: ANIMATION_TYPES.length }), 'animationResults', 'success')
+        });
+    }
+    
+    // Theme picker, plus custom themes loaded from a JSON file
+    const themeSelect = document.getElementById('themeSelect');
+    function renderThemeOptions() {
+        if (!themeSelect) return;
+        themeSelect.textContent = '';
+        themeManager.list().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            themeSelect.appendChild(option);
+        });
+        themeSelect.value = themeManager.getActive();
+    }
+    renderThemeOptions();
+    themeManager.subscribe(renderThemeOptions);
+    themeSelect?.addEventListener('change', function() {
+        themeManager.apply(themeSelect.value).then(applied => {
+            if (applied) {
+                displayResult(i18n.t('theme.applied', { label: themeManager.get(themeSelect.value)?.label }), 'functionResults', 'success');
+            }
+        });
+    });
+    
+    document.getElementById('themeFile')?.addEventListener('change', async function(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        const result = themeManager.load(await file.text());
+        if (result.success) {
+            themeManager.apply(result.data.name);
+            displayResult(i18n.t('theme.loaded', { label: result.data.label }), 'functionResults', 'success');
+        } else {
+            displayResult(i18n.t('theme.notLoaded', { error: result.error }), 'functionResults', 'error', { payload: { errors: result.errors } });
+            toastManager.show(i18n.t('theme.notLoaded', { error: result.error }), { type: 'error', duration: 0 });
+        }
+        event.target.value = '';
+    });
+    
+    // Language picker; messages already in the panels keep the language they were written in
+    i18n.apply();
+    const localeSelect = document.getElementById('localeSelect');
+    if (localeSelect) {
+        i18n.list().forEach(({ locale, name }) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            localeSelect.appendChild(option);
+        });
+        localeSelect.value = i18n.getLocale();
+        localeSelect.addEventListener('change', function() {
+            i18n.setLocale(this.value);
+        });
+    }
+    i18n.subscribe(locale => {
+        if (localeSelect) localeSelect.value = locale;
+        displayResult(i18n.t('locale.changed', { name: i18n.list().find(item => item.locale === locale)?.name }), 'functionResults');
+    });
+    
+    // Frame-time overlay, off until asked for (also on ?perf in the URL)
+    document.getElementById('togglePerformance')?.addEventListener('click', () => togglePerformanceOverlay());
+    if (typeof location !== 'undefined' && new URLSearchParams(location.search).has('perf')) {
+        togglePerformanceOverlay(true);
+    }
+    
+    // Markup-driven triggers: data-animate, data-trigger, data-target...
+    initDeclarativeAnimations(document.body);
+    
+    // Staggered entrance for demo boxes as they scroll into view
+    revealOnScroll('.demo-box', { animation: 'fade', stagger: 120 });
+    
+    // Report animations that have to wait for a free slot
+    animationRegistry.on('queue', record => {
+        displayResult(i18n.t('animation.queued', { name: record.name, limit: globalAnimationState.maxAnimations }), 'animationResults', 'warning');
+        // A burst of queued animations shares one toast with a repeat count
+        toastManager.show(i18n.t('animation.limitReached'), { type: 'warning', key: 'animation-queue' });
+    });
+    
+    // Keyboard access: the card and the JS box act as buttons...
+    const activatables = [
+        { target: '.card', label: 'label.flipCard', pressed: document.querySelector('.card')?.classList.contains('flipped') },
+        { target: 'jsAnimationBox', label: 'label.toggleBox', pressed: false }
+    ];
+    activatables.forEach(({ target, label, pressed }) => makeActivatable(target, { label: i18n.t(label), pressed }));
+    i18n.subscribe(() => activatables.forEach(({ target, label }) => {
+        resolveAnimationTarget(target)?.setAttribute('aria-label', i18n.t(label));
+    }));
+    document.getElementById('jsAnimationBox')?.addEventListener('click', function() {
+        document.getElementById('toggleAnimation')?.click();
+    });
+    // ...and aria-pressed follows the box however it gets toggled
+    ['start', 'end', 'cancel'].forEach(type => {
+        animationRegistry.on(type, record => {
+            if (record.element.id === 'jsAnimationBox' && record.name === 'active') {
+                record.element.setAttribute('aria-pressed', String(type === 'start'));
+            }
+        });
+    });
+    
+    // ...and every main control has a shortcut (press ? for the list)
+    [
+        { keys: 'r', control: '#randomAnimation', message: 'shortcut.random' },
+        { keys: 's', control: '#animationSequence', message: 'shortcut.sequence' },
+        { keys: 'c', control: '#changeColor', message: 'shortcut.color' },
+        { keys: 't', control: '#toggleAnimation', message: 'shortcut.toggle' },
+        { keys: 'f', control: '.card', message: 'shortcut.flip' },
+        { keys: 'm', control: '#openModal', message: 'shortcut.modal' }
+    ].forEach(({ keys, control, message }) => {
+        const element = document.querySelector(control);
+        if (element) {
+            shortcutManager.register(keys, () => element.click(), { description: () => i18n.t(message), element });
+        }
+    });
+    shortcutManager.register('x', () => {
+        clearResults('functionResults');
+        clearResults('animationResults');
+    }, { description: () => i18n.t('shortcut.clear') });
+    shortcutManager.register('p', () => togglePerformanceOverlay(), { description: () => i18n.t('shortcut.performance') });
+    shortcutManager.register('?', () => shortcutManager.showHelp(), { description: () => i18n.t('shortcut.help'), global: true });
+    shortcutManager.enable();
+    
+    // Bring back the counter, colors, toggles and logs from the last visit (or a shared link)
+    const persistence = initStatePersistence();
+    document.getElementById('shareState')?.addEventListener('click', function() {
+        const url = persistence.getShareUrl();
+        displayResult(i18n.t('demo.shareLink', { url }), 'functionResults', 'info', { payload: { url } });
+        // writeText rejects without permission, focus or a secure context
+        const copy = navigator.clipboard
+            ? navigator.clipboard.writeText(url)
+            : Promise.reject(new Error(i18n.t('demo.clipboardUnavailable')));
+        copy.then(() => {
+            toastManager.show(i18n.t('toast.linkCopied'), { type: 'success', duration: 3000 });
+        }).catch(error => {
+            displayResult(i18n.t('demo.copyFailed', { error: error.message }), 'functionResults', 'error');
+            toastManager.show(i18n.t('demo.copyFailed', { error: error.message }), { type: 'error' });
+        });
+    });
+    
+    document.getElementById('resetState')?.addEventListener('click', function() {
+        persistence.disconnect();
+        demoStateStore.clear();
+        history.replaceState(null, '', location.pathname + location.search);
+        location.reload();
+    });
+    
+    // Session recording: capture what was clicked, then replay it (e.g. for bug reports)
+    let lastSession = null;
+    let playback = null;
+    const replaySpeed = () => Number(document.getElementById('replaySpeed')?.value) || 1;
+    
+    document.getElementById('recordSession')?.addEventListener('click', function() {
+        if (sessionRecorder.isRecording()) {
+            lastSession = sessionRecorder.stop();
+            displayResult(i18n.t('session.recorded', { count: lastSession.events.length }), 'functionResults', 'success', {
+                payload: { seed: lastSession.seed, duration: lastSession.duration }
+            });
+            toastManager.show(i18n.t('session.recorded', { count: lastSession.events.length }), {
+                type: 'success',
+                actions: [{ label: i18n.t('toast.replay'), onClick: () => document.getElementById('replaySession')?.click() }]
+            });
+        } else {
+            sessionRecorder.start();
+            displayResult(i18n.t('session.recording'), 'functionResults', 'info');
+        }
+        this.setAttribute('aria-pressed', String(sessionRecorder.isRecording()));
+    });
+    
+    document.getElementById('replaySession')?.addEventListener('click', function() {
+        if (!lastSession) {
+            displayResult(i18n.t('session.nothingRecorded'), 'functionResults', 'warning');
+            return;
+        }
+        playback = playSession(lastSession, { speed: replaySpeed() });
+        playback?.then(({ completed, eventsPlayed }) => {
+            displayResult(i18n.t(completed ? 'session.replayFinished' : 'session.replayStopped', { count: eventsPlayed }), 'functionResults', completed ? 'success' : 'warning');
+        });
+    });
+    
+    document.getElementById('replaySpeed')?.addEventListener('change', function() {
+        if (playback?.state === 'playing' || playback?.state === 'paused') playback.setSpeed(replaySpeed());
+    });
+    
+    document.getElementById('exportSession')?.addEventListener('click', function() {
+        if (!lastSession) return;
+        downloadBlob(JSON.stringify(lastSession, null, 2), `session-${lastSession.seed}.json`, 'application/json');
+    });
+    
+    document.getElementById('sessionFile')?.addEventListener('change', async function(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        try {
+            const result = validateSessionScript(JSON.parse(await file.text()));
+            if (!result.success) throw new Error(result.error);
+            lastSession = result.data;
+            displayResult(i18n.t('session.loaded', { count: lastSession.events.length }), 'functionResults', 'success');
+        } catch (error) {
+            displayResult(i18n.t('session.notLoaded', { error: error.message }), 'functionResults', 'error');
+            toastManager.show(i18n.t('session.notLoaded', { error: error.message }), { type: 'error', duration: 0 });
+        }
+        event.target.value = '';
+    });
+    
     // Display initialization message
-    displayResult('Demo initialized and ready! All event listeners are active.', 'functionResults', 'success');
-    displayResult('Animation system ready. Try the various animation controls!', 'animationResults', 'success');
+    displayResult(i18n.t('demo.ready'), 'functionResults', 'success');
+    displayResult(i18n.t('demo.animationReady'), 'animationResults', 'success');
 }
 
 // ===== INITIALIZATION =====
 // Wait for DOM to be fully loaded before initializing
-document.addEventListener('DOMContentLoaded', function() {
-    initializeDemo();
-});
+// (skipped outside a browser so the file can be required from Node for tests)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        initializeDemo();
+    });
+}
 
 // ===== EXPORTS FOR MODULE USAGE (if needed) =====
 // This would be used if this file were imported as a module
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        globalAnimationState,
+        animationRegistry,
+        createAnimationRegistry,
         calculateRectangleArea,
         createGreeting,
         updateCounter,
         createPrivateCounter,
         validateAndProcessInput,
+        validators,
+        validateInput,
+        rulesFromAttributes,
+        bindValidation,
+        bindFormValidation,
         toggleAnimation,
         applyRandomAnimation,
+        isAnimationQueued,
         changeColorWithTransition,
         runAnimationSequence,
+        ANIMATION_KEYFRAMES,
+        playKeyframeAnimation,
+        applyKeyframeAnimation,
+        createMotionPolicy,
+        motionPolicy,
+        flipCard,
+        createAnimationTimeline,
+        dispatchDeclarativeAnimation,
+        initDeclarativeAnimations,
+        revealOnScroll,
+        linkAnimationToScroll,
         toggleModal,
+        createModalManager,
+        modalManager,
         toggleLoader,
+        createLoaderManager,
+        loaderManager,
+        withLoader,
         displayResult,
         clearResults,
+        createResultLog,
+        resultLog,
         getRandomNumber,
         getRandomColor,
-        formatMessage
+        parseColor,
+        formatColor,
+        interpolateColor,
+        getContrastRatio,
+        animateColor,
+        formatMessage,
+        migrateState,
+        createStateStore,
+        demoStateStore,
+        captureDemoState,
+        applyDemoState,
+        serializeStateToHash,
+        parseStateFromHash,
+        initStatePersistence,
+        parseShortcut,
+        createShortcutManager,
+        shortcutManager,
+        makeActivatable,
+        ANIMATION_TYPES,
+        formatEasing,
+        validateAnimationSpec,
+        generateAnimationCss,
+        defineCustomAnimation,
+        previewAnimationSpec,
+        createAnimationBuilder,
+        SPRING_PRESETS,
+        createSpring,
+        animateSpring,
+        animateDecay,
+        stopSpring,
+        setSpringValues,
+        getSpringValues,
+        createGestureRecognizer,
+        makeDraggable,
+        enableCardDragFlip,
+        THEME_TOKENS,
+        validateTheme,
+        createThemeManager,
+        themeManager,
+        classifyAnimatedProperty,
+        getAnimatedProperties,
+        createPerformanceMonitor,
+        performanceMonitor,
+        togglePerformanceOverlay,
+        ANIMATION_CATEGORIES,
+        registerAnimation,
+        unregisterAnimation,
+        getAnimationInfo,
+        getAnimationsByCategory,
+        pickRandomAnimation,
+        createSeededRandom,
+        setRandomSource,
+        defineDemoAction,
+        runDemoAction,
+        sessionRecorder,
+        createSessionRecorder,
+        validateSessionScript,
+        playSession,
+        createI18n,
+        i18n,
+        createToastManager,
+        toastManager
     };
 }
\ No newline at end of file
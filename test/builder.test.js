@@ -0,0 +1,213 @@
+/* =============================================
+   TESTS FOR THE ANIMATION BUILDER
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+const wobble = {
+    name: 'wobble',
+    duration: 800,
+    iterations: 2,
+    easing: { type: 'cubic-bezier', points: [0.68, -0.55, 0.27, 1.55] },
+    keyframes: [
+        { offset: 1, transform: 'rotate(0deg)', opacity: '1' },
+        { offset: 0, transform: 'rotate(0deg)', color: '#fff' },
+        { offset: 0.5, transform: 'rotate(8deg)', opacity: 0.5, easing: 'steps(4, jump-end)' }
+    ]
+};
+
+describe('formatEasing', () => {
+    it('accepts keywords, cubic-bezier and steps in string or object form', () => {
+        assert.equal(script.formatEasing('EASE-IN'), 'ease-in');
+        assert.equal(script.formatEasing('cubic-bezier(0.1, 2, 0.3, -1)'), 'cubic-bezier(0.1, 2, 0.3, -1)');
+        assert.equal(script.formatEasing({ type: 'steps', count: 3 }), 'steps(3, end)');
+        assert.equal(script.formatEasing('steps(5, jump-both)'), 'steps(5, jump-both)');
+    });
+
+    it('rejects curves and steps the browser would refuse', () => {
+        assert.equal(script.formatEasing('cubic-bezier(1.5, 0, 0.5, 1)'), null);
+        assert.equal(script.formatEasing({ type: 'cubic-bezier', points: [0, 1] }), null);
+        assert.equal(script.formatEasing('steps(1, jump-none)'), null);
+        assert.equal(script.formatEasing('bouncy'), null);
+    });
+});
+
+describe('validateAnimationSpec', () => {
+    it('sorts stops and normalizes values', () => {
+        const result = script.validateAnimationSpec(wobble);
+        assert.equal(result.success, true);
+        assert.deepEqual(result.data.keyframes.map(frame => frame.offset), [0, 0.5, 1]);
+        assert.equal(result.data.keyframes[2].opacity, 1);
+        assert.equal(result.data.easing, 'cubic-bezier(0.68, -0.55, 0.27, 1.55)');
+    });
+
+    it('reports every problem with a code', () => {
+        const result = script.validateAnimationSpec({
+            name: 'pulse',
+            duration: 0,
+            easing: 'wiggly',
+            keyframes: [{ offset: 0, width: '10px' }, { offset: 0, opacity: 3 }]
+        });
+        assert.deepEqual(result.errors.map(error => error.code),
+            ['reservedName', 'invalidDuration', 'invalidEasing', 'unknownProperty', 'invalidOffset', 'invalidValue']);
+    });
+
+    it('only accepts timing values that are safe to write into CSS', () => {
+        const result = script.validateAnimationSpec({
+            ...wobble,
+            delay: 'soon',
+            direction: 'normal;} body{display:none',
+            fillMode: 'sideways'
+        });
+        assert.deepEqual(result.errors.map(error => error.code), ['invalidValue', 'invalidDelay', 'invalidDirection', 'invalidFillMode']);
+        assert.equal(script.validateAnimationSpec({ ...wobble, delay: -5 }).errors[0].code, 'invalidDelay');
+        assert.equal(script.validateAnimationSpec({ ...wobble, direction: 'alternate', fillMode: 'forwards' }).success, true);
+    });
+});
+
+describe('generateAnimationCss', () => {
+    it('writes the @keyframes rule and animation class', () => {
+        assert.equal(script.generateAnimationCss(wobble), [
+            '@keyframes wobble {',
+            '    0% { transform: rotate(0deg); color: #fff; }',
+            '    50% { transform: rotate(8deg); opacity: 0.5; animation-timing-function: steps(4, jump-end); }',
+            '    100% { transform: rotate(0deg); opacity: 1; }',
+            '}',
+            '',
+            '.wobble-animation {',
+            '    animation: wobble 800ms cubic-bezier(0.68, -0.55, 0.27, 1.55) 0ms 2 normal both;',
+            '}'
+        ].join('\n'));
+    });
+
+    it('returns null for invalid specs', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(script.generateAnimationCss({ name: 'x', keyframes: [] }), null);
+    });
+});
+
+describe('defineCustomAnimation', () => {
+    it('injects the CSS and makes the animation available to every helper', async (t) => {
+        assert.equal(script.defineCustomAnimation(wobble), 'wobble');
+        const style = dom.document.head.querySelector('style[data-animation="wobble"]');
+        assert.match(style.textContent, /@keyframes wobble/);
+        assert.ok(script.ANIMATION_TYPES.includes('wobble'));
+        assert.equal(script.ANIMATION_KEYFRAMES.wobble.timing.iterations, 2);
+
+        // Redefining replaces rather than duplicates
+        script.defineCustomAnimation({ ...wobble, duration: 400 });
+        assert.equal(dom.document.head.querySelectorAll('style').length, 1);
+        assert.equal(script.ANIMATION_TYPES.filter(name => name === 'wobble').length, 1);
+
+        const box = dom.h('div', { id: 'animationBox' });
+        dom.document.body.append(box, dom.h('div', { id: 'animationResults' }));
+        script.runAnimationSequence('animationBox', ['wobble']);
+        await clock.tick(0);
+        assert.equal(box.className, 'wobble-animation');
+
+        t.mock.method(Math, 'random', () => 0.999);
+        assert.equal(script.applyRandomAnimation('animationBox'), 'wobble');
+    });
+});
+
+describe('previewAnimationSpec', () => {
+    it('plays the spec under the preview name through the registry', () => {
+        const box = dom.h('div', { id: 'animationBox', class: 'pulse-animation' });
+        dom.document.body.appendChild(box);
+
+        assert.equal(script.previewAnimationSpec(wobble), true);
+        assert.equal(box.className, 'builder-preview-animation');
+        assert.match(dom.document.head.querySelector('style[data-animation="builder-preview"]').textContent,
+            /@keyframes builder-preview \{/);
+        assert.equal(script.ANIMATION_TYPES.includes('wobble'), false);
+
+        box.dispatchEvent(new FakeEvent('animationend'));
+        assert.equal(box.className, '');
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+});
+
+describe('createAnimationBuilder', () => {
+    let root;
+    let builder;
+
+    beforeEach(() => {
+        root = dom.h('div', { id: 'animationBuilder' });
+        dom.document.body.append(root, dom.h('div', { id: 'animationBox' }));
+        builder = script.createAnimationBuilder('animationBuilder', { previewDelay: 100 });
+    });
+
+    function setField(name, value) {
+        const input = root.querySelector(`[data-field="${name}"]`);
+        input.value = value;
+        input.dispatchEvent(new FakeEvent('input', { bubbles: true }));
+    }
+
+    it('reads edits into the spec and previews after a pause', async () => {
+        setField('name', 'spin-out');
+        setField('easing', 'steps');
+        setField('easingParams', '6, start');
+
+        const spec = builder.getSpec();
+        assert.equal(spec.name, 'spin-out');
+        assert.deepEqual(spec.easing, { type: 'steps', count: 6, position: 'start' });
+
+        await clock.tick(100);
+        assert.equal(dom.document.getElementById('animationBox').className, 'builder-preview-animation');
+    });
+
+    it('lists validation errors and refuses to export or register', () => {
+        setField('name', 'Bad Name');
+        assert.deepEqual(root.querySelectorAll('.builder-errors li').map(item => item.getAttribute('data-code')), ['invalidName']);
+        assert.equal(builder.exportCss(), null);
+        assert.equal(builder.register(), null);
+    });
+
+    it('adds and removes stops', () => {
+        root.querySelector('[data-action="add-stop"]').click();
+        assert.deepEqual(builder.getSpec().keyframes.map(frame => frame.offset), [0, 0.5, 0.75, 1]);
+
+        root.querySelectorAll('[data-action="remove-stop"]')[0].click();
+        assert.equal(builder.getSpec().keyframes.length, 3);
+    });
+
+    it('exports CSS to the output box and registers the animation', () => {
+        const css = builder.exportCss();
+        assert.match(css, /\.my-animation-animation \{/);
+        assert.equal(root.querySelector('.builder-output').value, css);
+
+        assert.equal(builder.register(), 'my-animation');
+        assert.ok(script.ANIMATION_TYPES.includes('my-animation'));
+    });
+
+    it('relabels its controls when the locale changes', () => {
+        const exportButton = root.querySelector('[data-action="export"]');
+        assert.equal(exportButton.textContent, 'Export CSS');
+        setField('name', 'spin-out');
+
+        script.i18n.setLocale('es');
+        assert.equal(exportButton.textContent, 'Exportar CSS');
+        assert.equal(root.querySelector('label span').textContent, 'Nombre');
+        assert.equal(root.querySelector('.builder-output').getAttribute('aria-label'), 'CSS generado');
+        assert.equal(root.querySelector('[data-action="remove-stop"]').getAttribute('aria-label'), 'Quitar paso 1');
+        assert.equal(root.querySelector('[data-field="name"]').value, 'spin-out');
+    });
+});
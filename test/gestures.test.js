@@ -0,0 +1,226 @@
+/* =============================================
+   TESTS FOR POINTER GESTURES
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let box;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    box = dom.h('div', { id: 'animationBox' });
+    dom.document.body.appendChild(box);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+function pointer(target, type, x, y = 0) {
+    target.dispatchEvent(new FakeEvent(type, {
+        clientX: x,
+        clientY: y,
+        pointerId: 1,
+        pointerType: 'touch',
+        button: 0,
+        bubbles: true
+    }));
+}
+
+/**
+ * Drags from one point to another in equal steps, 16 ms apart
+ * @param {FakeElement} target - Element to drag
+ * @param {Array<number>} from - Start [x, y]
+ * @param {Array<number>} to - End [x, y]
+ * @param {Object} options - { steps, release }
+ */
+async function drag(target, from, to, options = {}) {
+    const { steps = 5, release = 'pointerup' } = options;
+    pointer(target, 'pointerdown', ...from);
+    for (let i = 1; i <= steps; i++) {
+        await clock.tick(16);
+        pointer(target, 'pointermove', from[0] + (to[0] - from[0]) * i / steps, from[1] + (to[1] - from[1]) * i / steps);
+    }
+    if (release) pointer(target, release, ...to);
+}
+
+describe('createGestureRecognizer', () => {
+    it('reports drags past the threshold, clamped to bounds', async () => {
+        const events = [];
+        const recognizer = script.createGestureRecognizer(box, {
+            drag: { bounds: { x: [-50, 50] }, threshold: 10 },
+            swipe: false,
+            onDragStart: () => events.push('start'),
+            onDrag: detail => events.push(['drag', detail.x, detail.y]),
+            onDragEnd: detail => events.push(['end', detail.x])
+        });
+
+        pointer(box, 'pointerdown', 0);
+        pointer(box, 'pointermove', 6);
+        assert.deepEqual(events, []);
+
+        await drag(box, [0, 0], [80, 20], { steps: 2 });
+        assert.deepEqual(events, ['start', ['drag', 40, 10], ['drag', 50, 20], ['end', 50]]);
+        assert.deepEqual(recognizer.position, { x: 50, y: 20 });
+    });
+
+    it('locks drags to one axis', async () => {
+        const recognizer = script.createGestureRecognizer(box, { drag: { axis: 'x' } });
+        assert.equal(box.style.touchAction, 'pan-y');
+        await drag(box, [0, 0], [30, 40]);
+        assert.deepEqual(recognizer.position, { x: 30, y: 0 });
+    });
+
+    it('snaps to the point the release momentum heads for', async () => {
+        let snap = null;
+        script.createGestureRecognizer(box, {
+            drag: { axis: 'x', snapPoints: [{ x: 0 }, { x: 100 }, { x: 200 }] },
+            onDragEnd: detail => {
+                snap = detail.snap;
+            }
+        });
+
+        // Released at 40px but moving right fast: 40 + 0.2 s × 625 px/s lands nearest 200
+        await drag(box, [0, 0], [40, 0], { steps: 4 });
+        assert.deepEqual(snap, { x: 200, y: 0 });
+    });
+
+    it('detects swipe direction from distance and speed', async () => {
+        const swipes = [];
+        script.createGestureRecognizer(box, { onSwipe: direction => swipes.push(direction) });
+
+        await drag(box, [200, 0], [100, 10]);
+        await drag(box, [0, 0], [5, -120]);
+        // Too slow to count
+        await drag(box, [0, 0], [100, 0], { steps: 50 });
+        assert.deepEqual(swipes, ['left', 'up']);
+    });
+
+    it('fires long-press unless the pointer wanders', async () => {
+        let presses = 0;
+        script.createGestureRecognizer(box, { longPress: { duration: 500 }, onLongPress: () => presses++ });
+
+        pointer(box, 'pointerdown', 0);
+        await clock.tick(500);
+        pointer(box, 'pointerup', 0);
+
+        pointer(box, 'pointerdown', 0);
+        pointer(box, 'pointermove', 30);
+        await clock.tick(500);
+        pointer(box, 'pointerup', 30);
+
+        assert.equal(presses, 1);
+    });
+
+    it('cancels the long-press once a drag starts', async () => {
+        let presses = 0;
+        script.createGestureRecognizer(box, { drag: {}, longPress: { duration: 500 }, onLongPress: () => presses++ });
+
+        // Past the 5px drag threshold, inside the 10px long-press tolerance
+        pointer(box, 'pointerdown', 0);
+        pointer(box, 'pointermove', 7);
+        await clock.tick(500);
+        pointer(box, 'pointerup', 7);
+
+        assert.equal(presses, 0);
+    });
+
+    it('swallows the click that ends a drag', async () => {
+        let clicks = 0;
+        box.addEventListener('click', () => clicks++);
+        script.createGestureRecognizer(box, { drag: {} });
+
+        await drag(box, [0, 0], [40, 0]);
+        box.click();
+        box.click();
+        assert.equal(clicks, 1);
+    });
+
+    it('reports a cancelled drag as returning to its origin', async () => {
+        let end = null;
+        script.createGestureRecognizer(box, { drag: {}, onDragEnd: detail => {
+            end = detail;
+        } });
+        await drag(box, [0, 0], [40, 0], { release: 'pointercancel' });
+        assert.equal(end.cancelled, true);
+        assert.deepEqual(end.snap, { x: 0, y: 0 });
+    });
+});
+
+describe('makeDraggable', () => {
+    it('follows the pointer, then coasts with momentum inside its bounds', async () => {
+        let ended = null;
+        script.makeDraggable('animationBox', {
+            drag: { bounds: { x: [-100, 100], y: [-100, 100] } },
+            onDragEnd: (detail, settled) => {
+                ended = settled;
+            }
+        });
+
+        // The first 12px step crosses the threshold and picks the box up where it is
+        await drag(box, [0, 0], [60, 0], { release: null });
+        assert.equal(box.style.transform, 'translateX(48px) translateY(0px)');
+
+        pointer(box, 'pointerup', 60);
+        await clock.tick(3000);
+        assert.equal(await ended, true);
+        assert.deepEqual(script.getSpringValues(box, ['x', 'y']), { x: 100, y: 0 });
+    });
+
+    it('picks the element up from where a spring left it', async () => {
+        script.makeDraggable('animationBox', {});
+        script.setSpringValues(box, { x: 70, y: 10 });
+
+        await drag(box, [0, 0], [20, 0], { release: null });
+        // No jump when the threshold is crossed at 8px: only the 12px after it count
+        assert.deepEqual(script.getSpringValues(box, ['x', 'y']), { x: 82, y: 10 });
+    });
+});
+
+describe('enableCardDragFlip', () => {
+    let card;
+    let log;
+
+    beforeEach(() => {
+        card = dom.h('div', { class: 'card' });
+        card.getBoundingClientRect = () => ({ width: 200 });
+        dom.document.body.appendChild(card);
+        log = [];
+        script.enableCardDragFlip(card, {
+            onFlip: flipped => log.push(flipped ? 'flipped' : 'unflipped'),
+            onSnapBack: () => log.push('snapped')
+        });
+    });
+
+    it('scrubs rotateY while dragging and flips past halfway', async () => {
+        await drag(card, [0, 0], [150, 0], { steps: 10, release: null });
+        assert.equal(card.style.transform, 'rotateY(135deg)');
+        assert.equal(card.style.transition, 'none');
+
+        pointer(card, 'pointerup', 150);
+        assert.equal(card.classList.contains('flipped'), true);
+        assert.equal(card.style.transform, '');
+        assert.deepEqual(log, ['flipped']);
+    });
+
+    it('snaps back after a short, slow drag', async () => {
+        await drag(card, [0, 0], [60, 0], { steps: 30 });
+        assert.equal(card.classList.contains('flipped'), false);
+        assert.deepEqual(log, ['snapped']);
+    });
+
+    it('does not scrub when motion is reduced', async () => {
+        script.motionPolicy.set('reduced');
+        await drag(card, [0, 0], [150, 0], { steps: 10, release: null });
+        assert.equal(card.style.transform, undefined);
+    });
+});
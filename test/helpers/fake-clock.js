@@ -0,0 +1,110 @@
+/* =============================================
+   FAKE CLOCK FOR NODE TESTS
+   Replaces Date.now, setTimeout/clearTimeout and
+   requestAnimationFrame so tests decide when time passes
+============================================= */
+
+const realSetImmediate = setImmediate;
+
+/**
+ * Lets pending promise callbacks run
+ * @returns {Promise} Promise that resolves on the next macrotask
+ */
+function flushMicrotasks() {
+    return new Promise(resolve => realSetImmediate(resolve));
+}
+
+/**
+ * Installs a controllable clock on the global object
+ * @param {number} start - Initial Date.now() value
+ * @returns {Object} Clock with now, tick, block, runAll, pending and uninstall
+ */
+function installFakeClock(start = 1700000000000) {
+    const originals = {
+        now: Date.now,
+        setTimeout: globalThis.setTimeout,
+        clearTimeout: globalThis.clearTimeout,
+        requestAnimationFrame: globalThis.requestAnimationFrame,
+        cancelAnimationFrame: globalThis.cancelAnimationFrame
+    };
+
+    let now = start;
+    let nextId = 1;
+    let timers = [];
+
+    function schedule(callback, delay, args) {
+        const id = nextId++;
+        timers.push({ id, at: now + Math.max(0, Number(delay) || 0), callback, args });
+        return id;
+    }
+
+    function cancel(id) {
+        timers = timers.filter(timer => timer.id !== id);
+    }
+
+    Date.now = () => now;
+    globalThis.setTimeout = (callback, delay, ...args) => schedule(callback, delay, args);
+    globalThis.clearTimeout = cancel;
+    globalThis.requestAnimationFrame = callback => schedule(() => callback(now), 16, []);
+    globalThis.cancelAnimationFrame = cancel;
+
+    const clock = {
+        now: () => now,
+        // Number of timers waiting to fire
+        pending: () => timers.length,
+        /**
+         * Moves time forward, firing due timers in order and flushing promises between them
+         * @param {number} ms - Milliseconds to advance
+         */
+        tick: async function(ms) {
+            const target = now + ms;
+            await flushMicrotasks();
+            for (;;) {
+                const due = timers
+                    .filter(timer => timer.at <= target)
+                    .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+                if (!due) break;
+                cancel(due.id);
+                // Timers overdue after block() fire late, at the current time
+                now = Math.max(now, due.at);
+                due.callback(...due.args);
+                await flushMicrotasks();
+            }
+            now = target;
+            await flushMicrotasks();
+        },
+        /**
+         * Simulates a busy main thread: time passes but nothing fires until the next tick
+         * @param {number} ms - Milliseconds the thread is blocked
+         */
+        block: function(ms) {
+            now += ms;
+        },
+        // Fires timers until none are left (or a safety limit is reached)
+        runAll: async function(limit = 1000) {
+            for (let i = 0; i < limit && timers.length > 0; i++) {
+                const next = timers.reduce((a, b) => (a.at <= b.at ? a : b));
+                await clock.tick(next.at - now);
+            }
+        },
+        uninstall: function() {
+            Date.now = originals.now;
+            globalThis.setTimeout = originals.setTimeout;
+            globalThis.clearTimeout = originals.clearTimeout;
+            if (originals.requestAnimationFrame) {
+                globalThis.requestAnimationFrame = originals.requestAnimationFrame;
+                globalThis.cancelAnimationFrame = originals.cancelAnimationFrame;
+            } else {
+                delete globalThis.requestAnimationFrame;
+                delete globalThis.cancelAnimationFrame;
+            }
+        }
+    };
+
+    return clock;
+}
+
+module.exports = {
+    installFakeClock,
+    flushMicrotasks
+};
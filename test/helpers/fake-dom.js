@@ -0,0 +1,504 @@
+/* =============================================
+   FAKE DOM FOR NODE TESTS
+   A small stand-in for the browser APIs script.js uses:
+   elements with classList/style/dataset, events with bubbling,
+   simple selectors (tag, #id, .class, [attr], [attr="value"], :not())
+   joined by descendant combinators
+============================================= */
+
+/**
+ * Minimal Event with bubbling and propagation control
+ */
+class FakeEvent {
+    constructor(type, init = {}) {
+        this.type = type;
+        this.bubbles = init.bubbles ?? false;
+        this.target = null;
+        this.currentTarget = null;
+        this.defaultPrevented = false;
+        this.propagationStopped = false;
+        Object.assign(this, init);
+    }
+
+    preventDefault() {
+        this.defaultPrevented = true;
+    }
+
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+
+    stopImmediatePropagation() {
+        this.propagationStopped = true;
+        this.immediatePropagationStopped = true;
+    }
+}
+
+/**
+ * Event target shared by elements, the document and the window
+ */
+class FakeEventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener, options = {}) {
+        if (!this.listeners[type]) this.listeners[type] = [];
+        if (this.listeners[type].some(entry => entry.listener === listener)) return;
+        this.listeners[type].push({
+            listener,
+            once: Boolean(options && options.once),
+            capture: options === true || Boolean(options && options.capture)
+        });
+    }
+
+    removeEventListener(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(entry => entry.listener !== listener);
+    }
+
+    listenerCount(type) {
+        return (this.listeners[type] || []).length;
+    }
+
+    dispatchEvent(event) {
+        if (!event.target) event.target = this;
+        let node = this;
+        while (node) {
+            event.currentTarget = node;
+            // Capture listeners first (a simplification of the capture phase)
+            const entries = (node.listeners[event.type] || []).slice()
+                .sort((a, b) => Number(b.capture) - Number(a.capture));
+            for (const entry of entries) {
+                if (entry.once) node.removeEventListener(event.type, entry.listener);
+                entry.listener.call(node, event);
+                if (event.immediatePropagationStopped) return !event.defaultPrevented;
+            }
+            if (!event.bubbles || event.propagationStopped) break;
+            // Events bubble from <html> up to the document
+            node = node.parentNode || (node === node.ownerDocument?.documentElement ? node.ownerDocument : null);
+        }
+        return !event.defaultPrevented;
+    }
+}
+
+/**
+ * Inline style object with the CSSStyleDeclaration methods script.js uses
+ */
+class FakeStyle {
+    setProperty(name, value) {
+        this[name] = String(value);
+    }
+
+    getPropertyValue(name) {
+        return this[name] ?? '';
+    }
+
+    removeProperty(name) {
+        const value = this[name];
+        delete this[name];
+        return value ?? '';
+    }
+}
+
+function toDataAttribute(key) {
+    return `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Parses one compound selector such as `button.btn[data-x="1"]:not([disabled])`
+ * @param {string} selector - Selector without combinators
+ * @returns {Function} Predicate taking an element
+ */
+function compileSelector(selector) {
+    const tests = [];
+    const pattern = /:not\(([^)]*\)?)\)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]|^([\w-]+|\*)/g;
+    let match;
+    while ((match = pattern.exec(selector.trim())) !== null) {
+        const [, not, id, className, attr, value, tag] = match;
+        if (not !== undefined) {
+            const inner = compileSelector(not);
+            tests.push(element => !inner(element));
+        } else if (id) {
+            tests.push(element => element.id === id);
+        } else if (className) {
+            tests.push(element => element.classList.contains(className));
+        } else if (attr) {
+            tests.push(element => element.hasAttribute(attr) &&
+                (value === undefined || element.getAttribute(attr) === value));
+        } else if (tag && tag !== '*') {
+            tests.push(element => element.tagName === tag.toUpperCase());
+        }
+    }
+    return element => tests.every(test => test(element));
+}
+
+/**
+ * Matches a selector list; descendant combinators (spaces) are supported
+ * @param {FakeElement} element - Element to test
+ * @param {string} selectors - Comma-separated selectors
+ * @returns {boolean} Whether any selector matches
+ */
+function matchesSelector(element, selectors) {
+    return selectors.split(',').some(selector => {
+        // Spaces inside [attr="a b"] or :not(...) don't separate compounds
+        const parts = selector.trim().match(/(?:[^\s[("]|\[[^\]]*\]|\([^)]*\)|"[^"]*")+/g) || [];
+        const tests = parts.map(compileSelector);
+        if (!tests.pop()(element)) return false;
+        let node = element.parentNode;
+        while (tests.length > 0 && node && node.nodeType === 1) {
+            if (tests[tests.length - 1](node)) tests.pop();
+            node = node.parentNode;
+        }
+        return tests.length === 0;
+    });
+}
+
+/**
+ * Minimal element: tree, attributes, classes, style, dataset and events
+ */
+class FakeElement extends FakeEventTarget {
+    constructor(tagName = 'div', ownerDocument = null) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.nodeType = 1;
+        this.ownerDocument = ownerDocument;
+        this.children = [];
+        this.parentNode = null;
+        this.attributes = {};
+        this.style = new FakeStyle();
+        this.scrollTop = 0;
+        this.scrollHeight = 0;
+        this.value = '';
+        this.ownText = '';
+
+        const element = this;
+        const classes = () => (element.attributes.class || '').split(/\s+/).filter(Boolean);
+        const setClasses = list => {
+            element.attributes.class = list.join(' ');
+        };
+        this.classList = {
+            add: (...names) => setClasses([...new Set([...classes(), ...names])]),
+            remove: (...names) => setClasses(classes().filter(name => !names.includes(name))),
+            contains: name => classes().includes(name),
+            toggle: (name, force) => {
+                const shouldHave = force === undefined ? !classes().includes(name) : Boolean(force);
+                if (shouldHave) {
+                    element.classList.add(name);
+                } else {
+                    element.classList.remove(name);
+                }
+                return shouldHave;
+            },
+            get length() {
+                return classes().length;
+            },
+            toString: () => element.attributes.class || ''
+        };
+
+        this.dataset = new Proxy({}, {
+            get: (target, key) => typeof key === 'string' ? element.getAttribute(toDataAttribute(key)) ?? undefined : undefined,
+            set: (target, key, value) => {
+                element.setAttribute(toDataAttribute(key), value);
+                return true;
+            },
+            deleteProperty: (target, key) => {
+                element.removeAttribute(toDataAttribute(key));
+                return true;
+            },
+            has: (target, key) => element.hasAttribute(toDataAttribute(key)),
+            ownKeys: () => Object.keys(element.attributes)
+                .filter(name => name.startsWith('data-'))
+                .map(name => name.slice(5).replace(/-([a-z])/g, (all, letter) => letter.toUpperCase())),
+            getOwnPropertyDescriptor: () => ({ enumerable: true, configurable: true })
+        });
+    }
+
+    get id() {
+        return this.attributes.id || '';
+    }
+
+    set id(value) {
+        this.attributes.id = String(value);
+    }
+
+    get className() {
+        return this.attributes.class || '';
+    }
+
+    set className(value) {
+        this.attributes.class = String(value);
+    }
+
+    get textContent() {
+        return this.ownText + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.children.forEach(child => {
+            child.parentNode = null;
+        });
+        this.children = [];
+        this.ownText = String(value);
+    }
+
+    set innerHTML(value) {
+        this.textContent = value;
+    }
+
+    get innerHTML() {
+        return this.textContent;
+    }
+
+    get offsetWidth() {
+        return 0;
+    }
+
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return Boolean(this.ownerDocument) && node === this.ownerDocument.documentElement;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    hasAttribute(name) {
+        return name in this.attributes;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    appendChild(child) {
+        if (child.parentNode) child.remove();
+        child.parentNode = this;
+        this.children.push(child);
+        this.ownerDocument?.notifyMutation({ type: 'childList', target: this, addedNodes: [child], removedNodes: [] });
+        return child;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(node));
+    }
+
+    insertBefore(child, reference) {
+        if (!reference) return this.appendChild(child);
+        if (child.parentNode) child.remove();
+        child.parentNode = this;
+        this.children.splice(this.children.indexOf(reference), 0, child);
+        return child;
+    }
+
+    prepend(child) {
+        return this.insertBefore(child, this.children[0] || null);
+    }
+
+    removeChild(child) {
+        child.remove();
+        return child;
+    }
+
+    remove() {
+        const parent = this.parentNode;
+        if (!parent) return;
+        parent.children = parent.children.filter(child => child !== this);
+        this.parentNode = null;
+        this.ownerDocument?.notifyMutation({ type: 'childList', target: parent, addedNodes: [], removedNodes: [this] });
+    }
+
+    contains(node) {
+        while (node) {
+            if (node === this) return true;
+            node = node.parentNode;
+        }
+        return false;
+    }
+
+    matches(selector) {
+        return matchesSelector(this, selector);
+    }
+
+    closest(selector) {
+        let node = this;
+        while (node && node.nodeType === 1) {
+            if (node.matches(selector)) return node;
+            node = node.parentNode;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const found = [];
+        const visit = element => {
+            element.children.forEach(child => {
+                if (child.matches(selector)) found.push(child);
+                visit(child);
+            });
+        };
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    focus() {
+        if (this.ownerDocument) this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument && this.ownerDocument.activeElement === this) {
+            this.ownerDocument.activeElement = this.ownerDocument.body;
+        }
+    }
+
+    click() {
+        this.dispatchEvent(new FakeEvent('click', { bubbles: true }));
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+    }
+}
+
+/**
+ * Minimal document with a <html><head><body> tree
+ */
+class FakeDocument extends FakeEventTarget {
+    constructor() {
+        super();
+        this.mutationObservers = [];
+        this.documentElement = new FakeElement('html', this);
+        this.head = new FakeElement('head', this);
+        this.body = new FakeElement('body', this);
+        this.documentElement.append(this.head, this.body);
+        this.activeElement = this.body;
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName, this);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+
+    notifyMutation(record) {
+        this.mutationObservers.forEach(observer => observer.record(record));
+    }
+}
+
+/**
+ * Creates an element tree from a compact description
+ * @param {FakeDocument} document - Owner document
+ * @param {string} tagName - Tag name
+ * @param {Object} attributes - Attributes (id, class, data-*...)
+ * @param {Array} children - Child elements or text
+ * @returns {FakeElement} The new element
+ */
+function h(document, tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    children.forEach(child => {
+        if (typeof child === 'string') {
+            element.ownText += child;
+        } else {
+            element.appendChild(child);
+        }
+    });
+    return element;
+}
+
+/**
+ * Installs a fresh fake DOM on the global object
+ * @param {Object} options - { reducedMotion } sets what matchMedia reports
+ * @returns {Object} { document, window, h, restore }
+ */
+function installFakeDom(options = {}) {
+    const names = ['document', 'window', 'getComputedStyle', 'MutationObserver', 'IntersectionObserver'];
+    const previous = {};
+    names.forEach(name => {
+        previous[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+    });
+
+    const document = new FakeDocument();
+    const window = new FakeEventTarget();
+    window.innerHeight = 800;
+    window.innerWidth = 1200;
+    window.matchMedia = query => ({
+        media: query,
+        matches: Boolean(options.reducedMotion) && query.includes('reduce'),
+        addEventListener() {},
+        removeEventListener() {}
+    });
+
+    class FakeMutationObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.target = null;
+        }
+
+        observe(target) {
+            this.target = target;
+            document.mutationObservers.push(this);
+        }
+
+        record(mutation) {
+            if (this.target && this.target.contains(mutation.target)) {
+                this.callback([mutation], this);
+            }
+        }
+
+        disconnect() {
+            document.mutationObservers = document.mutationObservers.filter(observer => observer !== this);
+        }
+    }
+
+    globalThis.document = document;
+    globalThis.window = window;
+    globalThis.getComputedStyle = element => element.style;
+    globalThis.MutationObserver = FakeMutationObserver;
+    delete globalThis.IntersectionObserver;
+
+    return {
+        document,
+        window,
+        h: (...args) => h(document, ...args),
+        restore: function() {
+            names.forEach(name => {
+                if (previous[name]) {
+                    Object.defineProperty(globalThis, name, previous[name]);
+                } else {
+                    delete globalThis[name];
+                }
+            });
+        }
+    };
+}
+
+module.exports = {
+    FakeEvent,
+    FakeElement,
+    FakeDocument,
+    installFakeDom
+};
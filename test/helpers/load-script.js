@@ -0,0 +1,36 @@
+/* =============================================
+   Loads a fresh copy of script.js on top of the fake DOM and clock,
+   so module-level state (registry, log, counters) never leaks between tests
+============================================= */
+
+const path = require('node:path');
+const { installFakeDom } = require('./fake-dom');
+const { installFakeClock } = require('./fake-clock');
+
+const SCRIPT_PATH = path.resolve(__dirname, '..', '..', 'script.js');
+
+/**
+ * Installs the fakes and requires script.js
+ * @param {Object} options - Passed to installFakeDom (e.g. { reducedMotion: true })
+ * @returns {Object} { script, dom, clock, cleanup }
+ */
+function loadScript(options = {}) {
+    const dom = installFakeDom(options);
+    const clock = installFakeClock();
+
+    delete require.cache[SCRIPT_PATH];
+    const script = require(SCRIPT_PATH);
+
+    return {
+        script,
+        dom,
+        clock,
+        cleanup: function() {
+            clock.uninstall();
+            dom.restore();
+            delete require.cache[SCRIPT_PATH];
+        }
+    };
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,132 @@
+/* =============================================
+   TESTS FOR INTERNATIONALIZATION
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom } = env);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+describe('createI18n', () => {
+    it('interpolates params and formats numbers for the locale', () => {
+        const i18n = script.createI18n({ locale: 'en' });
+        assert.equal(i18n.t('demo.rectangleArea', { width: 5, height: 3, area: 15 }), 'Rectangle area: 5 × 3 = 15');
+        assert.equal(i18n.t('demo.counter', { value: 1500 }), 'Global counter: 1,500');
+        assert.equal(i18n.t('demo.counter'), 'Global counter: {value}');
+
+        i18n.setLocale('ar');
+        // Arabic digits depend on the ICU data Node ships with
+        assert.equal(i18n.t('demo.counter', { value: 12 }), `العدّاد العام: ${new Intl.NumberFormat('ar').format(12)}`);
+    });
+
+    it('picks plural forms with the locale\'s rules', () => {
+        const i18n = script.createI18n({ locale: 'en' });
+        assert.equal(i18n.t('demo.valid', { input: 'hi', count: 1 }), 'Valid: "hi" → 1 word');
+        assert.equal(i18n.t('demo.valid', { input: 'hi there', count: 2 }), 'Valid: "hi there" → 2 words');
+
+        i18n.setLocale('ar');
+        assert.equal(i18n.t('session.recorded', { count: 2 }), 'تم تسجيل إجراءين');
+        assert.equal(i18n.t('session.recorded', { count: 3 }), `تم تسجيل ${i18n.formatNumber(3)} إجراءات`);
+        assert.equal(i18n.t('session.recorded', { count: 11 }), `تم تسجيل ${i18n.formatNumber(11)} إجراءً`);
+    });
+
+    it('falls back to the language, then to English, then to the key', (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        const i18n = script.createI18n({ locale: 'es-MX' });
+        assert.equal(i18n.getLocale(), 'es');
+
+        assert.equal(i18n.t('demo.counter', { value: 2 }), 'Contador global: 2');
+        assert.equal(script.createI18n({ locale: 'es', catalogs: { en: { only: 'English' }, es: {} } }).t('only'), 'English');
+
+        assert.equal(i18n.t('nope.missing'), 'nope.missing');
+        assert.match(error.mock.calls[0].arguments[0], /Missing message 'nope.missing'/);
+    });
+
+    it('switches locale at runtime and notifies subscribers', (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        const i18n = script.createI18n({ locale: 'en' });
+        const seen = [];
+        i18n.subscribe(locale => seen.push(locale));
+
+        assert.equal(i18n.setLocale('ES'), 'es');
+        assert.equal(i18n.setLocale('es'), 'es');
+        assert.equal(i18n.setLocale('tlh'), 'es');
+        assert.deepEqual(seen, ['es']);
+        assert.equal(error.mock.callCount(), 1);
+        assert.deepEqual(i18n.list().map(item => [item.locale, item.direction]), [['en', 'ltr'], ['es', 'ltr'], ['ar', 'rtl']]);
+    });
+
+    it('adds new locales and regional overrides, and validates catalogs', () => {
+        const i18n = script.createI18n({ locale: 'en' });
+        assert.equal(i18n.addMessages('es-MX', { 'loader.shown': 'Cargador visible' }).success, true);
+        assert.equal(i18n.addMessages('fr', { 'locale.name': 'Français', 'demo.valid': { one: '{count} mot', other: '{count} mots' } }).success, true);
+
+        i18n.setLocale('es-mx');
+        assert.equal(i18n.getLocale(), 'es-MX');
+        assert.equal(i18n.t('loader.shown'), 'Cargador visible');
+        assert.equal(i18n.t('loader.hidden'), 'Loader hidden');
+
+        i18n.setLocale('fr-CA');
+        assert.equal(i18n.t('demo.valid', { count: 0 }), '0 mot');
+
+        assert.deepEqual(i18n.addMessages('not a locale!', { a: { one: 'x' } }).errors.map(error => error.code), ['invalidLocale', 'invalidMessage']);
+        assert.equal(i18n.addMessages('de', null).errors[0].code, 'invalidMessages');
+    });
+});
+
+describe('translated demo output', () => {
+    it('greets, validates and formats times in the active locale', () => {
+        script.i18n.setLocale('es');
+        assert.equal(script.createGreeting('Ana', 'morning', 'amazing'), '¡Buenos días, Ana! Espero que tengas una mañana increíble.');
+        assert.equal(script.createGreeting(), '¡Hola, Invitado! Espero que tengas un día excelente.');
+        assert.equal(script.validateAndProcessInput('').error, 'La entrada no puede estar vacía');
+        assert.equal(script.validateAndProcessInput('abcdef', 5).error, 'La entrada supera el máximo de 5 caracteres');
+
+        const date = new Date(Date.UTC(2024, 0, 1, 15, 30));
+        script.i18n.setLocale('ar');
+        assert.equal(script.formatMessage('hi', 'info', date), `ℹ️ [${date.toLocaleTimeString('ar')}] hi`);
+    });
+
+    it('keeps the English output unchanged by default', () => {
+        assert.equal(script.createGreeting('Bob', 'evening', 'night-owl'), 'Good evening, Bob! I hope you\'re having a night-owl evening.');
+        assert.equal(script.createGreeting('Bob', 'night'), 'Hello, Bob! I hope you\'re having a great night.');
+    });
+
+    it('lays the result panels out right to left for RTL locales', () => {
+        const panel = dom.h('div', { id: 'functionResults' });
+        dom.document.body.appendChild(panel);
+
+        script.i18n.setLocale('ar');
+        assert.equal(panel.getAttribute('dir'), 'rtl');
+        assert.equal(panel.getAttribute('lang'), 'ar');
+
+        script.displayResult(script.i18n.t('demo.counter', { value: 3 }));
+        assert.equal(panel.querySelector('.result-message').getAttribute('dir'), 'auto');
+
+        script.i18n.setLocale('en');
+        assert.equal(panel.getAttribute('dir'), 'ltr');
+    });
+
+    it('saves and restores the locale with the demo state', () => {
+        script.i18n.setLocale('ar');
+        const state = script.captureDemoState({ includeLogs: false });
+        assert.equal(state.locale, 'ar');
+
+        script.i18n.setLocale('en');
+        script.applyDemoState(state);
+        assert.equal(script.i18n.getLocale(), 'ar');
+    });
+});
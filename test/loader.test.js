@@ -0,0 +1,177 @@
+/* =============================================
+   TESTS FOR THE LOADER MANAGER AND withLoader
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let container;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    container = dom.h('div', { id: 'loaderContainer' }, [
+        dom.h('div', { class: 'loader' }),
+        dom.h('p', { class: 'loading-text' }, ['Loading...'])
+    ]);
+    container.style.display = 'none';
+    dom.document.body.appendChild(container);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+// Promise the test settles by hand
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+describe('withLoader', () => {
+    it('never shows the loader for operations faster than the delay', async () => {
+        const work = deferred();
+        const result = script.withLoader('loaderContainer', work.promise, { delay: 200 });
+
+        await clock.tick(150);
+        work.resolve('data');
+        assert.equal(await result, 'data');
+
+        await clock.tick(100);
+        assert.equal(container.style.display, 'none');
+    });
+
+    it('keeps a shown loader up for minDuration', async () => {
+        const work = deferred();
+        const result = script.withLoader('loaderContainer', work.promise, { delay: 100, minDuration: 500 });
+
+        await clock.tick(100);
+        assert.equal(container.style.display, 'block');
+        assert.equal(container.getAttribute('aria-busy'), 'true');
+
+        work.resolve();
+        await result;
+        await clock.tick(400);
+        assert.equal(container.style.display, 'block');
+        await clock.tick(100);
+        assert.equal(container.style.display, 'none');
+    });
+
+    it('shares one loader between overlapping tasks', async () => {
+        const first = deferred();
+        const second = deferred();
+        script.withLoader('loaderContainer', first.promise, { delay: 0, minDuration: 0 });
+        script.withLoader('loaderContainer', second.promise, { delay: 0, minDuration: 0, message: 'Saving...' });
+
+        assert.equal(script.loaderManager.getTaskCount('loaderContainer'), 2);
+        assert.equal(container.querySelector('.loading-text').textContent, 'Saving...');
+
+        first.resolve();
+        await clock.tick(0);
+        assert.equal(container.style.display, 'block');
+
+        second.resolve();
+        await clock.tick(0);
+        assert.equal(container.style.display, 'none');
+    });
+
+    it('averages reported progress into the bar', async () => {
+        const work = deferred();
+        let loaderTask;
+        script.withLoader('loaderContainer', task => {
+            loaderTask = task;
+            return work.promise;
+        }, { delay: 0 });
+        const other = script.loaderManager.start('loaderContainer');
+        await clock.tick(0);
+
+        assert.equal(script.loaderManager.getProgress('loaderContainer'), null);
+        loaderTask.setProgress(40);
+        other.setProgress(140);
+
+        const bar = container.querySelector('.loader-progress .progress-bar');
+        assert.equal(script.loaderManager.getProgress('loaderContainer'), 70);
+        assert.equal(bar.style.width, '70%');
+        assert.equal(bar.getAttribute('aria-valuenow'), '70');
+        assert.equal(container.classList.contains('is-determinate'), true);
+    });
+
+    it('rejects with an AbortError when cancelled and exposes the abort to the operation', async () => {
+        let signal;
+        const result = script.withLoader('loaderContainer', task => {
+            signal = task.signal;
+            return new Promise(() => {});
+        }, { delay: 0, minDuration: 0 });
+        await clock.tick(0);
+
+        assert.equal(script.loaderManager.cancel('loaderContainer'), 1);
+        await assert.rejects(result, { name: 'AbortError' });
+        assert.equal(signal.aborted, true);
+        assert.equal(container.style.display, 'none');
+    });
+
+    it('follows an external AbortSignal', async () => {
+        const controller = new AbortController();
+        const result = script.withLoader('loaderContainer', new Promise(() => {}), { signal: controller.signal });
+
+        controller.abort();
+        await assert.rejects(result, { name: 'AbortError' });
+        assert.equal(script.loaderManager.getTaskCount('loaderContainer'), 0);
+    });
+
+    it('passes operation errors through', async () => {
+        const result = script.withLoader('loaderContainer', Promise.reject(new Error('offline')), { delay: 0, minDuration: 0 });
+        await assert.rejects(result, /offline/);
+        assert.equal(container.style.display, 'none');
+    });
+
+    it('rejects when the operation throws and the container is missing', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        let result;
+        assert.doesNotThrow(() => {
+            result = script.withLoader('missing', task => {
+                assert.equal(task, null);
+                throw new Error('boom');
+            });
+        });
+        await assert.rejects(result, /boom/);
+    });
+});
+
+describe('toggleLoader', () => {
+    it('shows and hides the loader and reports the new state', () => {
+        assert.equal(script.loaderManager.isVisible('loaderContainer'), false);
+        assert.equal(script.toggleLoader('loaderContainer', true, 'Processing...'), true);
+        assert.equal(container.querySelector('.loading-text').textContent, 'Processing...');
+        assert.equal(script.toggleLoader('loaderContainer', false), false);
+    });
+
+    it('reads a stylesheet-hidden loader as hidden', () => {
+        container.style.display = '';
+        const realGetComputedStyle = globalThis.getComputedStyle;
+        globalThis.getComputedStyle = () => ({ display: 'none' });
+        try {
+            assert.equal(script.loaderManager.isVisible('loaderContainer'), false);
+        } finally {
+            globalThis.getComputedStyle = realGetComputedStyle;
+        }
+    });
+
+    it('stays visible while a withLoader task is still running', async () => {
+        script.toggleLoader('loaderContainer', true);
+        script.withLoader('loaderContainer', new Promise(() => {}), { delay: 0 });
+
+        assert.equal(script.toggleLoader('loaderContainer', false), true);
+    });
+});
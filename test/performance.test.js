@@ -0,0 +1,153 @@
+/* =============================================
+   TESTS FOR THE PERFORMANCE MONITOR
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+function addElement(id, attributes = {}) {
+    const element = dom.h('div', { id, ...attributes });
+    dom.document.body.appendChild(element);
+    return element;
+}
+
+describe('classifyAnimatedProperty', () => {
+    it('separates compositor, layout and paint properties', () => {
+        assert.equal(script.classifyAnimatedProperty('transform'), 'composite');
+        assert.equal(script.classifyAnimatedProperty('opacity'), 'composite');
+        assert.equal(script.classifyAnimatedProperty('width'), 'layout');
+        assert.equal(script.classifyAnimatedProperty('marginLeft'), 'layout');
+        assert.equal(script.classifyAnimatedProperty('border-top-width'), 'layout');
+        assert.equal(script.classifyAnimatedProperty('boxShadow'), 'paint');
+        assert.equal(script.classifyAnimatedProperty('background-color'), 'paint');
+    });
+});
+
+describe('createPerformanceMonitor', () => {
+    it('measures frame rate and flags long frames with what was running', async () => {
+        addElement('animationBox');
+        const monitor = script.createPerformanceMonitor();
+        monitor.start();
+        script.toggleAnimation('animationBox', 'pulse-animation');
+
+        await clock.tick(160);
+        clock.block(80);
+        await clock.tick(16);
+
+        // 9 frames measured between the first 10 callbacks, then the blocked one and one more
+        const metrics = monitor.getMetrics();
+        assert.equal(metrics.frames, 11);
+        assert.equal(metrics.frameTime.worst, 80);
+        assert.equal(metrics.longFrames.count, 1);
+        assert.equal(metrics.droppedFrames, 4);
+        assert.deepEqual(metrics.longFrames.recent[0].animations, ['#animationBox pulse-animation']);
+        assert.ok(metrics.fps > 40 && metrics.fps < 60);
+        monitor.stop();
+    });
+
+    it('ignores the gap while frames were paused', async () => {
+        const monitor = script.createPerformanceMonitor();
+        monitor.start();
+        await clock.tick(48);
+        clock.block(5000);
+        await clock.tick(32);
+
+        const metrics = monitor.getMetrics();
+        assert.equal(metrics.longFrames.count, 0);
+        assert.equal(metrics.frameTime.worst, 16);
+        monitor.stop();
+    });
+
+    it('reports running animations per element and warns about layout properties', async () => {
+        const box = addElement('animationBox');
+        script.animateSpring(box, { x: 100, width: 200 });
+        script.changeColorWithTransition(addElement('colorBox').id, 'red', 500);
+
+        const metrics = script.createPerformanceMonitor().getMetrics();
+        assert.equal(metrics.activeAnimations, 2);
+        assert.deepEqual(metrics.running.map(item => item.element), ['#animationBox', '#colorBox']);
+        assert.deepEqual(metrics.running[0].properties, [
+            { name: 'transform', cost: 'composite' },
+            { name: 'width', cost: 'layout' }
+        ]);
+        assert.deepEqual(metrics.running[1].properties, [{ name: 'background-color', cost: 'paint' }]);
+        assert.deepEqual(metrics.warnings.map(warning => warning.property), ['width']);
+    });
+
+    it('exports metrics as JSON and notifies subscribers while running', async () => {
+        const monitor = script.createPerformanceMonitor({ reportInterval: 100 });
+        const reports = [];
+        monitor.subscribe(metrics => reports.push(metrics.frames));
+        monitor.start();
+        await clock.tick(320);
+        monitor.stop();
+
+        assert.ok(reports.length >= 2);
+        const exported = JSON.parse(monitor.export());
+        assert.equal(exported.frames, 19);
+        assert.equal(exported.longFrames.threshold, 50);
+
+        await clock.tick(100);
+        assert.equal(monitor.getMetrics().frames, 19);
+        monitor.reset();
+        assert.equal(monitor.getMetrics().frames, 0);
+    });
+});
+
+describe('togglePerformanceOverlay', () => {
+    it('is opt-in and starts the shared monitor only while shown', async () => {
+        addElement('animationBox');
+        assert.equal(script.performanceMonitor.isRunning(), false);
+
+        assert.equal(script.togglePerformanceOverlay(), true);
+        assert.equal(script.performanceMonitor.isRunning(), true);
+        script.toggleAnimation('animationBox', 'active');
+        await clock.tick(600);
+
+        const overlay = dom.document.getElementById('performanceOverlay');
+        assert.match(overlay.querySelector('.performance-summary').textContent, /fps/);
+        assert.equal(overlay.querySelector('.performance-animations').textContent, '#animationBox: active');
+
+        assert.equal(script.togglePerformanceOverlay(), false);
+        assert.equal(dom.document.getElementById('performanceOverlay'), null);
+        assert.equal(script.performanceMonitor.isRunning(), false);
+    });
+
+    it('follows the active locale', () => {
+        script.togglePerformanceOverlay(true);
+        const overlay = dom.document.getElementById('performanceOverlay');
+        assert.equal(overlay.getAttribute('aria-label'), 'Animation performance');
+        assert.match(overlay.querySelector('.performance-summary').textContent, /0 long frames/);
+
+        script.i18n.setLocale('es');
+        assert.equal(overlay.getAttribute('aria-label'), 'Rendimiento de las animaciones');
+        assert.equal(overlay.querySelector('button').textContent, 'Exportar JSON');
+        assert.match(overlay.querySelector('.performance-summary').textContent, /0 fotogramas largos/);
+        script.togglePerformanceOverlay(false);
+    });
+
+    it('keeps the toggle button pressed state in sync', () => {
+        const button = addElement('togglePerformance', { 'aria-pressed': 'false' });
+
+        script.togglePerformanceOverlay(true);
+        assert.equal(button.getAttribute('aria-pressed'), 'true');
+        script.togglePerformanceOverlay();
+        assert.equal(button.getAttribute('aria-pressed'), 'false');
+    });
+});
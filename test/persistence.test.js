@@ -0,0 +1,181 @@
+/* =============================================
+   TESTS FOR STATE PERSISTENCE AND SHARE LINKS
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let storage;
+
+/**
+ * In-memory Storage with the methods the store uses
+ * @returns {Object} Storage-like object
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        items
+    };
+}
+
+function buildDemo() {
+    const { h, document } = dom;
+    document.body.append(
+        h('div', { id: 'colorBox' }),
+        h('div', { class: 'card' }),
+        h('div', { id: 'jsAnimationBox' }),
+        h('div', { id: 'functionResults' }),
+        h('div', { id: 'animationResults' })
+    );
+}
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    storage = createMemoryStorage();
+    buildDemo();
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+describe('migrateState', () => {
+    it('runs migrations in order up to the target version', () => {
+        const migrations = {
+            1: data => ({ ...data, version: 2, color: data.colour, colour: undefined }),
+            2: data => ({ ...data, version: 3, counter: data.counter ?? 0 })
+        };
+        const migrated = script.migrateState({ version: 1, colour: '#ff0000' }, 3, migrations);
+        assert.equal(migrated.version, 3);
+        assert.equal(migrated.color, '#ff0000');
+        assert.equal(migrated.counter, 0);
+    });
+
+    it('treats unversioned data as version 1', () => {
+        assert.deepEqual(script.migrateState({ counter: 4 }), { counter: 4, version: 1 });
+    });
+
+    it('discards data it cannot migrate or that is from a newer schema', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(script.migrateState({ version: 1 }, 3, {}), null);
+        assert.equal(script.migrateState({ version: 9 }), null);
+        assert.equal(script.migrateState('nope'), null);
+    });
+});
+
+describe('createStateStore', () => {
+    it('saves with the schema version and loads it back', () => {
+        const store = script.createStateStore({ storage, key: 'demo' });
+        assert.equal(store.save({ counter: 3 }), true);
+        assert.deepEqual(JSON.parse(storage.items.get('demo')), { counter: 3, version: 1 });
+        assert.deepEqual(store.load(), { counter: 3, version: 1 });
+
+        store.clear();
+        assert.equal(store.load(), null);
+    });
+
+    it('survives storage that throws or holds corrupt data', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const broken = {
+            getItem: () => '{not json',
+            setItem: () => {
+                throw new Error('QuotaExceededError');
+            },
+            removeItem: () => {}
+        };
+        const store = script.createStateStore({ storage: broken });
+        assert.equal(store.load(), null);
+        assert.equal(store.save({ counter: 1 }), false);
+    });
+});
+
+describe('captureDemoState and applyDemoState', () => {
+    it('round-trips the counter, color, card, toggle and logs', () => {
+        script.updateCounter(5);
+        dom.document.getElementById('colorBox').style.backgroundColor = 'rgb(255, 107, 107)';
+        dom.document.querySelector('.card').classList.add('flipped');
+        script.toggleAnimation('jsAnimationBox', 'active');
+        script.displayResult('Counter bumped', 'functionResults', 'success', { payload: { by: 5 } });
+        script.displayResult('Box on', 'animationResults');
+
+        const state = script.captureDemoState();
+        assert.equal(state.counter, 5);
+        assert.equal(state.color, '#ff6b6b');
+        assert.equal(state.cardFlipped, true);
+        assert.equal(state.boxActive, true);
+        assert.equal(state.logs.functionResults[0].message, 'Counter bumped');
+
+        // A fresh page gets everything back
+        env.cleanup();
+        env = loadScript();
+        ({ script, dom, clock } = env);
+        buildDemo();
+
+        script.applyDemoState(JSON.parse(JSON.stringify(state)));
+        assert.equal(script.updateCounter(0), 5);
+        assert.equal(dom.document.getElementById('colorBox').style.backgroundColor, '#ff6b6b');
+        assert.equal(dom.document.querySelector('.card').classList.contains('flipped'), true);
+        assert.equal(dom.document.getElementById('jsAnimationBox').classList.contains('active'), true);
+        assert.equal(script.globalAnimationState.activeAnimations, 1);
+
+        const [entry] = script.resultLog.getEntries({ panel: 'functionResults' });
+        assert.equal(entry.message, 'Counter bumped');
+        assert.equal(entry.timestamp, state.logs.functionResults[0].timestamp);
+        assert.deepEqual(entry.payload, { by: 5 });
+    });
+});
+
+describe('URL hash sharing', () => {
+    it('serializes the configuration without logs and reads it back', () => {
+        script.updateCounter(2);
+        const hash = script.serializeStateToHash(script.captureDemoState());
+        assert.match(hash, /^#state=/);
+
+        const parsed = script.parseStateFromHash(hash);
+        assert.equal(parsed.counter, 2);
+        assert.equal(parsed.logs, undefined);
+    });
+
+    it('ignores missing or malformed hashes', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(script.parseStateFromHash(''), null);
+        assert.equal(script.parseStateFromHash('#state=%7Bbad'), null);
+    });
+});
+
+describe('initStatePersistence', () => {
+    afterEach(() => {
+        delete globalThis.location;
+    });
+
+    it('restores saved state, lets a shared link override it, and saves after changes', async () => {
+        const store = script.createStateStore({ storage });
+        store.save({ counter: 7, cardFlipped: true, logs: {} });
+        globalThis.location = { hash: '#state=' + encodeURIComponent('{"version":1,"counter":1}'), href: 'http://demo/#x' };
+
+        const persistence = script.initStatePersistence({ store, debounce: 100 });
+        assert.equal(script.updateCounter(0), 1);
+        assert.equal(dom.document.querySelector('.card').classList.contains('flipped'), true);
+
+        script.updateCounter(4);
+        script.displayResult('Global counter: 5');
+        await clock.tick(99);
+        assert.equal(store.load().counter, 7);
+        await clock.tick(1);
+        assert.equal(store.load().counter, 5);
+        assert.equal(store.load().logs.functionResults.length, 1);
+
+        assert.match(persistence.getShareUrl(), /^http:\/\/demo\/#state=/);
+        persistence.disconnect();
+    });
+});
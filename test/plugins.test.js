@@ -0,0 +1,170 @@
+/* =============================================
+   TESTS FOR THE ANIMATION PLUGIN API
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let box;
+
+const swing = {
+    keyframes: [
+        { transform: 'rotate(0deg)' },
+        { transform: 'rotate(15deg)' },
+        { transform: 'rotate(0deg)' }
+    ],
+    duration: 600,
+    easing: 'ease-in-out'
+};
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    box = dom.h('div', { id: 'animationBox' });
+    dom.document.body.append(box, dom.h('div', { id: 'animationResults' }));
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+describe('registerAnimation', () => {
+    it('injects CSS with evenly spread keyframes and adds the type to the random pool', () => {
+        const result = script.registerAnimation('swing', { ...swing, category: 'attention', weight: 3 });
+        assert.equal(result.success, true);
+
+        const css = dom.document.head.querySelector('style[data-animation="swing"]').textContent;
+        assert.match(css, /50% \{ transform: rotate\(15deg\); \}/);
+        assert.match(css, /\.swing-animation \{\n {4}animation: swing 600ms ease-in-out 0ms 1 normal both;/);
+        assert.ok(script.ANIMATION_TYPES.includes('swing'));
+        assert.deepEqual(script.getAnimationInfo('swing').categories, ['attention']);
+        assert.equal(script.getAnimationInfo('swing').weight, 3);
+    });
+
+    it('reports invalid definitions without registering anything', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const result = script.registerAnimation('pulse', { keyframes: [{ width: '10px' }], weight: -1, category: 'sideways' });
+        assert.equal(result.success, false);
+        assert.deepEqual(result.errors.map(error => error.code), [
+            'reservedName', 'tooFewStops', 'unknownProperty', 'invalidWeight', 'unknownCategory'
+        ]);
+
+        const injected = script.registerAnimation('sneaky', {
+            keyframes: [{ transform: 'none' }, { transform: 'none } body { display: none' }]
+        });
+        assert.equal(injected.errors[0].code, 'invalidValue');
+        assert.equal(script.registerAnimation('sneakier', { ...swing, direction: 'normal;} body{display:none' }).errors[0].code, 'invalidValue');
+        assert.equal(script.registerAnimation('sneakiest', { ...swing, category: 'entrance', easing: 'ease</style>' }).errors[0].code, 'invalidValue');
+        assert.equal(dom.document.head.querySelector('style'), null);
+    });
+
+    it('defaults the category from the iteration count', () => {
+        script.registerAnimation('spin-forever', { ...swing, iterations: Infinity });
+        script.registerAnimation('wiggle', swing);
+        script.registerAnimation('drop-in', { ...swing, category: ['entrance', 'attention'], weight: 0 });
+
+        assert.deepEqual(script.getAnimationsByCategory('loop'), ['pulse', 'bounce', 'rotate', 'flip', 'spin-forever']);
+        assert.deepEqual(script.getAnimationsByCategory('entrance'), ['fade', 'slide', 'drop-in']);
+        assert.deepEqual(script.getAnimationsByCategory('exit'), []);
+        assert.equal(script.ANIMATION_TYPES.includes('drop-in'), false);
+    });
+});
+
+describe('pickRandomAnimation', () => {
+    it('favours heavier animations and skips weight 0', (t) => {
+        script.registerAnimation('swing', { ...swing, weight: 5 });
+        // Built-ins weigh 1 each: 5 of the 10 units belong to swing
+        t.mock.method(Math, 'random', () => 0.49);
+        assert.equal(script.pickRandomAnimation(), 'flip');
+        t.mock.method(Math, 'random', () => 0.51);
+        assert.equal(script.pickRandomAnimation(), 'swing');
+        assert.equal(script.pickRandomAnimation({ category: 'entrance' }), null);
+    });
+});
+
+describe('plugin hooks', () => {
+    it('calls onStart and onEnd around random animations and sequence steps', async (t) => {
+        const calls = [];
+        script.registerAnimation('swing', {
+            ...swing,
+            onStart: (element, details) => calls.push(['start', element.id, details.name]),
+            onEnd: (element, details) => calls.push(['end', element.id, details.cancelled])
+        });
+
+        t.mock.method(Math, 'random', () => 0.999);
+        assert.equal(script.applyRandomAnimation('animationBox'), 'swing');
+        box.dispatchEvent(new FakeEvent('animationend'));
+
+        const sequence = script.runAnimationSequence('animationBox', ['swing', 'pulse']);
+        await clock.tick(0);
+        box.dispatchEvent(new FakeEvent('animationend'));
+        await clock.tick(0);
+        sequence.cancel();
+        await sequence;
+
+        assert.deepEqual(calls, [
+            ['start', 'animationBox', 'swing'],
+            ['end', 'animationBox', false],
+            ['start', 'animationBox', 'swing'],
+            ['end', 'animationBox', false]
+        ]);
+    });
+
+    it('keeps a failing hook from breaking the animation', (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        script.registerAnimation('swing', { ...swing, onStart: () => {
+            throw new Error('boom');
+        } });
+        t.mock.method(Math, 'random', () => 0.999);
+        assert.equal(script.applyRandomAnimation('animationBox'), 'swing');
+        assert.equal(box.className, 'swing-animation');
+        assert.match(error.mock.calls[0].arguments[0], /onStart hook failed/);
+    });
+});
+
+describe('unregisterAnimation', () => {
+    it('stops the animation everywhere and removes its CSS', (t) => {
+        t.mock.method(console, 'error', () => {});
+        script.registerAnimation('swing', swing);
+        t.mock.method(Math, 'random', () => 0.999);
+        script.applyRandomAnimation('animationBox');
+
+        assert.equal(script.unregisterAnimation('swing'), true);
+        assert.equal(box.className, '');
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+        assert.equal(dom.document.head.querySelector('style[data-animation="swing"]'), null);
+        assert.equal(script.ANIMATION_TYPES.includes('swing'), false);
+        assert.equal(script.ANIMATION_KEYFRAMES.swing, undefined);
+        assert.equal(script.getAnimationInfo('swing'), null);
+
+        assert.equal(script.unregisterAnimation('pulse'), false);
+    });
+});
+
+describe('runAnimationSequence with unknown names', () => {
+    it('reports and skips steps that name no animation', async (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        const sequence = script.runAnimationSequence('animationBox', ['pulse', 'wobbel', 'shake']);
+
+        const report = script.resultLog.getEntries({ type: 'error' })[0];
+        assert.equal(report.message, 'Skipping unknown animation(s): wobbel');
+        assert.deepEqual(report.payload, { unknown: ['wobbel'] });
+        assert.match(error.mock.calls[0].arguments[0], /wobbel/);
+
+        const seen = [];
+        for (let i = 0; i < 2; i++) {
+            await clock.tick(0);
+            seen.push(box.className);
+            box.dispatchEvent(new FakeEvent('animationend'));
+        }
+        assert.deepEqual(seen, ['pulse-animation', 'shake-animation']);
+        assert.deepEqual(await sequence, { completed: true, stepsRun: 2 });
+    });
+});
@@ -0,0 +1,455 @@
+/* =============================================
+   TESTS FOR script.js
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('node:events');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+/**
+ * Adds an element with an ID to the fake document body
+ * @param {string} id - Element ID
+ * @param {Object} attributes - Extra attributes
+ * @returns {FakeElement} The new element
+ */
+function addElement(id, attributes = {}) {
+    const element = dom.h('div', { id, ...attributes });
+    dom.document.body.appendChild(element);
+    return element;
+}
+
+function fire(element, type, init = {}) {
+    element.dispatchEvent(new FakeEvent(type, init));
+}
+
+describe('validateAndProcessInput', () => {
+    it('rejects empty and whitespace-only input', () => {
+        assert.deepEqual(script.validateAndProcessInput(''), {
+            success: false,
+            error: 'Input cannot be empty',
+            errors: [{ code: 'valueMissing', message: 'Input cannot be empty' }],
+            data: null
+        });
+        assert.equal(script.validateAndProcessInput('   ').success, false);
+    });
+
+    it('rejects input longer than maxLength', () => {
+        const result = script.validateAndProcessInput('abcdef', 5);
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Input exceeds maximum length of 5 characters');
+    });
+
+    it('returns processed data for valid input', () => {
+        const result = script.validateAndProcessInput('  Hello animated   world ');
+        assert.equal(result.success, true);
+        assert.equal(result.data.trimmed, 'Hello animated   world');
+        assert.equal(result.data.words, 3);
+        assert.equal(result.data.uppercase, '  HELLO ANIMATED   WORLD ');
+    });
+
+    it('measures length after trimming', () => {
+        const result = script.validateAndProcessInput('   abcde   ', 5);
+        assert.equal(result.success, true);
+        assert.equal(result.data.length, 5);
+    });
+
+    it('counts words separated by any whitespace', () => {
+        assert.equal(script.validateAndProcessInput('one\ttwo\n three').data.words, 3);
+        assert.equal(script.validateAndProcessInput('single').data.words, 1);
+    });
+});
+
+describe('createPrivateCounter', () => {
+    it('keeps its count private and independent per counter', () => {
+        const first = script.createPrivateCounter();
+        const second = script.createPrivateCounter();
+
+        assert.equal(first.increment(), 1);
+        assert.equal(first.increment(3), 4);
+        assert.equal(first.decrement(), 3);
+        assert.equal(second.getValue(), 0);
+        assert.equal(first.reset(), 0);
+        assert.equal(first.privateCount, undefined);
+    });
+});
+
+describe('toggleAnimation', () => {
+    it('counts active animations as classes are added and removed', () => {
+        const box = addElement('jsAnimationBox');
+        const state = script.globalAnimationState;
+
+        assert.equal(script.toggleAnimation('jsAnimationBox', 'active'), true);
+        assert.equal(box.classList.contains('active'), true);
+        assert.equal(state.activeAnimations, 1);
+        assert.equal(state.isAnimating, true);
+
+        assert.equal(script.toggleAnimation('jsAnimationBox', 'active'), false);
+        assert.equal(box.classList.contains('active'), false);
+        assert.equal(state.activeAnimations, 0);
+        assert.equal(state.isAnimating, false);
+    });
+
+    it('does not drift when a registry cancel removes the class', () => {
+        const box = addElement('jsAnimationBox');
+        script.toggleAnimation('jsAnimationBox', 'active');
+
+        script.animationRegistry.cancelElement(box);
+
+        assert.equal(box.classList.contains('active'), false);
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+
+    it('enforces maxAnimations with the reject policy', () => {
+        const state = script.globalAnimationState;
+        state.maxAnimations = 2;
+        state.overflowPolicy = 'reject';
+        ['a', 'b', 'c'].forEach(id => addElement(id));
+
+        assert.equal(script.toggleAnimation('a', 'active'), true);
+        assert.equal(script.toggleAnimation('b', 'active'), true);
+        assert.equal(script.toggleAnimation('c', 'active'), false);
+        assert.equal(state.activeAnimations, 2);
+    });
+
+    it('queues animations past maxAnimations and starts them when a slot frees', () => {
+        const state = script.globalAnimationState;
+        state.maxAnimations = 1;
+        const first = addElement('first');
+        const second = addElement('second');
+
+        script.toggleAnimation('first', 'active');
+        assert.equal(script.toggleAnimation('second', 'active'), true);
+        assert.equal(second.classList.contains('active'), false);
+
+        script.toggleAnimation('first', 'active');
+        assert.equal(first.classList.contains('active'), false);
+        assert.equal(second.classList.contains('active'), true);
+        assert.equal(state.activeAnimations, 1);
+    });
+});
+
+describe('applyRandomAnimation', () => {
+    it('returns the name of a queued animation, which isAnimationQueued tells apart', (t) => {
+        t.mock.method(Math, 'random', () => 0);
+        const state = script.globalAnimationState;
+        state.maxAnimations = 1;
+        addElement('first');
+        addElement('animationBox');
+        script.toggleAnimation('first', 'active');
+
+        const name = script.applyRandomAnimation('animationBox');
+        assert.equal(name, 'pulse');
+        assert.equal(script.isAnimationQueued('animationBox', name), true);
+
+        script.toggleAnimation('first', 'active');
+        assert.equal(script.isAnimationQueued('animationBox', name), false);
+    });
+
+    it('returns the name with the waapi backend too', (t) => {
+        t.mock.method(Math, 'random', () => 0);
+        const box = addElement('animationBox');
+        box.animate = () => ({ finished: new Promise(() => {}), pause() {}, play() {}, cancel() {} });
+
+        assert.equal(script.applyRandomAnimation('animationBox', { backend: 'waapi' }), 'pulse');
+    });
+});
+
+describe('changeColorWithTransition', () => {
+    it('resolves true once the transition ends', async () => {
+        const box = addElement('colorBox');
+        let resolved = null;
+
+        script.changeColorWithTransition('colorBox', '#6cd5ff', 800).then(value => {
+            resolved = value;
+        });
+        assert.equal(box.style.backgroundColor, '#6cd5ff');
+        assert.equal(box.style.transition, 'background-color 800ms ease');
+
+        await clock.tick(100);
+        assert.equal(resolved, null);
+
+        fire(box, 'transitionend');
+        await clock.tick(0);
+        assert.equal(resolved, true);
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+
+    it('falls back to the duration when no transitionend arrives', async () => {
+        addElement('colorBox');
+        let resolved = null;
+
+        script.changeColorWithTransition('colorBox', 'red', 300).then(value => {
+            resolved = value;
+        });
+        await clock.tick(400);
+        assert.equal(resolved, true);
+    });
+
+    it('resolves false when a newer change replaces it', async () => {
+        addElement('colorBox');
+        const first = script.changeColorWithTransition('colorBox', 'red', 300);
+        const second = script.changeColorWithTransition('colorBox', 'blue', 300);
+
+        await clock.tick(400);
+        assert.equal(await first, false);
+        assert.equal(await second, true);
+    });
+
+    it('resolves false for a missing element', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(await script.changeColorWithTransition('missing', 'red'), false);
+    });
+
+    it('still returns a promise with the waapi backend', async () => {
+        const box = addElement('colorBox');
+        const animations = [];
+        box.animate = () => {
+            let settle;
+            const animation = {
+                finished: new Promise((resolve, reject) => { settle = { resolve, reject }; }),
+                pause() {},
+                play() {},
+                cancel() { settle.reject(new Error('AbortError')); }
+            };
+            animation.finish = () => settle.resolve(animation);
+            animations.push(animation);
+            return animation;
+        };
+
+        const first = script.changeColorWithTransition('colorBox', 'red', 300, { backend: 'waapi' });
+        const second = script.changeColorWithTransition('colorBox', 'blue', 300, { backend: 'waapi' });
+        assert.ok(second instanceof Promise);
+        assert.equal(await first, false);
+
+        animations[1].finish();
+        assert.equal(await second, true);
+        assert.equal(box.style.backgroundColor, 'blue');
+    });
+});
+
+describe('runAnimationSequence', () => {
+    beforeEach((t) => {
+        addElement('animationResults');
+        t.mock.method(console, 'error', () => {});
+    });
+
+    it('plays steps in order, waiting for each animationend', async () => {
+        const box = addElement('animationBox');
+        const seen = [];
+        const handle = script.runAnimationSequence('animationBox', ['pulse', 'shake', 'flip']);
+
+        for (const name of ['pulse', 'shake', 'flip']) {
+            await clock.tick(0);
+            seen.push(box.className);
+            assert.equal(box.className, `${name}-animation`);
+            fire(box, 'animationend');
+        }
+
+        const result = await handle;
+        assert.deepEqual(result, { completed: true, stepsRun: 3 });
+        assert.deepEqual(seen, ['pulse-animation', 'shake-animation', 'flip-animation']);
+        assert.equal(box.className, '');
+    });
+
+    it('applies per-step durations and iteration counts', async () => {
+        const box = addElement('animationBox');
+        script.runAnimationSequence('animationBox', ['pulse', { name: 'bounce', iterations: 3 }], {
+            durations: [200, 400]
+        });
+
+        await clock.tick(0);
+        assert.equal(box.style.animationDuration, '200ms');
+        assert.equal(box.style.animationIterationCount, '1');
+        fire(box, 'animationend');
+
+        await clock.tick(0);
+        assert.equal(box.style.animationDuration, '400ms');
+        assert.equal(box.style.animationIterationCount, '3');
+    });
+
+    it('ignores animation events bubbling up from children', async () => {
+        const box = addElement('animationBox');
+        const child = dom.h('span');
+        box.appendChild(child);
+        script.runAnimationSequence('animationBox', ['pulse', 'shake']);
+
+        await clock.tick(0);
+        fire(child, 'animationend', { bubbles: true });
+        await clock.tick(0);
+        assert.equal(box.className, 'pulse-animation');
+    });
+
+    it('cancels the running sequence when a new one starts on the same element', async () => {
+        const box = addElement('animationBox');
+        const first = script.runAnimationSequence('animationBox', ['pulse', 'shake']);
+        await clock.tick(0);
+
+        const second = script.runAnimationSequence('animationBox', ['rotate']);
+        assert.equal(first.state, 'cancelled');
+        assert.deepEqual(await first, { completed: false, stepsRun: 0 });
+
+        await clock.tick(0);
+        assert.equal(box.className, 'rotate-animation');
+        fire(box, 'animationend');
+        assert.deepEqual(await second, { completed: true, stepsRun: 1 });
+    });
+
+    it('pauses and resumes, including the fallback timer', async () => {
+        const box = addElement('animationBox');
+        const handle = script.runAnimationSequence('animationBox', [{ name: 'shake', duration: 500 }]);
+        await clock.tick(0);
+
+        handle.pause();
+        assert.equal(box.style.animationPlayState, 'paused');
+        await clock.tick(5000);
+        assert.equal(handle.state, 'paused');
+
+        handle.resume();
+        await clock.tick(800);
+        assert.equal(handle.state, 'completed');
+    });
+
+    it('ends in the rejected state without blocking later sequences when no slot is free', async () => {
+        const state = script.globalAnimationState;
+        state.maxAnimations = 1;
+        state.overflowPolicy = 'reject';
+        addElement('other');
+        addElement('animationBox');
+        script.toggleAnimation('other', 'active');
+
+        const rejected = script.runAnimationSequence('animationBox', ['pulse']);
+        assert.deepEqual(await rejected.finished, { completed: false, stepsRun: 0 });
+        assert.equal(rejected.state, 'rejected');
+
+        script.toggleAnimation('other', 'active');
+        const next = script.runAnimationSequence('animationBox', ['pulse']);
+        assert.equal(rejected.state, 'rejected');
+        assert.equal(next.state, 'running');
+        next.cancel();
+    });
+
+    it('stops when its AbortSignal is aborted', async () => {
+        const box = addElement('animationBox');
+        const controller = new AbortController();
+        const handle = script.runAnimationSequence('animationBox', ['pulse'], { signal: controller.signal });
+        await clock.tick(0);
+
+        controller.abort();
+        assert.deepEqual(await handle, { completed: false, stepsRun: 0 });
+        assert.equal(box.className, '');
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+
+    it('lets go of a reused AbortSignal once it ends', async () => {
+        const box = addElement('animationBox');
+        const controller = new AbortController();
+        const handle = script.runAnimationSequence('animationBox', ['pulse'], { signal: controller.signal });
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 1);
+
+        await clock.tick(0);
+        fire(box, 'animationend');
+        await handle;
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+});
+
+describe('createAnimationTimeline', () => {
+    it('skips entries that would never end', (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        addElement('animationBox');
+        const timeline = script.createAnimationTimeline()
+            .add('animationBox', { animation: 'pulse', duration: 500, iterations: Infinity })
+            .add('animationBox', { animation: 'pulse', duration: 500, iterations: 2 });
+
+        assert.equal(timeline.duration, 1000);
+        assert.match(error.mock.calls[0].arguments[0], /finite, positive iteration count/);
+    });
+
+    it('refuses a playback rate of 0', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        addElement('animationBox');
+        const timeline = script.createAnimationTimeline({ playbackRate: 0 })
+            .add('animationBox', { animation: 'pulse', duration: 300 });
+        assert.equal(timeline.playbackRate, 1);
+
+        timeline.playbackRate = 0;
+        assert.equal(timeline.playbackRate, 1);
+
+        let done = false;
+        timeline.play().finished.then(() => {
+            done = true;
+        });
+        await clock.tick(400);
+        assert.equal(done, true);
+    });
+
+    it('follows the motion policy for class entries', async () => {
+        const box = addElement('animationBox');
+        script.motionPolicy.set('reduced');
+        const timeline = script.createAnimationTimeline()
+            .add('animationBox', { animation: 'bounce', duration: 1000, iterations: 3 });
+
+        timeline.play();
+        await clock.tick(0);
+        assert.equal(box.className, 'fade-animation');
+        assert.equal(box.style.animationDuration, '400ms');
+        assert.equal(box.style.animationIterationCount, '1');
+
+        script.motionPolicy.set('none');
+        timeline.seek(100);
+        assert.equal(box.className, '');
+        await clock.tick(3000);
+        assert.equal(timeline.isPlaying, false);
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+});
+
+describe('createModalManager', () => {
+    function addModal(id) {
+        const modal = addElement(id, { class: 'modal' });
+        modal.appendChild(dom.h('div', { class: 'modal-content' }, [dom.h('h2', {}, ['Title'])]));
+        return modal;
+    }
+
+    it('hides registered modals until they open', () => {
+        const modal = addModal('modal');
+        const modals = script.createModalManager();
+
+        assert.equal(modals.register('modal'), true);
+        assert.equal(modal.getAttribute('aria-hidden'), 'true');
+        assert.equal(modal.querySelector('.modal-content').getAttribute('role'), 'dialog');
+    });
+
+    it('leaves a modal reopened mid-close on its stack z-index', async () => {
+        const modal = addModal('modal');
+        const modals = script.createModalManager({ baseZIndex: 500 });
+
+        modals.open('modal');
+        await clock.tick(700);
+        const closed = modals.close('modal', 'button');
+        modals.open('modal');
+
+        await clock.tick(700);
+        assert.equal(await closed, 'button');
+        assert.equal(modals.isOpen('modal'), true);
+        assert.equal(modal.style.zIndex, '500');
+        assert.equal(modal.getAttribute('aria-hidden'), 'false');
+    });
+});
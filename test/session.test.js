@@ -0,0 +1,170 @@
+/* =============================================
+   TESTS FOR SESSION RECORDING AND REPLAY
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let rolls;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    rolls = [];
+    dom.document.body.append(dom.h('button', { id: 'rollBtn' }), dom.h('button', { id: 'pairBtn' }));
+    script.defineDemoAction('roll', '#rollBtn', function() {
+        rolls.push(script.getRandomNumber(1, 100));
+    });
+    // Starts another action, like the JS box pressing the toggle button
+    script.defineDemoAction('pair', '#pairBtn', function() {
+        rolls.push(script.getRandomNumber(1, 6));
+        dom.document.getElementById('rollBtn').click();
+    });
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+describe('seeded random numbers', () => {
+    it('repeat for the same seed, including string seeds', () => {
+        const take = random => Array.from({ length: 5 }, () => random());
+        assert.deepEqual(take(script.createSeededRandom(42)), take(script.createSeededRandom(42)));
+        assert.deepEqual(take(script.createSeededRandom('demo')), take(script.createSeededRandom('demo')));
+        assert.notDeepEqual(take(script.createSeededRandom(1)), take(script.createSeededRandom(2)));
+        assert.ok(take(script.createSeededRandom(7)).every(value => value >= 0 && value < 1));
+    });
+
+    it('drive getRandomNumber and getRandomColor once injected', () => {
+        const sample = () => [script.getRandomNumber(0, 1000), script.getRandomColor(), script.getRandomColor({ minContrast: 3, against: '#000' })];
+
+        const previous = script.setRandomSource(script.createSeededRandom(99));
+        const first = sample();
+        script.setRandomSource(script.createSeededRandom(99));
+        assert.deepEqual(sample(), first);
+
+        assert.equal(script.setRandomSource(previous) !== null, true);
+        assert.match(script.getRandomColor(), /^#[0-9A-F]{6}$/);
+    });
+});
+
+describe('sessionRecorder', () => {
+    it('records each action with its time and the random values it drew', async () => {
+        script.sessionRecorder.start({ seed: 5 });
+        await clock.tick(100);
+        dom.document.getElementById('rollBtn').click();
+        await clock.tick(250);
+        dom.document.getElementById('pairBtn').click();
+        const session = script.sessionRecorder.stop();
+
+        assert.equal(session.version, 1);
+        assert.equal(session.seed, 5);
+        assert.equal(session.duration, 350);
+        assert.equal(session.initialState.counter, 0);
+        // The nested roll belongs to 'pair' and is replayed through it
+        assert.deepEqual(session.events.map(event => [event.time, event.action, event.randoms.length]), [
+            [100, 'roll', 1],
+            [350, 'pair', 2]
+        ]);
+        assert.equal(script.sessionRecorder.isRecording(), false);
+    });
+});
+
+describe('playSession', () => {
+    async function record() {
+        script.sessionRecorder.start({ seed: 'replay' });
+        for (const delay of [100, 200, 300]) {
+            await clock.tick(delay);
+            dom.document.getElementById(delay === 200 ? 'pairBtn' : 'rollBtn').click();
+        }
+        return script.sessionRecorder.stop();
+    }
+
+    it('reproduces the recorded actions and random values', async () => {
+        const session = await record();
+        const recorded = [...rolls];
+        rolls.length = 0;
+
+        const played = [];
+        const playback = script.playSession(session, { onEvent: event => played.push([clock.now(), event.action]) });
+        const start = clock.now();
+        await clock.tick(1000);
+
+        assert.deepEqual(await playback, { completed: true, eventsPlayed: 3 });
+        assert.deepEqual(rolls, recorded);
+        assert.deepEqual(played.map(([time, action]) => [time - start, action]), [[100, 'roll'], [300, 'pair'], [600, 'roll']]);
+    });
+
+    it('honours the speed, also when changed during playback', async () => {
+        const session = await record();
+        const times = [];
+        const start = clock.now();
+        const playback = script.playSession(session, { speed: 2, onEvent: () => times.push(clock.now() - start) });
+
+        await clock.tick(140);
+        assert.deepEqual(times, [50]);
+        // 140 ms at double speed is 280 ms of script: 20 ms left, or 40 ms at half speed
+        playback.setSpeed(0.5);
+        await clock.tick(40);
+        assert.deepEqual(times, [50, 180]);
+        await clock.tick(600);
+        assert.deepEqual(times, [50, 180, 780]);
+    });
+
+    it('pauses, resumes and stops', async () => {
+        const session = await record();
+        const playback = script.playSession(session);
+
+        await clock.tick(150);
+        playback.pause();
+        await clock.tick(5000);
+        assert.equal(playback.state, 'paused');
+        assert.equal(rolls.length, 5);
+
+        playback.resume();
+        await clock.tick(150);
+        assert.equal(rolls.length, 7);
+        playback.stop();
+        assert.deepEqual(await playback, { completed: false, eventsPlayed: 2 });
+    });
+
+    it('restores the starting state and skips actions missing from the page', async (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        const session = {
+            version: 1,
+            seed: 1,
+            initialState: { counter: 41 },
+            events: [{ time: 0, action: 'vanished', randoms: [] }, { time: 10, action: 'roll', randoms: [0.5] }]
+        };
+        const playback = script.playSession(session);
+        assert.equal(script.updateCounter(), 42);
+
+        await clock.tick(20);
+        assert.deepEqual(await playback, { completed: true, eventsPlayed: 2 });
+        assert.deepEqual(rolls, [51]);
+        assert.match(error.mock.calls[0].arguments[0], /Unknown demo action 'vanished'/);
+    });
+
+    it('refuses invalid scripts and playback while recording', (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(script.playSession({ version: 2, events: [] }), null);
+        assert.deepEqual(script.validateSessionScript({
+            version: 1,
+            events: [{ time: 5, action: 'roll', randoms: [2] }, { time: 1, randoms: [] }]
+        }).errors.map(error => error.code), ['invalidRandoms', 'invalidTime', 'invalidAction']);
+        // JSON numbers only; '0.5' and null would otherwise coerce
+        assert.equal(script.validateSessionScript({
+            version: 1,
+            events: [{ time: 0, action: 'roll', randoms: ['0.5', null] }]
+        }).errors[0].code, 'invalidRandoms');
+
+        script.sessionRecorder.start();
+        assert.equal(script.playSession({ version: 1, events: [] }), null);
+    });
+});
@@ -0,0 +1,168 @@
+/* =============================================
+   TESTS FOR KEYBOARD SHORTCUTS AND ACTIVATION
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+function press(target, key, init = {}) {
+    const event = new FakeEvent('keydown', { key, bubbles: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('parseShortcut', () => {
+    it('splits modifiers from the key', () => {
+        assert.deepEqual(script.parseShortcut('Ctrl+Shift+K'), { key: 'k', ctrl: true, alt: false, meta: false, shift: true });
+        assert.equal(script.parseShortcut('shift++').key, '+');
+        assert.equal(script.parseShortcut('space').key, ' ');
+    });
+});
+
+describe('createShortcutManager', () => {
+    let shortcuts;
+    let calls;
+
+    beforeEach(() => {
+        shortcuts = script.createShortcutManager();
+        shortcuts.enable();
+        calls = [];
+    });
+
+    it('runs the bound action and prevents the default', () => {
+        shortcuts.register('r', () => calls.push('r'));
+        shortcuts.register('shift+c', () => calls.push('C'));
+
+        const event = press(dom.document.body, 'r');
+        press(dom.document.body, 'c');
+        press(dom.document.body, 'C', { shiftKey: true });
+        press(dom.document.body, 'r', { ctrlKey: true });
+
+        assert.equal(event.defaultPrevented, true);
+        assert.deepEqual(calls, ['r', 'C']);
+    });
+
+    it('matches symbols whether or not Shift is reported', () => {
+        shortcuts.register('?', () => calls.push('?'));
+        press(dom.document.body, '?', { shiftKey: true });
+        press(dom.document.body, '?');
+        assert.deepEqual(calls, ['?', '?']);
+    });
+
+    it('ignores keys typed into form controls', () => {
+        const input = dom.h('input');
+        dom.document.body.appendChild(input);
+        shortcuts.register('r', () => calls.push('r'));
+
+        const event = press(input, 'r');
+        assert.equal(event.defaultPrevented, false);
+        assert.deepEqual(calls, []);
+    });
+
+    it('only runs global shortcuts while a modal is open', () => {
+        const modal = dom.h('div', { id: 'modal', class: 'modal' }, [dom.h('div', { class: 'modal-content' })]);
+        dom.document.body.appendChild(modal);
+        shortcuts.register('r', () => calls.push('r'));
+        shortcuts.register('?', () => calls.push('?'), { global: true });
+
+        script.modalManager.open('modal');
+        press(dom.document.body, 'r');
+        press(dom.document.body, '?');
+        assert.deepEqual(calls, ['?']);
+    });
+
+    it('refuses duplicate bindings and labels the control it stands in for', (t) => {
+        t.mock.method(console, 'error', () => {});
+        const button = dom.h('button');
+        const remove = shortcuts.register('shift+r', () => calls.push('first'), { element: button });
+        shortcuts.register('Shift+R', () => calls.push('second'));
+
+        assert.equal(button.getAttribute('aria-keyshortcuts'), 'Shift+R');
+        assert.equal(shortcuts.getBindings().length, 1);
+
+        remove();
+        assert.equal(button.hasAttribute('aria-keyshortcuts'), false);
+        assert.equal(shortcuts.getBindings().length, 0);
+    });
+
+    it('lists every binding in the help overlay and toggles it', async () => {
+        shortcuts.register('r', () => {}, { description: 'Random animation' });
+        shortcuts.register('?', () => shortcuts.showHelp(), { description: 'Help', global: true });
+
+        press(dom.document.body, '?');
+        const help = dom.document.getElementById('shortcutHelp');
+        assert.equal(script.modalManager.isOpen('shortcutHelp'), true);
+        assert.deepEqual(help.querySelectorAll('kbd').map(kbd => kbd.textContent), ['r', '?']);
+        assert.equal(help.querySelector('dd').textContent, 'Random animation');
+
+        press(dom.document.body, '?');
+        assert.equal(script.modalManager.isOpen('shortcutHelp'), false);
+    });
+
+    it('rebuilds the help overlay when the locale changes', () => {
+        shortcuts.register('x', () => {}, { description: () => script.i18n.t('shortcut.clear') });
+        shortcuts.showHelp();
+        const help = dom.document.getElementById('shortcutHelp');
+        assert.equal(help.querySelector('h2').textContent, 'Keyboard shortcuts');
+
+        script.i18n.setLocale('es');
+        assert.equal(help.querySelector('h2').textContent, 'Atajos de teclado');
+        assert.equal(help.querySelector('.close-btn').getAttribute('aria-label'), 'Cerrar');
+        assert.equal(help.querySelector('dd').textContent, 'Vaciar los dos paneles de resultados');
+        assert.equal(shortcuts.getBindings()[0].description, 'Vaciar los dos paneles de resultados');
+    });
+
+    it('stops listening when disabled', () => {
+        shortcuts.register('r', () => calls.push('r'));
+        shortcuts.disable();
+        press(dom.document.body, 'r');
+        assert.deepEqual(calls, []);
+    });
+});
+
+describe('makeActivatable', () => {
+    it('adds focusability and a role, and clicks on Enter and Space', () => {
+        const card = dom.h('div', { class: 'card' });
+        dom.document.body.appendChild(card);
+        let clicks = 0;
+        card.addEventListener('click', () => clicks++);
+
+        script.makeActivatable('.card', { label: 'Flip card', pressed: false });
+        assert.equal(card.getAttribute('tabindex'), '0');
+        assert.equal(card.getAttribute('role'), 'button');
+        assert.equal(card.getAttribute('aria-pressed'), 'false');
+
+        press(card, 'Enter');
+        const spaceDown = press(card, ' ');
+        assert.equal(spaceDown.defaultPrevented, true);
+        assert.equal(clicks, 1);
+        card.dispatchEvent(new FakeEvent('keyup', { key: ' ' }));
+        assert.equal(clicks, 2);
+    });
+
+    it('keeps aria-pressed in step with flipCard', () => {
+        const card = dom.h('div', { class: 'card' });
+        dom.document.body.appendChild(card);
+        script.makeActivatable(card, { pressed: false });
+
+        script.flipCard(card);
+        assert.equal(card.getAttribute('aria-pressed'), 'true');
+    });
+});
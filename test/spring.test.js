@@ -0,0 +1,154 @@
+/* =============================================
+   TESTS FOR SPRING AND DECAY ANIMATIONS
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let box;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    box = dom.h('div', { id: 'animationBox' });
+    dom.document.body.appendChild(box);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+// Steps a spring to rest, returning the furthest it got past the target
+function settle(spring, limit = 5000) {
+    let overshoot = 0;
+    for (let t = 0; t < limit && !spring.isAtRest(); t += 16) {
+        spring.step(16);
+        overshoot = Math.max(overshoot, spring.value - spring.target);
+    }
+    return overshoot;
+}
+
+describe('createSpring', () => {
+    it('settles on its target and snaps there', () => {
+        const spring = script.createSpring({ from: 0, to: 100 });
+        settle(spring);
+        assert.equal(spring.isAtRest(), true);
+        assert.equal(spring.value, 100);
+        assert.equal(spring.velocity, 0);
+    });
+
+    it('overshoots with a bouncy preset but not when motion is reduced', () => {
+        assert.ok(settle(script.createSpring({ from: 0, to: 100, preset: 'wobbly' })) > 10);
+
+        script.motionPolicy.set('reduced');
+        assert.ok(settle(script.createSpring({ from: 0, to: 100, preset: 'wobbly' })) < 0.01);
+    });
+
+    it('keeps its velocity when retargeted', () => {
+        const spring = script.createSpring({ from: 0, to: 100 });
+        for (let i = 0; i < 5; i++) spring.step(16);
+        const velocity = spring.velocity;
+
+        spring.retarget(-50);
+        assert.equal(spring.velocity, velocity);
+        assert.equal(spring.target, -50);
+    });
+
+    it('moves heavier masses more slowly', () => {
+        const light = script.createSpring({ from: 0, to: 100 });
+        const heavy = script.createSpring({ from: 0, to: 100, mass: 4 });
+        light.step(100);
+        heavy.step(100);
+        assert.ok(light.value > heavy.value);
+    });
+});
+
+describe('animateSpring', () => {
+    it('drives transform channels and styles frame by frame and resolves at rest', async () => {
+        let settled = null;
+        script.animateSpring('animationBox', { x: 80, scale: 1.2, opacity: 0.5, width: 150 }, {
+            from: { width: 100 }
+        }).then(value => {
+            settled = value;
+        });
+
+        await clock.tick(16);
+        assert.match(box.style.transform, /^translateX\([\d.]+px\) scale\([\d.]+\)$/);
+        assert.equal(script.globalAnimationState.activeAnimations, 1);
+
+        await clock.tick(3000);
+        assert.equal(settled, true);
+        assert.equal(box.style.transform, 'translateX(80px) scale(1.2)');
+        assert.equal(box.style.opacity, '0.5');
+        assert.equal(box.style.width, '150px');
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+
+    it('retargets mid-flight without losing position or velocity', async () => {
+        const first = script.animateSpring('animationBox', { x: 200 });
+        await clock.tick(100);
+        const [position, speed] = [first.getValues().x, first.getVelocities().x];
+        assert.ok(speed > 0);
+
+        const second = script.animateSpring('animationBox', { x: 0 });
+        assert.equal(await first, false);
+        assert.equal(second.getValues().x, position);
+        assert.equal(second.getVelocities().x, speed);
+
+        // Still heading right for a moment before the new target wins
+        await clock.tick(16);
+        assert.ok(second.getValues().x > position);
+
+        await clock.tick(3000);
+        assert.equal(await second, true);
+        assert.equal(second.getValues().x, 0);
+    });
+
+    it('starts at a given velocity', async () => {
+        const handle = script.animateSpring('animationBox', { x: 0 }, { velocity: -1000 });
+        await clock.tick(32);
+        assert.ok(handle.getValues().x < 0);
+    });
+
+    it('stops where it is', async () => {
+        const handle = script.animateSpring('animationBox', { rotate: 90 });
+        await clock.tick(48);
+        const rotation = handle.getValues().rotate;
+
+        assert.equal(script.stopSpring('animationBox'), true);
+        assert.equal(await handle, false);
+        await clock.tick(500);
+        assert.equal(handle.getValues().rotate, rotation);
+        assert.equal(script.globalAnimationState.activeAnimations, 0);
+    });
+
+    it('jumps to the end state when motion is off', async () => {
+        script.motionPolicy.set('none');
+        const handle = script.animateSpring('animationBox', { y: -40 });
+        assert.equal(box.style.transform, 'translateY(-40px)');
+        assert.equal(await handle, true);
+    });
+});
+
+describe('animateDecay', () => {
+    it('coasts to a stop in the direction of the fling', async () => {
+        const handle = script.animateDecay('animationBox', { x: 1000 });
+        await clock.tick(5000);
+        assert.equal(await handle, true);
+        // Distance is roughly v · τ
+        assert.ok(Math.abs(handle.getValues().x - 325) < 20);
+    });
+
+    it('springs back inside its bounds', async () => {
+        const handle = script.animateDecay('animationBox', { x: 3000 }, { bounds: { x: [0, 200] } });
+        await clock.tick(5000);
+        assert.equal(await handle, true);
+        assert.equal(handle.getValues().x, 200);
+    });
+});
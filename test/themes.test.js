@@ -0,0 +1,146 @@
+/* =============================================
+   TESTS FOR THEMES
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let root;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    root = dom.document.documentElement;
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+describe('validateTheme', () => {
+    it('fills missing colors and the palette from the theme it extends', () => {
+        const result = script.validateTheme({
+            name: 'ocean',
+            extends: 'dark',
+            colors: { accent: 'rgb(0, 200, 200)', background: 'linear-gradient(180deg, #001, #035)' }
+        });
+        assert.equal(result.success, true);
+        assert.equal(result.data.label, 'ocean');
+        assert.equal(result.data.colors.accent, 'rgb(0, 200, 200)');
+        assert.equal(result.data.colors.primary, '#7c4dff');
+        assert.equal(result.data.palette.length, 5);
+    });
+
+    it('reports every problem with an error code', () => {
+        const result = script.validateTheme({
+            name: 'dark',
+            extends: 'missing',
+            colors: { accent: 'not-a-color', glow: '#fff', background: 'red; color: blue' },
+            palette: []
+        });
+        assert.equal(result.success, false);
+        assert.deepEqual(result.errors.map(error => error.code), [
+            'reservedName', 'unknownBase', 'invalidColor', 'unknownToken', 'invalidColor', 'invalidPalette'
+        ]);
+    });
+
+    it('normalizes palette colors to hex', () => {
+        const result = script.validateTheme({ name: 'mono', palette: ['rgb(255, 0, 0)', '#0F0'] });
+        assert.deepEqual(result.data.palette, ['#ff0000', '#00ff00']);
+    });
+});
+
+describe('themeManager', () => {
+    it('loads custom themes from JSON and lists them after the presets', () => {
+        const manager = script.themeManager;
+        const result = manager.load('{"name": "forest", "label": "Forest", "colors": {"primary": "#2d6a4f"}}');
+        assert.equal(result.success, true);
+        assert.deepEqual(manager.list().map(theme => theme.name), ['default', 'light', 'dark', 'high-contrast', 'forest']);
+
+        const broken = manager.load('{"name": ');
+        assert.equal(broken.errors[0].code, 'invalidJson');
+    });
+
+    it('writes the custom properties and cross-fades the old background', async () => {
+        let done = null;
+        script.themeManager.apply('light').then(value => {
+            done = value;
+        });
+
+        assert.equal(root.getAttribute('data-theme'), 'light');
+        assert.equal(root.style.getPropertyValue('--text-color'), '#1f2933');
+        assert.equal(root.classList.contains('theme-transition'), true);
+        const layer = dom.document.body.querySelector('.theme-fade-layer');
+        assert.equal(layer.style.background, 'linear-gradient(135deg, #1a2a6c, #b21f1f, #fdbb2d)');
+        assert.equal(layer.style.opacity, '0');
+
+        await clock.tick(450);
+        assert.equal(done, true);
+        assert.equal(root.classList.contains('theme-transition'), false);
+        assert.equal(dom.document.body.querySelector('.theme-fade-layer'), null);
+    });
+
+    it('resolves false for a switch replaced by a newer one', async () => {
+        const first = script.themeManager.apply('light');
+        const second = script.themeManager.apply('dark');
+
+        await clock.tick(450);
+        assert.equal(await first, false);
+        assert.equal(await second, true);
+        assert.equal(script.themeManager.getActive(), 'dark');
+        assert.equal(dom.document.body.querySelectorAll('.theme-fade-layer').length, 0);
+    });
+
+    it('switches instantly when motion is off', async () => {
+        script.motionPolicy.set('none');
+        assert.equal(await script.themeManager.apply('high-contrast'), true);
+        assert.equal(root.style.getPropertyValue('--page-background'), '#000000');
+        assert.equal(dom.document.body.querySelector('.theme-fade-layer'), null);
+    });
+
+    it('reapplies the active theme when it is redefined, and falls back when removed', async () => {
+        const manager = script.themeManager;
+        manager.register({ name: 'brand', colors: { accent: '#ff0066' } });
+        await manager.apply('brand', { transition: false });
+
+        manager.register({ name: 'brand', colors: { accent: '#00ff66' } });
+        assert.equal(root.style.getPropertyValue('--accent-color'), '#00ff66');
+
+        assert.equal(manager.unregister('brand'), true);
+        assert.equal(manager.unregister('dark'), false);
+        assert.equal(manager.getActive(), 'default');
+    });
+
+    it('rejects unknown themes', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        assert.equal(await script.themeManager.apply('neon'), false);
+        assert.equal(script.themeManager.getActive(), 'default');
+    });
+});
+
+describe('theme colors in the helpers', () => {
+    it('lets changeColorWithTransition take a theme color name', async () => {
+        const box = dom.h('div', { id: 'colorBox' });
+        dom.document.body.appendChild(box);
+        await script.themeManager.apply('dark', { transition: false });
+
+        script.changeColorWithTransition('colorBox', 'accent', 100);
+        assert.equal(box.style.backgroundColor, '#40c4ff');
+    });
+
+    it('saves the active theme with the demo state', async () => {
+        await script.themeManager.apply('light', { transition: false });
+        assert.equal(script.captureDemoState({ includeLogs: false }).theme, 'light');
+
+        script.applyDemoState({ theme: 'dark' });
+        assert.equal(script.themeManager.getActive(), 'dark');
+        script.applyDemoState({ theme: 'not-loaded' });
+        assert.equal(script.themeManager.getActive(), 'dark');
+    });
+});
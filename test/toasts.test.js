@@ -0,0 +1,144 @@
+/* =============================================
+   TESTS FOR TOAST NOTIFICATIONS
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+let toasts;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+    toasts = script.createToastManager({ maxVisible: 2, duration: 1000 });
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+function toastElement(handle) {
+    return dom.document.querySelector(`[data-toast-id="${handle.id}"]`);
+}
+
+function fire(element, type, init = {}) {
+    element.dispatchEvent(new FakeEvent(type, init));
+}
+
+describe('createToastManager', () => {
+    it('stacks toasts by position with the message type and icon', () => {
+        const info = toasts.show('Saved');
+        const error = toasts.show('Broken', { type: 'error', title: 'Oops', position: 'top-left' });
+
+        const element = toastElement(error);
+        assert.equal(element.parentNode.dataset.position, 'top-left');
+        assert.equal(element.getAttribute('role'), 'alert');
+        assert.equal(element.className, 'toast error toast-visible');
+        assert.equal(element.querySelector('.toast-icon').textContent, '❌');
+        assert.equal(element.querySelector('.toast-title').textContent, 'Oops');
+        assert.equal(toastElement(info).parentNode.dataset.position, 'bottom-right');
+        assert.equal(toastElement(info).getAttribute('role'), 'status');
+    });
+
+    it('slides out after its duration, pausing while hovered', async () => {
+        const handle = toasts.show('Hello');
+        const element = toastElement(handle);
+        let reason = null;
+        handle.closed.then(value => {
+            reason = value;
+        });
+
+        await clock.tick(600);
+        fire(element, 'mouseenter');
+        await clock.tick(5000);
+        assert.equal(element.classList.contains('toast-visible'), true);
+
+        fire(element, 'mouseleave');
+        await clock.tick(400);
+        assert.equal(element.classList.contains('toast-leaving'), true);
+        assert.equal(element.isConnected, true);
+
+        fire(element, 'transitionend');
+        await clock.tick(0);
+        assert.equal(element.isConnected, false);
+        assert.equal(reason, 'timeout');
+    });
+
+    it('queues toasts past maxVisible and shows them as others leave', async () => {
+        const first = toasts.show('One', { duration: 0 });
+        toasts.show('Two', { duration: 0 });
+        const third = toasts.show('Three', { duration: 0 });
+        const elsewhere = toasts.show('Four', { duration: 0, position: 'top-center' });
+
+        assert.deepEqual(toasts.getQueued(), [third.id]);
+        assert.equal(toastElement(third), null);
+        assert.deepEqual(toasts.getVisible('top-center'), [elsewhere.id]);
+
+        first.dismiss();
+        assert.equal(toastElement(third).classList.contains('toast-visible'), true);
+        assert.deepEqual(toasts.getQueued(), []);
+        await clock.tick(500);
+        assert.equal(await first.closed, 'programmatic');
+    });
+
+    it('merges duplicates into one toast with a repeat count and a fresh timer', async () => {
+        const handle = toasts.show('Again', { type: 'warning' });
+        await clock.tick(800);
+
+        assert.equal(toasts.show('Again', { type: 'warning' }), handle);
+        assert.equal(toasts.show('Again', { type: 'warning' }), handle);
+        const badge = toastElement(handle).querySelector('.toast-count');
+        assert.equal(badge.textContent, '×3');
+        assert.equal(badge.hidden, false);
+
+        await clock.tick(800);
+        assert.deepEqual(toasts.getVisible(), [handle.id]);
+        assert.notEqual(toasts.show('Again', { type: 'info' }), handle);
+        assert.notEqual(toasts.show('Again', { type: 'warning', dedupe: false }), handle);
+    });
+
+    it('runs action buttons and closes through them', async () => {
+        const clicks = [];
+        const handle = toasts.show('Undo?', {
+            actions: [
+                { label: 'Peek', onClick: () => clicks.push('peek'), dismiss: false },
+                { label: 'Undo', onClick: toast => clicks.push(toast.id) }
+            ]
+        });
+        const [peek, undo] = toastElement(handle).querySelectorAll('.toast-action');
+
+        peek.click();
+        assert.deepEqual(toasts.getVisible(), [handle.id]);
+        undo.click();
+        assert.deepEqual(clicks, ['peek', handle.id]);
+        await clock.tick(1000);
+        assert.equal(await handle.closed, 'action');
+    });
+
+    it('removes toasts at once when motion is off', async () => {
+        script.motionPolicy.set('none');
+        const handle = toasts.show('Quick');
+        toastElement(handle).querySelector('.toast-close').click();
+        await clock.tick(0);
+
+        assert.equal(toastElement(handle), null);
+        assert.equal(await handle.closed, 'close');
+    });
+
+    it('falls back to info and the default position for unknown options', (t) => {
+        const error = t.mock.method(console, 'error', () => {});
+        const handle = toasts.show('Odd', { type: 'fancy', position: 'middle' });
+
+        const element = toastElement(handle);
+        assert.equal(element.className, 'toast info toast-visible');
+        assert.equal(element.parentNode.dataset.position, 'bottom-right');
+        assert.match(error.mock.calls[0].arguments[0], /Unknown toast position 'middle'/);
+    });
+});
@@ -0,0 +1,225 @@
+/* =============================================
+   TESTS FOR THE VALIDATION RULES AND FORM BINDING
+   Run with: node --test test/*.test.js
+============================================= */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeEvent } = require('./helpers/fake-dom');
+const { loadScript } = require('./helpers/load-script');
+
+let env;
+let script;
+let dom;
+let clock;
+
+beforeEach(() => {
+    env = loadScript();
+    ({ script, dom, clock } = env);
+});
+
+afterEach(() => {
+    env.cleanup();
+});
+
+function addInput(attributes = {}) {
+    const input = dom.h('input', attributes);
+    dom.document.body.appendChild(input);
+    return input;
+}
+
+function type(input, value) {
+    input.value = value;
+    input.dispatchEvent(new FakeEvent('input', { bubbles: true }));
+}
+
+describe('validateInput', () => {
+    it('reports every failing rule with its code', async () => {
+        const { validators } = script;
+        const result = await script.validateInput('ab', [
+            validators.minLength(3),
+            validators.pattern(/\d/),
+            validators.email()
+        ]);
+
+        assert.equal(result.success, false);
+        assert.deepEqual(result.errors.map(error => error.code), ['tooShort', 'patternMismatch', 'typeMismatch']);
+        assert.equal(result.error, 'Must be at least 3 characters');
+    });
+
+    it('stops after the first error with bail, and always after a missing value', async () => {
+        const { validators } = script;
+        const bailed = await script.validateInput('ab', [validators.minLength(3), validators.pattern(/\d/)], { bail: true });
+        assert.equal(bailed.errors.length, 1);
+
+        const empty = await script.validateInput('  ', [validators.required(), validators.minLength(3)]);
+        assert.deepEqual(empty.errors.map(error => error.code), ['valueMissing']);
+    });
+
+    it('skips optional rules for empty values', async () => {
+        const result = await script.validateInput('', [script.validators.email()]);
+        assert.equal(result.success, true);
+    });
+
+    it('checks numeric ranges and steps', async () => {
+        const { validators } = script;
+        const rules = [validators.number(), validators.min(1), validators.max(10), validators.step(1)];
+
+        assert.equal((await script.validateInput('5', rules)).success, true);
+        assert.deepEqual((await script.validateInput('12.5', rules)).errors.map(error => error.code),
+            ['rangeOverflow', 'stepMismatch']);
+        assert.deepEqual((await script.validateInput('abc', rules)).errors.map(error => error.code), ['badInput']);
+    });
+
+    it('accepts only http(s) URLs', async () => {
+        const rule = [script.validators.url()];
+        assert.equal((await script.validateInput('https://example.com/a', rule)).success, true);
+        assert.equal((await script.validateInput('javascript:alert(1)', rule)).success, false);
+    });
+
+    it('awaits async custom rules and uses their messages', async () => {
+        const taken = script.validators.custom(async value => value !== 'admin' || 'Username is taken', {
+            code: 'taken'
+        });
+        const failing = script.validators.custom(() => {
+            throw new Error('Service unavailable');
+        });
+
+        assert.deepEqual((await script.validateInput('admin', [taken])).errors,
+            [{ code: 'taken', message: 'Username is taken' }]);
+        assert.deepEqual((await script.validateInput('x', [failing])).errors,
+            [{ code: 'customError', message: 'Service unavailable' }]);
+    });
+
+    it('lets validateAndProcessInput refuse async rules', () => {
+        const asyncRule = script.validators.custom(async () => true);
+        assert.throws(() => script.validateAndProcessInput('hello', 50, [asyncRule]), TypeError);
+    });
+});
+
+describe('rulesFromAttributes', () => {
+    it('maps constraint attributes to rules', () => {
+        const input = addInput({ type: 'number', required: '', min: '2', max: '8', step: '2' });
+        const codes = script.rulesFromAttributes(input).map(rule => rule.code);
+        assert.deepEqual(codes, ['valueMissing', 'badInput', 'rangeUnderflow', 'rangeOverflow', 'stepMismatch']);
+    });
+
+    it('anchors native patterns to the whole value', async () => {
+        const input = addInput({ pattern: '[a-z]+' });
+        const rules = script.rulesFromAttributes(input);
+        assert.equal((await script.validateInput('abc', rules)).success, true);
+        assert.equal((await script.validateInput('abc1', rules)).success, false);
+    });
+});
+
+describe('bindValidation', () => {
+    it('validates after typing pauses and shows each error', async () => {
+        const input = addInput({ id: 'username' });
+        const binding = script.bindValidation(input, [script.validators.minLength(3), script.validators.pattern(/^[a-z]+$/)]);
+        const feedback = dom.document.getElementById('username-feedback');
+
+        type(input, 'A');
+        await clock.tick(100);
+        assert.equal(binding.state, 'idle');
+
+        await clock.tick(200);
+        assert.equal(binding.state, 'invalid');
+        assert.equal(input.getAttribute('aria-invalid'), 'true');
+        assert.equal(input.getAttribute('aria-describedby'), 'username-feedback');
+        assert.deepEqual(feedback.children.map(line => line.dataset.code), ['tooShort', 'patternMismatch']);
+        // Typing doesn't shake the field
+        assert.equal(input.classList.contains('shake-animation'), false);
+    });
+
+    it('shakes invalid fields on blur and animates the switch to valid', async () => {
+        const input = addInput({ id: 'email', type: 'email' });
+        const binding = script.bindValidation('email');
+
+        type(input, 'nope');
+        input.dispatchEvent(new FakeEvent('blur'));
+        await clock.tick(0);
+        assert.equal(binding.state, 'invalid');
+        assert.equal(input.classList.contains('shake-animation'), true);
+
+        await clock.tick(750);
+        assert.equal(input.classList.contains('shake-animation'), false);
+
+        type(input, 'me@example.com');
+        await clock.tick(250);
+        assert.equal(binding.state, 'valid');
+        assert.equal(input.classList.contains('is-valid'), true);
+        assert.equal(input.classList.contains('validation-success'), true);
+        assert.equal(dom.document.getElementById('email-feedback').textContent, '');
+    });
+
+    it('ignores results from superseded async checks', async () => {
+        const input = addInput({ id: 'name' });
+        const slow = script.validators.custom(value => new Promise(resolve => {
+            setTimeout(() => resolve(value === 'ok'), value === 'first' ? 500 : 10);
+        }));
+        const binding = script.bindValidation(input, [slow]);
+
+        input.value = 'first';
+        const first = binding.validate();
+        input.value = 'ok';
+        binding.validate();
+
+        await clock.tick(20);
+        assert.equal(binding.state, 'valid');
+        await clock.tick(500);
+        assert.equal((await first).success, false);
+        assert.equal(binding.state, 'valid');
+    });
+
+    it('cleans up its feedback element on destroy', () => {
+        const input = addInput({ id: 'field', 'aria-describedby': 'hint' });
+        const binding = script.bindValidation(input, [script.validators.required()]);
+        assert.equal(input.getAttribute('aria-describedby'), 'hint field-feedback');
+
+        binding.destroy();
+        assert.equal(dom.document.getElementById('field-feedback'), null);
+        assert.equal(input.getAttribute('aria-describedby'), 'hint');
+        assert.equal(input.listenerCount('input'), 0);
+    });
+});
+
+describe('bindFormValidation', () => {
+    function buildForm() {
+        const password = dom.h('input', { name: 'password', required: '', minlength: '6' });
+        const confirm = dom.h('input', { name: 'confirm' });
+        const form = dom.h('form', { id: 'signup' }, [password, confirm, dom.h('input', { type: 'submit', name: 'go' })]);
+        dom.document.body.appendChild(form);
+        return { form, password, confirm };
+    }
+
+    it('blocks submit, focuses the first invalid field and compares fields', async () => {
+        const { form, password, confirm } = buildForm();
+        const submitted = [];
+        const matches = script.validators.custom((value, context) => value === context.values.password, {
+            code: 'mismatch',
+            message: 'Passwords do not match'
+        });
+        const binding = script.bindFormValidation('signup', { confirm: [matches] }, {
+            onSubmit: values => submitted.push(values)
+        });
+
+        password.value = 'abc';
+        confirm.value = 'abd';
+        const event = new FakeEvent('submit');
+        form.dispatchEvent(event);
+        await clock.tick(0);
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(form.hasAttribute('novalidate'), true);
+        assert.equal(dom.document.activeElement, password);
+        assert.equal(binding.getField('confirm').result.errors[0].code, 'mismatch');
+        assert.equal(binding.getField('go'), null);
+        assert.deepEqual(submitted, []);
+
+        password.value = 'secret1';
+        confirm.value = 'secret1';
+        form.dispatchEvent(new FakeEvent('submit'));
+        await clock.tick(0);
+        assert.deepEqual(submitted, [{ password: 'secret1', confirm: 'secret1' }]);
+    });
+});